@@ -0,0 +1,74 @@
+import type { ErrorObject, JsonRpcParams, RequestContext } from './TinyJsonRpcServer';
+
+/**
+ * Access requirement of a method or a method name prefix. All the given
+ * conditions must be met.
+ */
+export interface AccessRequirement {
+    // The caller needs at least one of these roles
+    roles?: string[];
+    // The caller needs all of these scopes
+    scopes?: string[];
+    // Custom check, may be async
+    allow?: (requestContext: RequestContext, params: JsonRpcParams | undefined) => boolean | Promise<boolean>;
+    // Allows the method when denyByDefault is enabled and there is no other requirement
+    public?: boolean;
+}
+
+export interface AuthorizationOptions {
+    // Returns the roles of the caller, defaults to requestContext.user.roles
+    getRoles?: (requestContext: RequestContext) => string[] | undefined;
+    // Returns the scopes of the caller, defaults to requestContext.user.scopes
+    getScopes?: (requestContext: RequestContext) => string[] | undefined;
+    // Deny the methods without access requirement, except the public ones
+    denyByDefault?: boolean;
+    // Error returned when a call is denied, defaults to SERVER_ERRORCODES.UNAUTHORIZED/'Unauthorized'
+    unauthorizedError?: Partial<ErrorObject>;
+}
+
+function getUserList(requestContext: RequestContext, key: 'roles' | 'scopes'): string[] | undefined {
+    const user = requestContext && requestContext.user;
+    return user ? user[key] : undefined;
+}
+
+/**
+ * Returns true when the requirement sets a condition, a requirement only
+ * marking the method public does not
+ *
+ * @param {*} requirement
+ */
+export function hasAccessConditions(requirement: AccessRequirement): boolean {
+    return requirement.roles !== undefined || requirement.scopes !== undefined || requirement.allow !== undefined;
+}
+
+/**
+ * Check an access requirement for the caller described by requestContext
+ *
+ * @param {*} requirement
+ * @param {*} requestContext
+ * @param {*} params params of the call, undefined when checking for discovery
+ * @param {*} options
+ */
+export function checkAccessRequirement(requirement: AccessRequirement, requestContext: RequestContext, params: JsonRpcParams | undefined, options: AuthorizationOptions = {}): Promise<boolean> {
+    return Promise.resolve().then(() => {
+        if(requirement.roles) {
+            const roles = (options.getRoles ? options.getRoles(requestContext) : getUserList(requestContext, 'roles')) || [];
+            if(!requirement.roles.some(role => roles.indexOf(role) !== -1)) {
+                return false;
+            }
+        }
+
+        if(requirement.scopes) {
+            const scopes = (options.getScopes ? options.getScopes(requestContext) : getUserList(requestContext, 'scopes')) || [];
+            if(!requirement.scopes.every(scope => scopes.indexOf(scope) !== -1)) {
+                return false;
+            }
+        }
+
+        if(requirement.allow) {
+            return Promise.resolve(requirement.allow(requestContext, params)).then(allowed => allowed === true);
+        }
+
+        return true;
+    });
+}
@@ -0,0 +1,407 @@
+import {
+    ErrorObject,
+    JsonRpcParams,
+    JsonRpcRequestException,
+    RequestContext,
+    SERVER_ERRORCODES
+} from './TinyJsonRpcServer';
+
+/**
+ * Returns the cache key of a call, calls with an undefined key are not
+ * cached or coalesced
+ */
+export type CacheKeyFunction = (params: JsonRpcParams | undefined, requestContext: RequestContext) => string | undefined;
+
+/**
+ * Returns the identity of the client making a call, for example the user
+ * id. Idempotency and dedupe keys are scoped by it, so clients never share
+ * responses. Calls with an undefined scope (anonymous clients) are neither
+ * deduplicated nor idempotent.
+ */
+export type CacheScopeFunction = (requestContext: RequestContext) => string | undefined;
+
+/**
+ * Where cached results and idempotent responses are kept. get, set and
+ * delete may return promises, so a store can be shared between processes
+ * (Redis, memcached...).
+ */
+export interface CacheStore {
+    get(key: string): StoredResponse | undefined | Promise<StoredResponse | undefined>;
+    // The value may be dropped once ttl milliseconds have passed
+    set(key: string, value: StoredResponse, ttl: number): void | Promise<void>;
+    delete(key: string): void | Promise<void>;
+}
+
+export interface StoredResponse {
+    result?: any;
+    error?: ErrorObject;
+    // The params of an idempotent call, a retry with other params is refused
+    fingerprint?: string;
+}
+
+export interface CacheOptions {
+    // Shared by all the methods, defaults to a MemoryCacheStore per method
+    store?: CacheStore;
+    // Maximum entries of the MemoryCacheStore of a method, defaults to 1000
+    maxEntries?: number;
+    // Identity of the client, scopes the idempotency and dedupe keys of all
+    // the methods
+    scope?: CacheScopeFunction;
+}
+
+/**
+ * The cache option of registerMethod
+ */
+export interface MethodCacheOptions {
+    // Time to live in milliseconds
+    ttl: number;
+    // Defaults to the params as JSON, results are shared by all clients
+    // unless the key includes the client
+    key?: CacheKeyFunction;
+    // Maximum entries kept, the least recently used are evicted. Defaults
+    // to the maxEntries of the server, not used with a shared store
+    maxEntries?: number;
+}
+
+/**
+ * The idempotency option of registerMethod
+ */
+export interface IdempotencyOptions {
+    // How long the responses are kept in milliseconds, defaults to 24 hours
+    ttl?: number;
+    // Returns the idempotency key, defaults to the idempotencyKey property
+    // of object params
+    key?: (params: JsonRpcParams | undefined, requestContext: RequestContext) => string | undefined;
+    // Identity of the client, defaults to the scope of the server
+    scope?: CacheScopeFunction;
+}
+
+/**
+ * The dedupe option of registerMethod
+ */
+export interface DedupeOptions {
+    // Defaults to the params as JSON
+    key?: CacheKeyFunction;
+    // Identity of the client, defaults to the scope of the server
+    scope?: CacheScopeFunction;
+}
+
+/**
+ * The caching options of a method, see MethodOptions
+ */
+export interface CachedMethodOptions {
+    cache?: MethodCacheOptions;
+    dedupe?: boolean | DedupeOptions;
+    idempotency?: boolean | IdempotencyOptions;
+}
+
+interface InFlightCall {
+    promise: Promise<any>;
+    controller: AbortController;
+    waiting: number;
+    fingerprint?: string;
+}
+
+const DEFAULT_MAX_ENTRIES = 1000;
+const DEFAULT_IDEMPOTENCY_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * The default cache key, the params as JSON
+ *
+ * @param {*} params
+ */
+export function defaultCacheKey(params: JsonRpcParams | undefined): string {
+    return params === undefined ? '' : JSON.stringify(params);
+}
+
+/**
+ * In-memory store keeping at most maxEntries values, the least recently
+ * used are evicted first
+ */
+export class MemoryCacheStore implements CacheStore {
+    _entries: Map<string, { value: StoredResponse, expires: number }>;
+    _maxEntries: number;
+    _now: () => number;
+
+    constructor(maxEntries: number = DEFAULT_MAX_ENTRIES, now: () => number = Date.now) {
+        this._entries = new Map();
+        this._maxEntries = maxEntries;
+        this._now = now;
+    }
+
+    get(key: string): StoredResponse | undefined {
+        const entry = this._entries.get(key);
+        if(!entry) {
+            return undefined;
+        }
+
+        // Maps keep the insertion order, the most recently used entries are last
+        this._entries.delete(key);
+        if(entry.expires <= this._now()) {
+            return undefined;
+        }
+        this._entries.set(key, entry);
+        return entry.value;
+    }
+
+    set(key: string, value: StoredResponse, ttl: number): void {
+        this._entries.delete(key);
+        this._entries.set(key, { value, expires: this._now() + ttl });
+
+        if(this._entries.size > this._maxEntries) {
+            this._entries.delete(this._entries.keys().next().value);
+        }
+    }
+
+    delete(key: string): void {
+        this._entries.delete(key);
+    }
+
+    get size(): number {
+        return this._entries.size;
+    }
+}
+
+/**
+ * Take the idempotency key of a call, the idempotencyKey property is taken
+ * out of object params
+ *
+ * @param {*} params
+ * @param {*} requestContext
+ * @param {*} options the idempotency option of the method
+ */
+export function extractIdempotencyKey(params: JsonRpcParams | undefined, requestContext: RequestContext, options: true | IdempotencyOptions): { params: JsonRpcParams | undefined, key?: string } {
+    let rest = params;
+    let key: string | undefined;
+    if(params && !Array.isArray(params) && 'idempotencyKey' in params) {
+        const { idempotencyKey, ...others } = params as { idempotencyKey?: any };
+        rest = others;
+        key = idempotencyKey === undefined || idempotencyKey === null ? undefined : String(idempotencyKey);
+    }
+
+    if(options !== true && options.key) {
+        key = options.key(params, requestContext);
+    }
+
+    return { params: rest, key };
+}
+
+/**
+ * Caches results, coalesces identical concurrent calls and keeps the
+ * responses of idempotent calls, following the options of the methods
+ */
+export class ResultCache {
+    _store: CacheStore | undefined;
+    _maxEntries: number;
+    _scope: CacheScopeFunction | undefined;
+    _stores: Map<string, CacheStore>;
+    _inFlight: Map<string, InFlightCall>;
+
+    constructor(options: CacheOptions = {}) {
+        this._store = options.store;
+        this._maxEntries = options.maxEntries !== undefined ? options.maxEntries : DEFAULT_MAX_ENTRIES;
+        this._scope = options.scope;
+        this._stores = new Map();
+        this._inFlight = new Map();
+    }
+
+    /**
+     * Returns true when the method has caching options
+     *
+     * @param {*} options
+     */
+    static isCached(options: CachedMethodOptions): boolean {
+        return !!(options.cache || options.dedupe || options.idempotency);
+    }
+
+    /**
+     * Throws when idempotency or dedupe would share responses between
+     * clients: they need a scope, or a key function deciding what is shared
+     *
+     * @param {*} method
+     * @param {*} options
+     */
+    checkOptions(method: string, options: CachedMethodOptions): void {
+        const unscoped = (enabled: undefined | boolean | { key?: any, scope?: CacheScopeFunction }) => !!enabled
+            && !(enabled !== true && (enabled.key || enabled.scope)) && !this._scope;
+
+        if(unscoped(options.idempotency) || (!options.cache && unscoped(options.dedupe))) {
+            throw new Error("Method '" + method + "' needs a scope or a key function for idempotency and dedupe, so clients don't share responses");
+        }
+    }
+
+    /**
+     * Run a call, or return the cached or stored result
+     *
+     * @param {*} method
+     * @param {*} options the options of the method
+     * @param {*} params params without the idempotency key
+     * @param {*} requestContext
+     * @param {*} idempotencyKey the key of an idempotent call
+     * @param {*} signal signal of the call
+     * @param {*} invoke runs the method, with a signal aborted once all the coalesced calls are aborted
+     */
+    run(method: string, options: CachedMethodOptions, params: JsonRpcParams | undefined, requestContext: RequestContext, idempotencyKey: string | undefined, signal: AbortSignal | undefined, invoke: (signal: AbortSignal) => any): Promise<any> {
+        const runUncached = () => Promise.resolve().then(() => invoke(signal as AbortSignal));
+
+        if(idempotencyKey !== undefined && options.idempotency) {
+            const scopedKey = this._scopeKey(options.idempotency, requestContext, idempotencyKey);
+            return scopedKey === undefined ? runUncached() : this._runIdempotent(method, options.idempotency, params, scopedKey, signal, invoke);
+        }
+
+        const cache = options.cache;
+        const dedupeKey = typeof options.dedupe === 'object' ? options.dedupe.key : undefined;
+        const getKey = (cache && cache.key) || dedupeKey || defaultCacheKey;
+        const key = getKey(params, requestContext);
+
+        if(key === undefined || (!cache && !options.dedupe)) {
+            return runUncached();
+        }
+
+        if(!cache) {
+            const scopedKey = this._scopeKey(options.dedupe as true | DedupeOptions, requestContext, key);
+            return scopedKey === undefined ? runUncached() : this._coalesce('call:' + method + ':' + scopedKey, signal, invoke);
+        }
+
+        const cacheKey = method + ':' + key;
+
+        const store = this._getStore(method, cache.maxEntries);
+        return Promise.resolve(store.get(cacheKey))
+            .then((stored) => {
+                if(stored) {
+                    return stored.result;
+                }
+
+                return this._coalesce('call:' + cacheKey, signal, signal => Promise.resolve(invoke(signal))
+                    .then(result => Promise.resolve(store.set(cacheKey, { result }, cache.ttl)).then(() => result)));
+            });
+    }
+
+    /**
+     * Remove a cached result
+     *
+     * @param {*} method
+     * @param {*} key the key of the call, the params as JSON by default
+     */
+    invalidate(method: string, key: string): Promise<void> {
+        if(!this._store && !this._stores.has(method)) {
+            return Promise.resolve();
+        }
+        return Promise.resolve(this._getStore(method).delete(method + ':' + key));
+    }
+
+    /**
+     * Prefix the key with the scope of the client, undefined when the
+     * client has no scope
+     */
+    _scopeKey(options: true | { scope?: CacheScopeFunction }, requestContext: RequestContext, key: string): string | undefined {
+        const getScope = (options !== true && options.scope) || this._scope;
+        if(!getScope) {
+            return key;
+        }
+
+        const scope = getScope(requestContext);
+        return scope === undefined ? undefined : JSON.stringify(scope) + ':' + key;
+    }
+
+    _runIdempotent(method: string, idempotency: true | IdempotencyOptions, params: JsonRpcParams | undefined, idempotencyKey: string, signal: AbortSignal | undefined, invoke: (signal: AbortSignal) => any): Promise<any> {
+        const ttl = idempotency !== true && idempotency.ttl !== undefined ? idempotency.ttl : DEFAULT_IDEMPOTENCY_TTL;
+        const storeKey = 'idempotency:' + method + ':' + idempotencyKey;
+        const fingerprint = defaultCacheKey(params);
+        const store = this._getStore(method);
+
+        const replay = (stored: StoredResponse) => {
+            if(stored.fingerprint !== fingerprint) {
+                throw new JsonRpcRequestException(SERVER_ERRORCODES.CONFLICT, 'Idempotency key reused with different params');
+            }
+            if(stored.error) {
+                throw new JsonRpcRequestException(stored.error);
+            }
+            return stored.result;
+        };
+
+        const save = (stored: StoredResponse) => Promise.resolve(store.set(storeKey, { ...stored, fingerprint }, ttl));
+
+        return Promise.resolve(store.get(storeKey))
+            .then((stored) => {
+                if(stored) {
+                    return replay(stored);
+                }
+
+                const inFlight = this._inFlight.get(storeKey);
+                if(inFlight && inFlight.fingerprint !== fingerprint) {
+                    return replay({ fingerprint: inFlight.fingerprint });
+                }
+
+                // Errors sent to the client are kept too, unexpected errors are not
+                return this._coalesce(storeKey, signal, signal => Promise.resolve()
+                    .then(() => invoke(signal))
+                    .then(result => save({ result }).then(() => result), (e) => {
+                        if(e instanceof JsonRpcRequestException) {
+                            return save({ error: e.errorObj }).then(() => { throw e; });
+                        }
+                        throw e;
+                    }), fingerprint);
+            });
+    }
+
+    /**
+     * Join the call running with the key, or start it
+     */
+    _coalesce(key: string, signal: AbortSignal | undefined, run: (signal: AbortSignal) => Promise<any>, fingerprint?: string): Promise<any> {
+        let call = this._inFlight.get(key);
+        if(!call) {
+            const controller = new AbortController();
+            const done = () => {
+                if(this._inFlight.get(key) === started) {
+                    this._inFlight.delete(key);
+                }
+            };
+            const started: InFlightCall = {
+                promise: Promise.resolve()
+                    .then(() => run(controller.signal))
+                    .then((result) => {
+                        done();
+                        return result;
+                    }, (e) => {
+                        done();
+                        throw e;
+                    }),
+                controller,
+                waiting: 0,
+                fingerprint
+            };
+            this._inFlight.set(key, started);
+            call = started;
+        }
+
+        const joined = call;
+        joined.waiting++;
+        if(signal) {
+            // The shared call is aborted once nobody waits for it
+            signal.addEventListener('abort', () => {
+                if(--joined.waiting === 0) {
+                    if(this._inFlight.get(key) === joined) {
+                        this._inFlight.delete(key);
+                    }
+                    joined.controller.abort(signal.reason);
+                }
+            }, { once: true });
+        }
+
+        return joined.promise;
+    }
+
+    _getStore(method: string, maxEntries?: number): CacheStore {
+        if(this._store) {
+            return this._store;
+        }
+
+        let store = this._stores.get(method);
+        if(!store) {
+            store = new MemoryCacheStore(maxEntries !== undefined ? maxEntries : this._maxEntries);
+            this._stores.set(method, store);
+        }
+        return store;
+    }
+}
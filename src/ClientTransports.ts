@@ -0,0 +1,272 @@
+import { EventEmitter } from 'events';
+import type { Readable, Writable } from 'stream';
+import { JSONRPC_ERRORCODES } from './TinyJsonRpcServer';
+import type { JsonRpcRequest, JsonRpcResponse, RequestContext, TinyJsonRpcServer } from './TinyJsonRpcServer';
+import type { ClientResponse, ClientTransport } from './TinyJsonRpcClient';
+import { MessageDecoder, StreamFraming, createMessageDecoder, encodeMessage } from './StreamTransport';
+
+export interface FetchResponse {
+    ok: boolean;
+    status: number;
+    text(): Promise<string>;
+}
+
+export type FetchFunction = (url: string, init: { method: string, headers: { [key: string]: string }, body: string }) => Promise<FetchResponse>;
+
+export interface HttpClientTransportOptions {
+    // Headers added to every request, or a function returning them (for example to refresh tokens)
+    headers?: { [key: string]: string } | (() => { [key: string]: string } | Promise<{ [key: string]: string }>);
+    // fetch implementation, defaults to the global fetch
+    fetch?: FetchFunction;
+}
+
+export interface StreamClientTransportOptions {
+    // Message framing, defaults to 'ndjson'
+    framing?: StreamFraming;
+    // Maximum size of a single message in bytes
+    maxMessageSize?: number;
+}
+
+export interface LoopbackTransportOptions {
+    // requestContext given to the server
+    requestContext?: RequestContext;
+}
+
+/**
+ * Sends the requests with HTTP POST using fetch. Error responses with a
+ * JSON-RPC body (like the 400 responses of createHttpHandler) are returned
+ * as responses, other HTTP errors reject.
+ */
+export class HttpClientTransport implements ClientTransport {
+    _url: string;
+    _options: HttpClientTransportOptions;
+
+    constructor(url: string, options: HttpClientTransportOptions = {}) {
+        this._url = url;
+        this._options = options;
+    }
+
+    send(message: JsonRpcRequest | JsonRpcRequest[]): Promise<ClientResponse> {
+        const fetch: FetchFunction | undefined = this._options.fetch || (globalThis as any).fetch;
+        if(!fetch) {
+            return Promise.reject(new Error('fetch is not available, give it in the fetch option'));
+        }
+
+        const headers = this._options.headers;
+        return Promise.resolve(typeof headers === 'function' ? headers() : headers)
+            .then(extraHeaders => fetch(this._url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', ...extraHeaders },
+                body: JSON.stringify(message)
+            }))
+            .then(response => response.text().then((body) => {
+                if(body.trim() === '') {
+                    if(!response.ok) {
+                        throw new Error('HTTP error ' + response.status);
+                    }
+                    return null;
+                }
+
+                try {
+                    return JSON.parse(body);
+                } catch(e) {
+                    throw new Error(response.ok ? 'Invalid JSON in response' : 'HTTP error ' + response.status);
+                }
+            }));
+    }
+}
+
+interface PendingSend {
+    ids: string[];
+    isBatch: boolean;
+    resolve: (response: ClientResponse) => void;
+    reject: (error: any) => void;
+}
+
+function isRequestLevelError(code: number): boolean {
+    return code === JSONRPC_ERRORCODES.PARSE_ERROR || code === JSONRPC_ERRORCODES.INVALID_REQUEST;
+}
+
+/**
+ * Sends the requests over a duplex stream (or an input and output stream),
+ * with the framings of StreamTransport. Responses are matched to the
+ * requests by id, so several requests can be pending at once.
+ *
+ * A parse or invalid request error with a null id (for example a batch over
+ * the size limit of the server) answers the oldest pending request.
+ *
+ * Events:
+ *  - 'notification' (method, params) for notifications sent by the server
+ *  - 'close' once the input has ended or close() was called
+ */
+export class StreamClientTransport extends EventEmitter implements ClientTransport {
+    _input: Readable;
+    _output: Writable;
+    _framing: StreamFraming;
+    _decoder: MessageDecoder;
+    _waiting: Map<string, PendingSend>;
+    _sends: Set<PendingSend>;
+    _closed: boolean;
+    _onData: (chunk: Buffer | string) => void;
+    _onClose: () => void;
+
+    /**
+     * @param {*} input stream the responses are read from
+     * @param {*} output stream the requests are written to, defaults to input (duplex streams)
+     * @param {*} options
+     */
+    constructor(input: Readable, output: Writable = input as unknown as Writable, options: StreamClientTransportOptions = {}) {
+        super();
+        this._input = input;
+        this._output = output;
+        this._framing = options.framing || 'ndjson';
+        this._decoder = createMessageDecoder(this._framing, options.maxMessageSize);
+        this._waiting = new Map();
+        this._sends = new Set();
+        this._closed = false;
+
+        this._onData = (chunk) => this._handleData(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'utf8'));
+        this._onClose = () => { this._close(); };
+
+        input.on('data', this._onData);
+        input.on('end', this._onClose);
+        input.on('close', this._onClose);
+        input.on('error', this._onClose);
+    }
+
+    send(message: JsonRpcRequest | JsonRpcRequest[]): Promise<ClientResponse> {
+        if(this._closed) {
+            return Promise.reject(new Error('Transport closed'));
+        }
+
+        const requests = Array.isArray(message) ? message : [message];
+        const ids = requests.filter(request => request.id !== undefined).map(request => JSON.stringify(request.id));
+
+        return new Promise((resolve, reject) => {
+            if(ids.length > 0) {
+                const pending: PendingSend = { ids, isBatch: Array.isArray(message), resolve, reject };
+                ids.forEach(id => this._waiting.set(id, pending));
+                this._sends.add(pending);
+            }
+
+            this._output.write(encodeMessage(JSON.stringify(message), this._framing), (e) => {
+                if(e) {
+                    reject(e);
+                } else if(ids.length === 0) {
+                    resolve(null);
+                }
+            });
+        });
+    }
+
+    /**
+     * Stop reading responses and end the output stream, pending requests are rejected
+     */
+    close(): Promise<void> {
+        if(!this._closed) {
+            this._output.end();
+            this._close();
+        }
+        return Promise.resolve();
+    }
+
+    _close(): void {
+        if(this._closed) {
+            return;
+        }
+        this._closed = true;
+
+        this._input.removeListener('data', this._onData);
+        this._input.removeListener('end', this._onClose);
+        this._input.removeListener('close', this._onClose);
+        this._input.removeListener('error', this._onClose);
+
+        const error = new Error('Transport closed');
+        this._sends.forEach(pending => pending.reject(error));
+        this._sends.clear();
+        this._waiting.clear();
+
+        this.emit('close');
+    }
+
+    _handleData(chunk: Buffer): void {
+        let messages: string[];
+        try {
+            messages = this._decoder.push(chunk);
+        } catch(e) {
+            // The framing can't be recovered
+            this.close();
+            return;
+        }
+
+        messages.forEach((text) => {
+            let message: any;
+            try {
+                message = JSON.parse(text);
+            } catch(e) {
+                return;
+            }
+
+            if(Array.isArray(message)) {
+                this._handleBatchResponse(message);
+            } else if(message && typeof message.method === 'string') {
+                this.emit('notification', message.method, message.params);
+            } else if(message && typeof message === 'object') {
+                this._handleResponse(message);
+            }
+        });
+    }
+
+    _handleResponse(response: JsonRpcResponse): void {
+        const id = JSON.stringify(response.id);
+        const pending = this._waiting.get(id);
+        if(pending && !pending.isBatch) {
+            this._finish(pending, response);
+            return;
+        }
+
+        // The request could not be read by the server, other errors with a
+        // null id (errors of notifications in lenient mode) are ignored
+        if(response.id === null && response.error && isRequestLevelError(response.error.code)) {
+            const oldest = this._sends.values().next().value;
+            if(oldest) {
+                this._finish(oldest, response);
+            }
+        }
+    }
+
+    _handleBatchResponse(responses: JsonRpcResponse[]): void {
+        const matched = responses.find(response => response && this._waiting.has(JSON.stringify(response.id)));
+        const pending = matched && this._waiting.get(JSON.stringify(matched.id));
+        if(!pending || !pending.isBatch) {
+            return;
+        }
+
+        this._finish(pending, responses);
+    }
+
+    _finish(pending: PendingSend, response: ClientResponse): void {
+        pending.ids.forEach(id => this._waiting.delete(id));
+        this._sends.delete(pending);
+        pending.resolve(response);
+    }
+}
+
+/**
+ * Calls a TinyJsonRpcServer in the same process. Messages are serialized
+ * like on the wire, so results that don't survive JSON are seen in tests.
+ */
+export class LoopbackTransport implements ClientTransport {
+    _server: TinyJsonRpcServer;
+    _requestContext: RequestContext;
+
+    constructor(server: TinyJsonRpcServer, options: LoopbackTransportOptions = {}) {
+        this._server = server;
+        this._requestContext = options.requestContext || {};
+    }
+
+    send(message: JsonRpcRequest | JsonRpcRequest[]): Promise<ClientResponse> {
+        return this._server.handleJsonRpcRequest(JSON.stringify(message), this._requestContext)
+            .then(response => response === null ? null : JSON.parse(JSON.stringify(response)));
+    }
+}
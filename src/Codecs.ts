@@ -0,0 +1,880 @@
+/**
+ * Encodes and decodes the values of one type
+ */
+export interface TypeHandler {
+    // Name used in the $type property
+    tag: string;
+    // Returns true for the values handled
+    test(value: any): boolean;
+    // Returns the JSON value stored in the value property, encode encodes nested values
+    encode(value: any, encode: (value: any) => any): any;
+    // Returns the value back from the stored value, decode decodes nested values
+    decode(data: any, decode: (value: any) => any): any;
+}
+
+/**
+ * Encodes and decodes complete messages. Binary codecs encode some types
+ * natively (nativeTypes), those values are sent as they are and not tagged.
+ */
+export interface MessageCodec {
+    // Short name, WebSocket connections negotiate the subprotocol 'jsonrpc-<name>'
+    name: string;
+    // Content-Type of the encoded messages
+    contentType: string;
+    // Messages are binary, sent as binary WebSocket frames
+    binary: boolean;
+    // Tags of the types encoded natively, see TypeHandler
+    nativeTypes: string[];
+    encode(value: any): Buffer | string;
+    decode(data: Buffer | string): any;
+}
+
+// Tag of escaped plain objects having a $type property
+const OBJECT_TAG = '$object';
+
+function invalid(tag: string): TypeError {
+    return new TypeError('Invalid ' + tag + ' value');
+}
+
+function toBuffer(value: Uint8Array): Buffer {
+    return Buffer.isBuffer(value) ? value : Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+}
+
+function isPlainObject(value: any): boolean {
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Set a property like JSON.parse does, __proto__ is an own property
+ */
+function setProperty(obj: { [key: string]: any }, key: string, value: any): void {
+    if(key === '__proto__') {
+        Object.defineProperty(obj, key, { value, writable: true, enumerable: true, configurable: true });
+    } else {
+        obj[key] = value;
+    }
+}
+
+const BUILTIN_TYPE_HANDLERS: TypeHandler[] = [
+    {
+        tag: 'bigint',
+        test: value => typeof value === 'bigint',
+        encode: value => value.toString(),
+        decode: (data) => {
+            if(typeof data !== 'string') {
+                throw invalid('bigint');
+            }
+            return BigInt(data);
+        }
+    },
+    {
+        tag: 'date',
+        test: value => value instanceof Date,
+        encode: value => isNaN(value.getTime()) ? null : value.toISOString(),
+        decode: (data) => {
+            if(typeof data !== 'string' && data !== null) {
+                throw invalid('date');
+            }
+            return new Date(data === null ? NaN : data);
+        }
+    },
+    {
+        tag: 'bytes',
+        test: value => value instanceof Uint8Array,
+        encode: value => toBuffer(value).toString('base64'),
+        decode: (data) => {
+            if(typeof data !== 'string') {
+                throw invalid('bytes');
+            }
+            return Buffer.from(data, 'base64');
+        }
+    },
+    {
+        tag: 'map',
+        test: value => value instanceof Map,
+        encode: (value, encode) => Array.from(value as Map<any, any>, ([key, entry]) => [encode(key), encode(entry)]),
+        decode: (data, decode) => {
+            if(!Array.isArray(data) || !data.every(entry => Array.isArray(entry) && entry.length === 2)) {
+                throw invalid('map');
+            }
+            return new Map(data.map(([key, entry]) => [decode(key), decode(entry)]));
+        }
+    },
+    {
+        tag: 'set',
+        test: value => value instanceof Set,
+        encode: (value, encode) => Array.from(value as Set<any>, encode),
+        decode: (data, decode) => {
+            if(!Array.isArray(data)) {
+                throw invalid('set');
+            }
+            return new Set(data.map(decode));
+        }
+    }
+];
+
+/**
+ * Tags the values JSON can't represent as { "$type": <tag>, "value": <value> }
+ * and revives them:
+ *
+ *   new Date(0)             { "$type": "date", "value": "1970-01-01T00:00:00.000Z" }
+ *   BigInt(2) ** BigInt(64) { "$type": "bigint", "value": "18446744073709551616" }
+ *
+ * BigInt, Date, Buffer/Uint8Array, Map and Set are handled, more types are
+ * added with register(). Plain objects having a $type property are
+ * escaped, so any value survives the round trip.
+ */
+export class TypeCodec {
+    _handlers: TypeHandler[];
+
+    constructor() {
+        this._handlers = BUILTIN_TYPE_HANDLERS.slice();
+    }
+
+    /**
+     * Add a type, a handler replaces the handler with the same tag. Handlers
+     * added later are tested first.
+     *
+     *   codec.register({
+     *       tag: 'money',
+     *       test: value => value instanceof Money,
+     *       encode: value => [value.amount, value.currency],
+     *       decode: data => new Money(data[0], data[1])
+     *   });
+     *
+     * @param {*} handler
+     */
+    register(handler: TypeHandler): this {
+        if(handler.tag === OBJECT_TAG) {
+            throw new Error("The tag '" + OBJECT_TAG + "' is reserved");
+        }
+
+        this._handlers = [handler].concat(this._handlers.filter(existing => existing.tag !== handler.tag));
+        return this;
+    }
+
+    /**
+     * Returns a JSON compatible copy of the value with rich values tagged.
+     * Values of nativeTypes are left as they are, for codecs encoding them
+     * natively.
+     *
+     * @param {*} value
+     * @param {*} nativeTypes
+     */
+    encode(value: any, nativeTypes: string[] = []): any {
+        const encode = (value: any): any => {
+            if(value === null || (typeof value !== 'object' && typeof value !== 'bigint')) {
+                return value;
+            }
+
+            const handler = this._handlers.find(handler => handler.test(value));
+            if(handler) {
+                return nativeTypes.includes(handler.tag) ? value : { $type: handler.tag, value: handler.encode(value, encode) };
+            }
+
+            if(Array.isArray(value)) {
+                return value.map(encode);
+            }
+
+            if(typeof value.toJSON === 'function') {
+                return encode(value.toJSON());
+            }
+
+            const result: { [key: string]: any } = {};
+            Object.keys(value).forEach(key => setProperty(result, key, encode(value[key])));
+            return Object.prototype.hasOwnProperty.call(value, '$type') ? { $type: OBJECT_TAG, value: result } : result;
+        };
+
+        return encode(value);
+    }
+
+    /**
+     * Returns a copy of the value with the tagged values revived, throws a
+     * TypeError for invalid tagged values. Unknown tags are left as they are.
+     *
+     * @param {*} value
+     */
+    decode(value: any): any {
+        const decodeProperties = (obj: { [key: string]: any }) => {
+            const result: { [key: string]: any } = {};
+            Object.keys(obj).forEach(key => setProperty(result, key, decode(obj[key])));
+            return result;
+        };
+
+        const decode = (value: any): any => {
+            if(Array.isArray(value)) {
+                return value.map(decode);
+            }
+
+            // Values decoded natively, like Buffer or Date, are kept
+            if(value === null || typeof value !== 'object' || !isPlainObject(value)) {
+                return value;
+            }
+
+            if(typeof value.$type === 'string' && 'value' in value && Object.keys(value).length === 2) {
+                if(value.$type === OBJECT_TAG) {
+                    if(!value.value || typeof value.value !== 'object') {
+                        throw invalid(OBJECT_TAG);
+                    }
+                    return decodeProperties(value.value);
+                }
+
+                const handler = this._handlers.find(handler => handler.tag === value.$type);
+                if(handler) {
+                    return handler.decode(value.value, decode);
+                }
+            }
+
+            return decodeProperties(value);
+        };
+
+        return decode(value);
+    }
+}
+
+class ByteReader {
+    _buffer: Buffer;
+    _offset: number;
+
+    constructor(buffer: Buffer) {
+        this._buffer = buffer;
+        this._offset = 0;
+    }
+
+    take(length: number): Buffer {
+        if(this._offset + length > this._buffer.length) {
+            throw new RangeError('Unexpected end of data');
+        }
+        const bytes = this._buffer.subarray(this._offset, this._offset + length);
+        this._offset += length;
+        return bytes;
+    }
+
+    peek(): number {
+        if(this._offset >= this._buffer.length) {
+            throw new RangeError('Unexpected end of data');
+        }
+        return this._buffer[this._offset];
+    }
+
+    uint8(): number {
+        return this.take(1)[0];
+    }
+
+    uint(size: number): number {
+        return this.take(size).readUIntBE(0, size);
+    }
+
+    // 64 bit integers are numbers when they are safe integers
+    uint64(): number | bigint {
+        return toSafeNumber(this.take(8).readBigUInt64BE(0));
+    }
+
+    int64(): number | bigint {
+        return toSafeNumber(this.take(8).readBigInt64BE(0));
+    }
+
+    finish<T>(value: T): T {
+        if(this._offset !== this._buffer.length) {
+            throw new RangeError('Unexpected data after the message');
+        }
+        return value;
+    }
+}
+
+function toSafeNumber(value: bigint): number | bigint {
+    const number = Number(value);
+    return Number.isSafeInteger(number) ? number : value;
+}
+
+function toLength(value: number | bigint): number {
+    if(typeof value !== 'number') {
+        throw new RangeError('Length too large');
+    }
+    return value;
+}
+
+function toBytes(data: Buffer | string): Buffer {
+    return Buffer.isBuffer(data) ? data : Buffer.from(data, 'binary');
+}
+
+function header(type: number, size: number, value: number): Buffer {
+    const buffer = Buffer.alloc(1 + size);
+    buffer[0] = type;
+    if(size > 0) {
+        buffer.writeUIntBE(value, 1, size);
+    }
+    return buffer;
+}
+
+function bigIntHeader(type: number, value: bigint, signed: boolean): Buffer {
+    const buffer = Buffer.alloc(9);
+    buffer[0] = type;
+    if(signed) {
+        buffer.writeBigInt64BE(value, 1);
+    } else {
+        buffer.writeBigUInt64BE(value, 1);
+    }
+    return buffer;
+}
+
+function doubleHeader(type: number, value: number): Buffer {
+    const buffer = Buffer.alloc(9);
+    buffer[0] = type;
+    buffer.writeDoubleBE(value, 1);
+    return buffer;
+}
+
+/**
+ * The value like JSON.stringify sees it: toJSON() is called, functions and
+ * symbols are dropped
+ */
+function toEncodable(value: any): any {
+    if(value && typeof value === 'object' && typeof value.toJSON === 'function' && !(value instanceof Date) && !(value instanceof Uint8Array)) {
+        return value.toJSON();
+    }
+    return typeof value === 'function' || typeof value === 'symbol' ? undefined : value;
+}
+
+function getEncodableEntries(value: { [key: string]: any }): [string, any][] {
+    return Object.keys(value)
+        .map((key): [string, any] => [key, toEncodable(value[key])])
+        .filter(([, entry]) => entry !== undefined);
+}
+
+const UINT64_LIMIT = BigInt(2) ** BigInt(64);
+const INT64_MIN = -(BigInt(2) ** BigInt(63));
+
+/*
+ * MessagePack, https://github.com/msgpack/msgpack/blob/master/spec.md
+ */
+
+function msgPackLength(length: number, fixType: number, fixLimit: number, type8: number, type16: number, type32: number): Buffer {
+    if(length < fixLimit) {
+        return Buffer.from([fixType | length]);
+    }
+    if(type8 && length < 0x100) {
+        return header(type8, 1, length);
+    }
+    if(length < 0x10000) {
+        return header(type16, 2, length);
+    }
+    return header(type32, 4, length);
+}
+
+function writeMsgPackInteger(value: number, chunks: Buffer[]): void {
+    if(value >= 0) {
+        if(value < 0x80) {
+            chunks.push(Buffer.from([value]));
+        } else if(value < 0x100) {
+            chunks.push(header(0xcc, 1, value));
+        } else if(value < 0x10000) {
+            chunks.push(header(0xcd, 2, value));
+        } else if(value < 0x100000000) {
+            chunks.push(header(0xce, 4, value));
+        } else {
+            chunks.push(bigIntHeader(0xcf, BigInt(value), false));
+        }
+        return;
+    }
+
+    if(value >= -32) {
+        chunks.push(Buffer.from([value & 0xff]));
+    } else if(value >= -0x80) {
+        chunks.push(header(0xd0, 1, value & 0xff));
+    } else if(value >= -0x8000) {
+        chunks.push(header(0xd1, 2, value & 0xffff));
+    } else if(value >= -0x80000000) {
+        chunks.push(header(0xd2, 4, value >>> 0));
+    } else {
+        chunks.push(bigIntHeader(0xd3, BigInt(value), true));
+    }
+}
+
+function writeMsgPack(value: any, chunks: Buffer[]): void {
+    value = toEncodable(value);
+
+    if(value === null || value === undefined) {
+        chunks.push(Buffer.from([0xc0]));
+        return;
+    }
+
+    switch(typeof value) {
+        case 'boolean':
+            chunks.push(Buffer.from([value ? 0xc3 : 0xc2]));
+            return;
+        case 'number':
+            if(Number.isSafeInteger(value)) {
+                writeMsgPackInteger(value, chunks);
+            } else {
+                chunks.push(doubleHeader(0xcb, value));
+            }
+            return;
+        case 'bigint':
+            if(value >= INT64_MIN && value < BigInt(0)) {
+                chunks.push(bigIntHeader(0xd3, value, true));
+            } else if(value >= BigInt(0) && value < UINT64_LIMIT) {
+                chunks.push(bigIntHeader(0xcf, value, false));
+            } else {
+                throw new RangeError('BigInt out of range for MessagePack');
+            }
+            return;
+        case 'string': {
+            const bytes = Buffer.from(value, 'utf8');
+            chunks.push(msgPackLength(bytes.length, 0xa0, 32, 0xd9, 0xda, 0xdb), bytes);
+            return;
+        }
+    }
+
+    if(value instanceof Uint8Array) {
+        chunks.push(msgPackLength(value.byteLength, 0, 0, 0xc4, 0xc5, 0xc6), toBuffer(value));
+        return;
+    }
+
+    if(value instanceof Date) {
+        const time = value.getTime();
+        if(isNaN(time)) {
+            chunks.push(Buffer.from([0xc0]));
+            return;
+        }
+
+        // Timestamp extension (type -1) with 32 bit nanoseconds and 64 bit seconds
+        const seconds = Math.floor(time / 1000);
+        const timestamp = Buffer.alloc(15);
+        timestamp[0] = 0xc7;
+        timestamp[1] = 12;
+        timestamp[2] = 0xff;
+        timestamp.writeUInt32BE((time - seconds * 1000) * 1000000, 3);
+        timestamp.writeBigInt64BE(BigInt(seconds), 7);
+        chunks.push(timestamp);
+        return;
+    }
+
+    if(Array.isArray(value)) {
+        chunks.push(msgPackLength(value.length, 0x90, 16, 0, 0xdc, 0xdd));
+        value.forEach(entry => writeMsgPack(entry, chunks));
+        return;
+    }
+
+    const entries = getEncodableEntries(value);
+    chunks.push(msgPackLength(entries.length, 0x80, 16, 0, 0xde, 0xdf));
+    entries.forEach(([key, entry]) => {
+        writeMsgPack(key, chunks);
+        writeMsgPack(entry, chunks);
+    });
+}
+
+function readMsgPackTimestamp(data: Buffer): Date {
+    switch(data.length) {
+        case 4:
+            return new Date(data.readUInt32BE(0) * 1000);
+        case 8: {
+            const value = data.readBigUInt64BE(0);
+            const nanoseconds = Number(value >> BigInt(34));
+            const seconds = Number(value & (BigInt(2) ** BigInt(34) - BigInt(1)));
+            return new Date(seconds * 1000 + Math.floor(nanoseconds / 1000000));
+        }
+        case 12:
+            return new Date(Number(data.readBigInt64BE(4)) * 1000 + Math.floor(data.readUInt32BE(0) / 1000000));
+        default:
+            throw new RangeError('Invalid MessagePack timestamp');
+    }
+}
+
+function readMsgPackExt(reader: ByteReader, length: number): any {
+    const type = reader.take(1).readInt8(0);
+    const data = reader.take(length);
+    if(type === -1) {
+        return readMsgPackTimestamp(data);
+    }
+    throw new RangeError('Unsupported MessagePack extension type ' + type);
+}
+
+function readMsgPackArray(reader: ByteReader, length: number): any[] {
+    const result = [];
+    for(let i = 0; i < length; i++) {
+        result.push(readMsgPack(reader));
+    }
+    return result;
+}
+
+function readMsgPackMap(reader: ByteReader, length: number): { [key: string]: any } {
+    const result: { [key: string]: any } = {};
+    for(let i = 0; i < length; i++) {
+        const key = readMsgPack(reader);
+        setProperty(result, String(key), readMsgPack(reader));
+    }
+    return result;
+}
+
+function readMsgPack(reader: ByteReader): any {
+    const type = reader.uint8();
+
+    if(type < 0x80) {
+        return type;
+    }
+    if(type < 0x90) {
+        return readMsgPackMap(reader, type & 0x0f);
+    }
+    if(type < 0xa0) {
+        return readMsgPackArray(reader, type & 0x0f);
+    }
+    if(type < 0xc0) {
+        return reader.take(type & 0x1f).toString('utf8');
+    }
+    if(type >= 0xe0) {
+        return type - 0x100;
+    }
+
+    switch(type) {
+        case 0xc0: return null;
+        case 0xc2: return false;
+        case 0xc3: return true;
+        case 0xc4: return Buffer.from(reader.take(reader.uint(1)));
+        case 0xc5: return Buffer.from(reader.take(reader.uint(2)));
+        case 0xc6: return Buffer.from(reader.take(reader.uint(4)));
+        case 0xc7: return readMsgPackExt(reader, reader.uint(1));
+        case 0xc8: return readMsgPackExt(reader, reader.uint(2));
+        case 0xc9: return readMsgPackExt(reader, reader.uint(4));
+        case 0xca: return reader.take(4).readFloatBE(0);
+        case 0xcb: return reader.take(8).readDoubleBE(0);
+        case 0xcc: return reader.uint(1);
+        case 0xcd: return reader.uint(2);
+        case 0xce: return reader.uint(4);
+        case 0xcf: return reader.uint64();
+        case 0xd0: return reader.take(1).readInt8(0);
+        case 0xd1: return reader.take(2).readInt16BE(0);
+        case 0xd2: return reader.take(4).readInt32BE(0);
+        case 0xd3: return reader.int64();
+        case 0xd4: return readMsgPackExt(reader, 1);
+        case 0xd5: return readMsgPackExt(reader, 2);
+        case 0xd6: return readMsgPackExt(reader, 4);
+        case 0xd7: return readMsgPackExt(reader, 8);
+        case 0xd8: return readMsgPackExt(reader, 16);
+        case 0xd9: return reader.take(reader.uint(1)).toString('utf8');
+        case 0xda: return reader.take(reader.uint(2)).toString('utf8');
+        case 0xdb: return reader.take(reader.uint(4)).toString('utf8');
+        case 0xdc: return readMsgPackArray(reader, reader.uint(2));
+        case 0xdd: return readMsgPackArray(reader, reader.uint(4));
+        case 0xde: return readMsgPackMap(reader, reader.uint(2));
+        case 0xdf: return readMsgPackMap(reader, reader.uint(4));
+    }
+
+    throw new RangeError('Invalid MessagePack type 0x' + type.toString(16));
+}
+
+/*
+ * CBOR, RFC 8949
+ */
+
+const CBOR_TAGS = {
+    DATE_STRING: 0,
+    EPOCH: 1,
+    POSITIVE_BIGNUM: 2,
+    NEGATIVE_BIGNUM: 3
+};
+
+const CBOR_BREAK = 0xff;
+
+function cborHead(major: number, value: number | bigint): Buffer {
+    const type = major << 5;
+    if(typeof value === 'bigint' || value >= 0x100000000) {
+        return bigIntHeader(type | 27, BigInt(value), false);
+    }
+    if(value < 24) {
+        return Buffer.from([type | value]);
+    }
+    if(value < 0x100) {
+        return header(type | 24, 1, value);
+    }
+    if(value < 0x10000) {
+        return header(type | 25, 2, value);
+    }
+    return header(type | 26, 4, value);
+}
+
+function bigIntToBytes(value: bigint): Buffer {
+    let hex = value.toString(16);
+    if(hex.length % 2 === 1) {
+        hex = '0' + hex;
+    }
+    return Buffer.from(hex, 'hex');
+}
+
+function writeCbor(value: any, chunks: Buffer[]): void {
+    value = toEncodable(value);
+
+    if(value === null || value === undefined) {
+        chunks.push(Buffer.from([0xf6]));
+        return;
+    }
+
+    switch(typeof value) {
+        case 'boolean':
+            chunks.push(Buffer.from([value ? 0xf5 : 0xf4]));
+            return;
+        case 'number':
+            if(!Number.isSafeInteger(value)) {
+                chunks.push(doubleHeader(0xfb, value));
+            } else if(value >= 0) {
+                chunks.push(cborHead(0, value));
+            } else {
+                chunks.push(cborHead(1, -1 - value));
+            }
+            return;
+        case 'bigint': {
+            // Bignums, negative values are stored as -1 - value
+            const negative = value < BigInt(0);
+            const bytes = bigIntToBytes(negative ? BigInt(-1) - value : value);
+            chunks.push(cborHead(6, negative ? CBOR_TAGS.NEGATIVE_BIGNUM : CBOR_TAGS.POSITIVE_BIGNUM), cborHead(2, bytes.length), bytes);
+            return;
+        }
+        case 'string': {
+            const bytes = Buffer.from(value, 'utf8');
+            chunks.push(cborHead(3, bytes.length), bytes);
+            return;
+        }
+    }
+
+    if(value instanceof Uint8Array) {
+        chunks.push(cborHead(2, value.byteLength), toBuffer(value));
+        return;
+    }
+
+    if(value instanceof Date) {
+        const time = value.getTime();
+        if(isNaN(time)) {
+            chunks.push(Buffer.from([0xf6]));
+            return;
+        }
+        chunks.push(cborHead(6, CBOR_TAGS.EPOCH));
+        writeCbor(time / 1000, chunks);
+        return;
+    }
+
+    if(Array.isArray(value)) {
+        chunks.push(cborHead(4, value.length));
+        value.forEach(entry => writeCbor(entry, chunks));
+        return;
+    }
+
+    const entries = getEncodableEntries(value);
+    chunks.push(cborHead(5, entries.length));
+    entries.forEach(([key, entry]) => {
+        writeCbor(key, chunks);
+        writeCbor(entry, chunks);
+    });
+}
+
+function readHalfFloat(half: number): number {
+    const exponent = (half >> 10) & 0x1f;
+    const mantissa = half & 0x3ff;
+    let value: number;
+    if(exponent === 0) {
+        value = mantissa * Math.pow(2, -24);
+    } else if(exponent !== 31) {
+        value = (mantissa + 1024) * Math.pow(2, exponent - 25);
+    } else {
+        value = mantissa === 0 ? Infinity : NaN;
+    }
+    return half & 0x8000 ? -value : value;
+}
+
+function readCborArgument(reader: ByteReader, info: number): number | bigint {
+    if(info < 24) {
+        return info;
+    }
+    switch(info) {
+        case 24: return reader.uint(1);
+        case 25: return reader.uint(2);
+        case 26: return reader.uint(4);
+        case 27: return reader.uint64();
+    }
+    throw new RangeError('Invalid CBOR argument');
+}
+
+function readCborSimple(reader: ByteReader, info: number): any {
+    switch(info) {
+        case 20: return false;
+        case 21: return true;
+        case 22: return null;
+        case 23: return undefined;
+        case 25: return readHalfFloat(reader.uint(2));
+        case 26: return reader.take(4).readFloatBE(0);
+        case 27: return reader.take(8).readDoubleBE(0);
+    }
+    throw new RangeError('Unsupported CBOR simple value ' + info);
+}
+
+function readCborTag(reader: ByteReader, tag: number | bigint): any {
+    const value = readCbor(reader);
+
+    switch(tag) {
+        case CBOR_TAGS.DATE_STRING:
+            if(typeof value !== 'string') {
+                throw new RangeError('Invalid CBOR date');
+            }
+            return new Date(value);
+        case CBOR_TAGS.EPOCH:
+            if(typeof value !== 'number') {
+                throw new RangeError('Invalid CBOR date');
+            }
+            return new Date(Math.round(value * 1000));
+        case CBOR_TAGS.POSITIVE_BIGNUM:
+        case CBOR_TAGS.NEGATIVE_BIGNUM: {
+            if(!Buffer.isBuffer(value)) {
+                throw new RangeError('Invalid CBOR bignum');
+            }
+            const magnitude = value.length > 0 ? BigInt('0x' + value.toString('hex')) : BigInt(0);
+            return tag === CBOR_TAGS.POSITIVE_BIGNUM ? magnitude : BigInt(-1) - magnitude;
+        }
+    }
+
+    // Unknown tags are ignored
+    return value;
+}
+
+function readCborMapEntry(reader: ByteReader, result: { [key: string]: any }): void {
+    const key = readCbor(reader);
+    setProperty(result, String(key), readCbor(reader));
+}
+
+function readCborIndefinite(reader: ByteReader, major: number): any {
+    const items = [];
+    const result: { [key: string]: any } = {};
+
+    while(reader.peek() !== CBOR_BREAK) {
+        if(major === 5) {
+            readCborMapEntry(reader, result);
+        } else {
+            items.push(readCbor(reader));
+        }
+    }
+    reader.uint8();
+
+    switch(major) {
+        case 2:
+            if(!items.every(item => Buffer.isBuffer(item))) {
+                throw new RangeError('Invalid CBOR byte string chunk');
+            }
+            return Buffer.concat(items);
+        case 3:
+            if(!items.every(item => typeof item === 'string')) {
+                throw new RangeError('Invalid CBOR text string chunk');
+            }
+            return items.join('');
+        case 4:
+            return items;
+        case 5:
+            return result;
+    }
+    throw new RangeError('Invalid CBOR indefinite length item');
+}
+
+function readCbor(reader: ByteReader): any {
+    const initial = reader.uint8();
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    if(major === 7) {
+        return readCborSimple(reader, info);
+    }
+    if(info === 31) {
+        return readCborIndefinite(reader, major);
+    }
+
+    const argument = readCborArgument(reader, info);
+    switch(major) {
+        case 0:
+            return argument;
+        case 1:
+            return typeof argument === 'number' ? -1 - argument : toSafeNumber(BigInt(-1) - argument);
+        case 2:
+            return Buffer.from(reader.take(toLength(argument)));
+        case 3:
+            return reader.take(toLength(argument)).toString('utf8');
+        case 4: {
+            const length = toLength(argument);
+            const result = [];
+            for(let i = 0; i < length; i++) {
+                result.push(readCbor(reader));
+            }
+            return result;
+        }
+        case 5: {
+            const length = toLength(argument);
+            const result: { [key: string]: any } = {};
+            for(let i = 0; i < length; i++) {
+                readCborMapEntry(reader, result);
+            }
+            return result;
+        }
+    }
+
+    return readCborTag(reader, argument);
+}
+
+/**
+ * JSON, the default. It has no native types, rich values need a TypeCodec.
+ */
+export const JSON_CODEC: MessageCodec = {
+    name: 'json',
+    contentType: 'application/json',
+    binary: false,
+    nativeTypes: [],
+    encode: value => JSON.stringify(value),
+    decode: data => JSON.parse(Buffer.isBuffer(data) ? data.toString('utf8') : data)
+};
+
+/**
+ * MessagePack, bytes are encoded as bin and dates with the timestamp
+ * extension. BigInts are encoded as 64 bit integers when they are not
+ * tagged, and 64 bit integers outside the safe range are decoded as BigInts.
+ */
+export const MSGPACK_CODEC: MessageCodec = {
+    name: 'msgpack',
+    contentType: 'application/msgpack',
+    binary: true,
+    nativeTypes: ['bytes', 'date'],
+    encode: (value) => {
+        const chunks: Buffer[] = [];
+        writeMsgPack(value, chunks);
+        return Buffer.concat(chunks);
+    },
+    decode: (data) => {
+        const reader = new ByteReader(toBytes(data));
+        return reader.finish(readMsgPack(reader));
+    }
+};
+
+/**
+ * CBOR, bytes are encoded as byte strings, dates as epoch times (tag 1) and
+ * BigInts as bignums (tags 2 and 3).
+ */
+export const CBOR_CODEC: MessageCodec = {
+    name: 'cbor',
+    contentType: 'application/cbor',
+    binary: true,
+    nativeTypes: ['bytes', 'date', 'bigint'],
+    encode: (value) => {
+        const chunks: Buffer[] = [];
+        writeCbor(value, chunks);
+        return Buffer.concat(chunks);
+    },
+    decode: (data) => {
+        const reader = new ByteReader(toBytes(data));
+        return reader.finish(readCbor(reader));
+    }
+};
+
+/**
+ * Returns the codec for a Content-Type header
+ *
+ * @param {*} codecs
+ * @param {*} contentType
+ */
+export function findCodecByContentType(codecs: MessageCodec[], contentType: string): MessageCodec | undefined {
+    const mediaType = contentType.split(';')[0].trim().toLowerCase();
+    return codecs.find(codec => codec.contentType.toLowerCase() === mediaType);
+}
@@ -0,0 +1,59 @@
+import type { CallContext, JsonRpcParams, MethodHandler, NestedMethodMap } from './TinyJsonRpcServer';
+
+/**
+ * Typed method contracts. A contract describes the methods of an API as
+ * functions taking the params and returning the result:
+ *
+ *   interface MathApi {
+ *       add(params: { a: number, b: number }): number;
+ *       'math.random'(): number;
+ *   }
+ *
+ *   const server = new TinyJsonRpcServer<MathApi, { user: User }>();
+ *   const client = new TinyJsonRpcClient<MathApi>(transport);
+ *   const sum = await client.proxy.add({ a: 1, b: 2 });
+ *
+ * Without a contract (the default any) nothing is checked.
+ */
+
+// true when T is any
+export type IsAny<T> = 0 extends (1 & T) ? true : false;
+
+export type ContractMethodName<Api> = IsAny<Api> extends true ? string : Extract<keyof Api, string>;
+
+export type ContractParams<Api, K> = IsAny<Api> extends true
+    ? JsonRpcParams | undefined
+    : K extends keyof Api ? (Api[K] extends (...args: infer A) => any ? A[0] : never) : never;
+
+export type ContractResult<Api, K> = IsAny<Api> extends true
+    ? any
+    : K extends keyof Api ? (Api[K] extends (...args: any[]) => infer R ? Awaited<R> : never) : never;
+
+/**
+ * The handler of a contract method, methods without params get undefined
+ */
+export type ContractHandler<Api, K, Ctx> = IsAny<Api> extends true
+    ? MethodHandler | ((...args: any[]) => any)
+    : (params: ContractParams<Api, K>, requestContext: Ctx, callContext: CallContext) => ContractResult<Api, K> | Promise<ContractResult<Api, K>>;
+
+/**
+ * The methods given to registerMethods, any subset of the contract
+ */
+export type ContractMethods<Api, Ctx> = IsAny<Api> extends true
+    ? NestedMethodMap
+    : { [K in ContractMethodName<Api>]?: ContractHandler<Api, K, Ctx> };
+
+/**
+ * Arguments of a client call, the params are optional when the contract
+ * allows undefined params
+ */
+export type ContractCallArgs<Api, K> = undefined extends ContractParams<Api, K>
+    ? [params?: ContractParams<Api, K>]
+    : [params: ContractParams<Api, K>];
+
+/**
+ * client.proxy, calls the contract methods by name
+ */
+export type ContractProxy<Api> = IsAny<Api> extends true
+    ? { [method: string]: (params?: JsonRpcParams) => Promise<any> }
+    : { [K in ContractMethodName<Api>]: (...args: ContractCallArgs<Api, K>) => Promise<ContractResult<Api, K>> };
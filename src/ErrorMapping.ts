@@ -0,0 +1,139 @@
+import {
+    ErrorObject,
+    JsonRpcId,
+    JsonRpcRequestException,
+    RequestContext,
+    createErrorObject
+} from './TinyJsonRpcServer';
+
+/**
+ * Information about the failed call given to error mappers
+ */
+export interface ErrorInfo {
+    method?: string;
+    id?: JsonRpcId;
+    requestContext: RequestContext;
+}
+
+/**
+ * How an error class is turned into an error object. message defaults to the
+ * message of the error, data may be a function of the error.
+ */
+export type ErrorMapping = {
+    code: number;
+    message?: string;
+    data?: any;
+} | ((error: any, info: ErrorInfo) => ErrorObject | JsonRpcRequestException | undefined);
+
+/**
+ * Turn any error into an error object, undefined leaves the error unmapped
+ */
+export type ErrorMapper = (error: any, info: ErrorInfo) => ErrorObject | JsonRpcRequestException | undefined;
+
+type ErrorClass = new (...args: any[]) => any;
+
+const MAX_CAUSE_DEPTH = 5;
+
+/**
+ * Describe an error for error.data in development mode, with the stack and
+ * the chain of causes.
+ *
+ * @param {*} error
+ */
+export function describeError(error: any, depth: number = 0): any {
+    if(!(error instanceof Error)) {
+        return { message: String(error) };
+    }
+
+    const description: { name: string, message: string, stack?: string, cause?: any } = {
+        name: error.name,
+        message: error.message
+    };
+
+    if(error.stack) {
+        description.stack = error.stack;
+    }
+
+    const cause = (error as any).cause;
+    if(cause !== undefined && depth < MAX_CAUSE_DEPTH) {
+        description.cause = describeError(cause, depth + 1);
+    }
+
+    return description;
+}
+
+function toErrorObject(value: ErrorObject | JsonRpcRequestException): ErrorObject {
+    if(value instanceof JsonRpcRequestException) {
+        return value.errorObj;
+    }
+
+    return createErrorObject(value.code, value.message, value.data);
+}
+
+/**
+ * Maps error classes to error objects. The mapping of the closest class in
+ * the prototype chain of the error is used, so subclasses can be mapped
+ * differently from their parent class.
+ */
+export class ErrorClassRegistry {
+    _mappings: Map<object, ErrorMapping>;
+
+    constructor() {
+        this._mappings = new Map();
+    }
+
+    register(errorClass: ErrorClass, mapping: ErrorMapping): void {
+        this._mappings.set(errorClass.prototype, mapping);
+    }
+
+    /**
+     * Returns the error object for the error, undefined if the class of the
+     * error is not registered
+     *
+     * @param {*} error
+     * @param {*} info
+     */
+    map(error: any, info: ErrorInfo): ErrorObject | undefined {
+        if(error !== Object(error)) {
+            return undefined;
+        }
+
+        for(let proto = Object.getPrototypeOf(error); proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+            const mapping = this._mappings.get(proto);
+            if(mapping) {
+                if(typeof mapping === 'function') {
+                    const mapped = mapping(error, info);
+                    return mapped ? toErrorObject(mapped) : undefined;
+                }
+
+                const data = typeof mapping.data === 'function' ? mapping.data(error) : mapping.data;
+                return createErrorObject(mapping.code, mapping.message || error.message, data);
+            }
+        }
+
+        return undefined;
+    }
+}
+
+/**
+ * Apply the registry and then the error mapper, returns undefined when the
+ * error is not mapped
+ *
+ * @param {*} registry
+ * @param {*} mapper
+ * @param {*} error
+ * @param {*} info
+ */
+export function mapError(registry: ErrorClassRegistry, mapper: ErrorMapper | undefined, error: any, info: ErrorInfo): ErrorObject | undefined {
+    const mapped = registry.map(error, info);
+    if(mapped) {
+        return mapped;
+    }
+
+    if(mapper) {
+        const result = mapper(error, info);
+        return result ? toErrorObject(result) : undefined;
+    }
+
+    return undefined;
+}
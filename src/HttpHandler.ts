@@ -0,0 +1,402 @@
+import type { IncomingMessage, ServerResponse } from 'http';
+import {
+    JSONRPC_ERRORCODES,
+    JsonRpcRequest,
+    JsonRpcRequestException,
+    JsonRpcResponse,
+    RequestContext,
+    TinyJsonRpcServer,
+    createErrorObject,
+    createParseErrorResponse
+} from './TinyJsonRpcServer';
+import { MessageCodec, findCodecByContentType } from './Codecs';
+
+export interface HttpHandlerOptions {
+    // Maximum request body size in bytes, defaults to 1 MiB
+    maxBodySize?: number;
+    // Accepted Content-Types for POST requests, defaults to ['application/json']
+    contentTypes?: string[];
+    // Accept GET requests with the call encoded in the query string
+    allowGet?: boolean;
+    // Codecs for other Content-Types, like MSGPACK_CODEC and CBOR_CODEC. The
+    // response is encoded with the codec of the request
+    codecs?: MessageCodec[];
+    // Build the requestContext, defaults to { req, res }
+    createRequestContext?: (req: IncomingMessage, res: ServerResponse) => RequestContext | Promise<RequestContext>;
+}
+
+export interface KoaMiddlewareOptions extends Omit<HttpHandlerOptions, 'createRequestContext'> {
+    // Build the requestContext, defaults to { ctx, req: ctx.req, res: ctx.res }
+    createRequestContext?: (ctx: any) => RequestContext | Promise<RequestContext>;
+}
+
+export interface HttpResult {
+    status: number;
+    headers: { [key: string]: string };
+    body?: string | Buffer;
+}
+
+export const DEFAULT_MAX_BODY_SIZE = 1024 * 1024;
+
+/**
+ * The parts of an http request needed by processHttpRequest
+ */
+interface HttpRequestInfo {
+    method: string;
+    url: string;
+    headers: { [key: string]: string | string[] | undefined };
+    // Body already read/parsed by a framework, if any
+    body?: any;
+    readBody: (maxBodySize: number) => Promise<Buffer>;
+    createRequestContext: () => RequestContext | Promise<RequestContext>;
+    // Aborted when the client disconnects before the response is sent
+    signal?: AbortSignal;
+}
+
+class HttpError extends Error {
+    status: number;
+    headers: { [key: string]: string };
+
+    constructor(status: number, message: string, headers: { [key: string]: string } = {}) {
+        super(message);
+        this.status = status;
+        this.headers = headers;
+    }
+}
+
+function createJsonResult(status: number, payload: any, headers: { [key: string]: string } = {}): HttpResult {
+    return {
+        status,
+        headers: { ...headers, 'Content-Type': 'application/json; charset=utf-8' },
+        body: JSON.stringify(payload)
+    };
+}
+
+function createHttpErrorResult(status: number, message: string, headers?: { [key: string]: string }): HttpResult {
+    const code = status === 500 ? JSONRPC_ERRORCODES.INTERNAL_ERROR : JSONRPC_ERRORCODES.INVALID_REQUEST;
+    return createJsonResult(status, { jsonrpc: '2.0', error: createErrorObject(code, message), id: null }, headers);
+}
+
+/**
+ * Read the request body as a string, rejects with a 413 HttpError when the
+ * body is larger than maxBodySize.
+ *
+ * @param {*} req
+ * @param {*} maxBodySize
+ */
+export function readRequestBody(req: IncomingMessage, maxBodySize: number = DEFAULT_MAX_BODY_SIZE): Promise<string> {
+    return readRequestData(req, maxBodySize).then(body => body.toString('utf8'));
+}
+
+function readRequestData(req: IncomingMessage, maxBodySize: number): Promise<Buffer> {
+    return new Promise((resolve, reject) => {
+        const contentLength = Number(req.headers['content-length']);
+        if(contentLength > maxBodySize) {
+            req.resume();
+            reject(new HttpError(413, 'Request body too large'));
+            return;
+        }
+
+        const chunks: Buffer[] = [];
+        let size = 0;
+        let done = false;
+
+        const finish = (error: Error | null, body?: Buffer) => {
+            if(done) {
+                return;
+            }
+            done = true;
+            req.removeListener('data', onData);
+            req.removeListener('end', onEnd);
+            req.removeListener('error', onError);
+
+            if(error) {
+                reject(error);
+            } else {
+                resolve(body as Buffer);
+            }
+        };
+
+        const onData = (chunk: Buffer | string) => {
+            const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+            size += buffer.length;
+            if(size > maxBodySize) {
+                // Keep draining the request so the response can be sent
+                req.resume();
+                finish(new HttpError(413, 'Request body too large'));
+                return;
+            }
+            chunks.push(buffer);
+        };
+        const onEnd = () => finish(null, Buffer.concat(chunks));
+        const onError = (e: Error) => finish(e);
+
+        req.on('data', onData);
+        req.on('end', onEnd);
+        req.on('error', onError);
+    });
+}
+
+function getHeader(headers: HttpRequestInfo['headers'], name: string): string {
+    const value = headers[name];
+    return Array.isArray(value) ? value[0] : (value || '');
+}
+
+function isAcceptedContentType(contentType: string, contentTypes: string[]): boolean {
+    const mediaType = contentType.split(';')[0].trim().toLowerCase();
+    return contentTypes.some(type => type.toLowerCase() === mediaType);
+}
+
+/**
+ * Decode a call encoded in the query string:
+ *   ?method=add&params={"a":2,"b":4}&id=1
+ *
+ * params must be JSON, id is treated as JSON when possible and as a
+ * string otherwise. A call without id is a notification.
+ */
+function parseQueryRequest(url: string): JsonRpcRequest {
+    const query = new URL(url, 'http://localhost').searchParams;
+    const request: JsonRpcRequest = { jsonrpc: '2.0', method: query.get('method') as string };
+
+    const params = query.get('params');
+    if(params !== null) {
+        request.params = JSON.parse(params);
+    }
+
+    const id = query.get('id');
+    if(id !== null) {
+        try {
+            request.id = JSON.parse(id);
+        } catch(e) {
+            request.id = id;
+        }
+    }
+
+    return request;
+}
+
+function getRequestPayload(info: HttpRequestInfo, options: HttpHandlerOptions): Promise<any> {
+    const maxBodySize = options.maxBodySize !== undefined ? options.maxBodySize : DEFAULT_MAX_BODY_SIZE;
+
+    if(info.method === 'GET') {
+        return Promise.resolve().then(() => parseQueryRequest(info.url));
+    }
+
+    const contentTypes = options.contentTypes || ['application/json'];
+    if(!isAcceptedContentType(getHeader(info.headers, 'content-type'), contentTypes)) {
+        const expected = contentTypes.concat((options.codecs || []).map(codec => codec.contentType));
+        return Promise.reject(new HttpError(415, 'Unsupported Content-Type, expected ' + expected.join(' or ')));
+    }
+
+    if(info.body !== undefined && info.body !== null) {
+        if(Buffer.isBuffer(info.body)) {
+            return Promise.resolve(info.body.toString('utf8')).then(body => JSON.parse(body));
+        }
+
+        if(typeof info.body === 'string') {
+            return Promise.resolve(info.body).then(body => JSON.parse(body));
+        }
+
+        // Already parsed by the framework
+        return Promise.resolve(info.body);
+    }
+
+    return info.readBody(maxBodySize).then(body => JSON.parse(body.toString('utf8')));
+}
+
+/**
+ * Process a POST request encoded with a codec, the response is encoded with
+ * the same codec
+ */
+function processEncodedRequest(server: TinyJsonRpcServer, info: HttpRequestInfo, options: HttpHandlerOptions, codec: MessageCodec): Promise<HttpResult> {
+    const maxBodySize = options.maxBodySize !== undefined ? options.maxBodySize : DEFAULT_MAX_BODY_SIZE;
+    const body = Buffer.isBuffer(info.body) || typeof info.body === 'string' ? Promise.resolve(info.body) : info.readBody(maxBodySize);
+
+    return body
+        .then(data => Promise.resolve(info.createRequestContext())
+            .then(requestContext => server.handleEncodedRequest(data, codec, requestContext, { signal: info.signal })))
+        .then((response): HttpResult => {
+            // Only notifications, nothing to send back
+            if(response === null) {
+                return { status: 204, headers: {} };
+            }
+
+            return { status: 200, headers: { 'Content-Type': codec.contentType }, body: response };
+        });
+}
+
+/**
+ * Process a JSON request, the call is in the POST body or the query string
+ */
+function processJsonRequest(server: TinyJsonRpcServer, info: HttpRequestInfo, options: HttpHandlerOptions): Promise<HttpResult> {
+    let parseFailed = false;
+
+    return getRequestPayload(info, options)
+        .catch((e) => {
+            if(e instanceof SyntaxError) {
+                parseFailed = true;
+                return undefined;
+            }
+            throw e;
+        })
+        .then((payload) => {
+            if(parseFailed) {
+                return createParseErrorResponse();
+            }
+
+            return Promise.resolve(info.createRequestContext())
+                .then(requestContext => server.handleJsonRpcRequest(payload, requestContext, { signal: info.signal }));
+        })
+        .then((response) => {
+            // Only notifications, nothing to send back
+            if(response === null) {
+                return { status: 204, headers: {} };
+            }
+
+            return createJsonResult(200, response);
+        });
+}
+
+/**
+ * Process an http request and produce the status, headers and body to send.
+ * This is used by all the http adapters.
+ */
+function processHttpRequest(server: TinyJsonRpcServer, info: HttpRequestInfo, options: HttpHandlerOptions): Promise<HttpResult> {
+    const allowedMethods = options.allowGet ? 'GET, POST' : 'POST';
+
+    if(info.method !== 'POST' && !(info.method === 'GET' && options.allowGet)) {
+        return Promise.resolve(createHttpErrorResult(405, 'Method not allowed', { 'Allow': allowedMethods }));
+    }
+
+    const codec = info.method === 'POST' && options.codecs ? findCodecByContentType(options.codecs, getHeader(info.headers, 'content-type')) : undefined;
+    const processed = codec ? processEncodedRequest(server, info, options, codec) : processJsonRequest(server, info, options);
+
+    return processed
+        .catch((e) => {
+            if(e instanceof HttpError) {
+                return createHttpErrorResult(e.status, e.message, e.headers);
+            }
+
+            if(e instanceof JsonRpcRequestException) {
+                return createJsonResult(200, { jsonrpc: '2.0', error: e.errorObj, id: null } as JsonRpcResponse);
+            }
+
+            server.getLogger().error(e);
+            return createHttpErrorResult(500, 'An error occurred when processing request');
+        })
+        .then((result) => {
+            // Let the clients reconnect elsewhere instead of reusing the connection
+            if(server.isDraining()) {
+                result.headers = { ...result.headers, 'Connection': 'close' };
+            }
+            return result;
+        });
+}
+
+function writeHttpResult(res: ServerResponse, result: HttpResult): void {
+    const headers: { [key: string]: string | number } = { ...result.headers };
+    if(result.body !== undefined) {
+        headers['Content-Length'] = Buffer.byteLength(result.body);
+    }
+
+    res.writeHead(result.status, headers);
+    res.end(result.body);
+}
+
+/**
+ * Create a request listener for http.createServer:
+ *
+ *   http.createServer(createHttpHandler(jsonRpcServer, { maxBodySize: 100000 }));
+ *
+ * The returned promise is always resolved once the response is sent.
+ *
+ * @param {*} server the TinyJsonRpcServer handling the requests
+ * @param {*} options
+ */
+export function createHttpHandler(server: TinyJsonRpcServer, options: HttpHandlerOptions = {}): (req: IncomingMessage, res: ServerResponse) => Promise<void> {
+    return (req, res) => {
+        const abortController = new AbortController();
+        const onClose = () => {
+            if(!res.writableFinished) {
+                abortController.abort();
+            }
+        };
+        res.on('close', onClose);
+
+        const info: HttpRequestInfo = {
+            method: req.method || 'GET',
+            url: req.url || '/',
+            headers: req.headers,
+            body: (req as any).body,
+            readBody: (maxBodySize) => readRequestData(req, maxBodySize),
+            createRequestContext: () => options.createRequestContext ? options.createRequestContext(req, res) : { req, res },
+            signal: abortController.signal
+        };
+
+        return processHttpRequest(server, info, options)
+            .then((result) => {
+                res.removeListener('close', onClose);
+                writeHttpResult(res, result);
+            });
+    };
+}
+
+/**
+ * Create an Express/Connect style middleware. A body already parsed by
+ * express.json() is used when present, otherwise the body is read from
+ * the request.
+ *
+ *   app.post('/api/jsonrpc', createExpressMiddleware(jsonRpcServer));
+ *
+ * @param {*} server the TinyJsonRpcServer handling the requests
+ * @param {*} options
+ */
+export function createExpressMiddleware(server: TinyJsonRpcServer, options: HttpHandlerOptions = {}): (req: IncomingMessage, res: ServerResponse, next: (err?: any) => void) => void {
+    const handler = createHttpHandler(server, options);
+
+    return (req, res, next) => {
+        handler(req, res).catch(next);
+    };
+}
+
+/**
+ * Create a Koa style middleware. A body already parsed by a body parser
+ * (ctx.request.body) is used when present, otherwise the body is read from
+ * ctx.req.
+ *
+ *   router.post('/api/jsonrpc', createKoaMiddleware(jsonRpcServer));
+ *
+ * @param {*} server the TinyJsonRpcServer handling the requests
+ * @param {*} options
+ */
+export function createKoaMiddleware(server: TinyJsonRpcServer, options: KoaMiddlewareOptions = {}): (ctx: any, next?: () => Promise<any>) => Promise<void> {
+    return (ctx) => {
+        const abortController = new AbortController();
+        const onClose = () => {
+            if(!ctx.res.writableFinished) {
+                abortController.abort();
+            }
+        };
+        ctx.res.on('close', onClose);
+
+        const info: HttpRequestInfo = {
+            method: ctx.method,
+            url: ctx.url,
+            headers: ctx.headers,
+            body: ctx.request && ctx.request.body,
+            readBody: (maxBodySize) => readRequestData(ctx.req, maxBodySize),
+            createRequestContext: () => options.createRequestContext ? options.createRequestContext(ctx) : { ctx, req: ctx.req, res: ctx.res },
+            signal: abortController.signal
+        };
+
+        return processHttpRequest(server, info, options as HttpHandlerOptions)
+            .then((result) => {
+                ctx.res.removeListener('close', onClose);
+                ctx.status = result.status;
+                Object.keys(result.headers).forEach(name => ctx.set(name, result.headers[name]));
+                if(result.body !== undefined) {
+                    ctx.body = result.body;
+                }
+            });
+    };
+}
@@ -0,0 +1,252 @@
+import { ErrorObject, JSONRPC_ERRORCODES } from './TinyJsonRpcServer';
+
+export interface MetricsOptions {
+    // Prefix of the metric names, defaults to 'jsonrpc_'
+    prefix?: string;
+    // Upper bounds of the call duration buckets in seconds
+    durationBuckets?: number[];
+    // Upper bounds of the batch size buckets
+    batchSizeBuckets?: number[];
+    // Maximum number of distinct method labels, other methods are counted as
+    // OTHER_METHOD_LABEL. Defaults to 100
+    maxMethods?: number;
+}
+
+export type MetricLabels = { [key: string]: string };
+
+export interface MetricSample {
+    labels: MetricLabels;
+    value: number;
+}
+
+export interface HistogramSample {
+    labels: MetricLabels;
+    // Cumulative counts, the last bucket is +Inf
+    buckets: { le: number, count: number }[];
+    sum: number;
+    count: number;
+}
+
+export type MetricFamily = {
+    name: string;
+    help: string;
+    type: 'counter' | 'gauge';
+    samples: MetricSample[];
+} | {
+    name: string;
+    help: string;
+    type: 'histogram';
+    samples: HistogramSample[];
+};
+
+export const DEFAULT_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+export const DEFAULT_BATCH_SIZE_BUCKETS = [1, 2, 5, 10, 20, 50, 100];
+
+// Method label used for calls of methods that are not registered, like the
+// methods found by a method callback
+export const UNKNOWN_METHOD_LABEL = '__unknown__';
+// Method label used once maxMethods distinct methods have been seen
+export const OTHER_METHOD_LABEL = '__other__';
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function labelKey(labels: MetricLabels): string {
+    return JSON.stringify(labels);
+}
+
+class Counter {
+    _samples: Map<string, MetricSample>;
+
+    constructor() {
+        this._samples = new Map();
+    }
+
+    inc(labels: MetricLabels, value: number = 1): void {
+        const key = labelKey(labels);
+        const sample = this._samples.get(key);
+        if(sample) {
+            sample.value += value;
+        } else {
+            this._samples.set(key, { labels, value });
+        }
+    }
+
+    getSamples(): MetricSample[] {
+        return Array.from(this._samples.values()).map(sample => ({ labels: { ...sample.labels }, value: sample.value }));
+    }
+}
+
+class Histogram {
+    _bounds: number[];
+    _samples: Map<string, { labels: MetricLabels, counts: number[], sum: number, count: number }>;
+
+    constructor(bounds: number[]) {
+        this._bounds = bounds.slice().sort((a, b) => a - b);
+        this._samples = new Map();
+    }
+
+    observe(labels: MetricLabels, value: number): void {
+        const key = labelKey(labels);
+        let sample = this._samples.get(key);
+        if(!sample) {
+            sample = { labels, counts: this._bounds.map(() => 0), sum: 0, count: 0 };
+            this._samples.set(key, sample);
+        }
+
+        const index = this._bounds.findIndex(bound => value <= bound);
+        if(index !== -1) {
+            sample.counts[index]++;
+        }
+        sample.sum += value;
+        sample.count++;
+    }
+
+    getSamples(): HistogramSample[] {
+        return Array.from(this._samples.values()).map((sample) => {
+            let cumulative = 0;
+            const buckets = this._bounds.map((le, index) => {
+                cumulative += sample.counts[index];
+                return { le, count: cumulative };
+            });
+            buckets.push({ le: Infinity, count: sample.count });
+
+            return { labels: { ...sample.labels }, buckets, sum: sample.sum, count: sample.count };
+        });
+    }
+}
+
+/**
+ * Collects the call and batch metrics of a server
+ */
+export class MetricsCollector {
+    _prefix: string;
+    _maxMethods: number;
+    _methods: Set<string>;
+    _calls: Counter;
+    _errors: Counter;
+    _durations: Histogram;
+    _batchSizes: Histogram;
+    _inFlight: number;
+
+    constructor(options: MetricsOptions = {}) {
+        this._prefix = options.prefix !== undefined ? options.prefix : 'jsonrpc_';
+        this._maxMethods = options.maxMethods !== undefined ? options.maxMethods : 100;
+        this._methods = new Set();
+        this._calls = new Counter();
+        this._errors = new Counter();
+        this._durations = new Histogram(options.durationBuckets || DEFAULT_DURATION_BUCKETS);
+        this._batchSizes = new Histogram(options.batchSizeBuckets || DEFAULT_BATCH_SIZE_BUCKETS);
+        this._inFlight = 0;
+    }
+
+    callStarted(): void {
+        this._inFlight++;
+    }
+
+    /**
+     * @param {*} method
+     * @param {*} duration in milliseconds
+     * @param {*} error error object sent, undefined on success
+     * @param {*} registered false when the method is not registered nor described
+     */
+    callFinished(method: string, duration: number, error?: ErrorObject, registered: boolean = true): void {
+        this._inFlight--;
+
+        const labels = { method: this._getMethodLabel(method, registered, error) };
+        this._calls.inc({ ...labels, outcome: error ? 'error' : 'success' });
+        this._durations.observe(labels, duration / 1000);
+
+        if(error) {
+            this._errors.inc({ ...labels, code: String(error.code) });
+        }
+    }
+
+    batchFinished(size: number): void {
+        this._batchSizes.observe({}, size);
+    }
+
+    /**
+     * Returns a snapshot of the metrics
+     */
+    getSnapshot(): MetricFamily[] {
+        return [
+            { name: this._prefix + 'calls_total', help: 'Calls by method and outcome', type: 'counter', samples: this._calls.getSamples() },
+            { name: this._prefix + 'errors_total', help: 'Error responses by method and error code', type: 'counter', samples: this._errors.getSamples() },
+            { name: this._prefix + 'call_duration_seconds', help: 'Call duration in seconds', type: 'histogram', samples: this._durations.getSamples() },
+            { name: this._prefix + 'calls_in_flight', help: 'Calls currently being handled', type: 'gauge', samples: [{ labels: {}, value: this._inFlight }] },
+            { name: this._prefix + 'batch_size', help: 'Number of requests in batch requests', type: 'histogram', samples: this._batchSizes.getSamples() }
+        ];
+    }
+
+    /**
+     * Unknown methods share one label, and only the first maxMethods
+     * registered methods get their own label, so clients can't create
+     * unlimited series nor take the labels of the registered methods
+     */
+    _getMethodLabel(method: string, registered: boolean, error?: ErrorObject): string {
+        if(!registered || (error && error.code === JSONRPC_ERRORCODES.METHOD_NOT_FOUND)) {
+            return UNKNOWN_METHOD_LABEL;
+        }
+
+        if(!this._methods.has(method)) {
+            if(this._methods.size >= this._maxMethods) {
+                return OTHER_METHOD_LABEL;
+            }
+            this._methods.add(method);
+        }
+
+        return method;
+    }
+}
+
+function escapeLabelValue(value: string): string {
+    return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels: MetricLabels): string {
+    const keys = Object.keys(labels);
+    if(keys.length === 0) {
+        return '';
+    }
+
+    return '{' + keys.map(key => key + '="' + escapeLabelValue(labels[key]) + '"').join(',') + '}';
+}
+
+function formatValue(value: number): string {
+    if(value === Infinity) {
+        return '+Inf';
+    }
+
+    return String(value);
+}
+
+/**
+ * Render metrics in the Prometheus text exposition format, serve it with
+ * the PROMETHEUS_CONTENT_TYPE Content-Type.
+ *
+ * @param {*} metrics the snapshot returned by server.getMetrics()
+ */
+export function renderPrometheusMetrics(metrics: MetricFamily[]): string {
+    const lines: string[] = [];
+
+    metrics.forEach((family) => {
+        lines.push('# HELP ' + family.name + ' ' + family.help);
+        lines.push('# TYPE ' + family.name + ' ' + family.type);
+
+        if(family.type === 'histogram') {
+            family.samples.forEach((sample) => {
+                sample.buckets.forEach((bucket) => {
+                    lines.push(family.name + '_bucket' + formatLabels({ ...sample.labels, le: formatValue(bucket.le) }) + ' ' + bucket.count);
+                });
+                lines.push(family.name + '_sum' + formatLabels(sample.labels) + ' ' + formatValue(sample.sum));
+                lines.push(family.name + '_count' + formatLabels(sample.labels) + ' ' + sample.count);
+            });
+        } else {
+            family.samples.forEach((sample) => {
+                lines.push(family.name + formatLabels(sample.labels) + ' ' + formatValue(sample.value));
+            });
+        }
+    });
+
+    return lines.join('\n') + '\n';
+}
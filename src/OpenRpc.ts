@@ -0,0 +1,162 @@
+import type { MethodOptions } from './TinyJsonRpcServer';
+import { JsonSchema } from './SchemaValidator';
+import { ParameterSpec, isRequiredParameter, parseParameterDeclarations } from './ParamMapping';
+
+export const OPENRPC_VERSION = '1.2.6';
+
+export interface OpenRpcInfo {
+    title: string;
+    version: string;
+    description?: string;
+    [key: string]: any;
+}
+
+export interface OpenRpcContentDescriptor {
+    name: string;
+    schema: JsonSchema;
+    required?: boolean;
+    description?: string;
+}
+
+export interface OpenRpcMethod {
+    name: string;
+    summary?: string;
+    description?: string;
+    paramStructure?: 'by-name' | 'by-position' | 'either';
+    params: OpenRpcContentDescriptor[];
+    result: OpenRpcContentDescriptor;
+    errors?: any[];
+    examples?: any[];
+    deprecated?: boolean;
+    [key: string]: any;
+}
+
+export interface OpenRpcDocument {
+    openrpc: string;
+    info: OpenRpcInfo;
+    methods: OpenRpcMethod[];
+    [key: string]: any;
+}
+
+export interface OpenRpcOptions {
+    info?: Partial<OpenRpcInfo>;
+    servers?: any[];
+}
+
+/**
+ * Turn a params JSON Schema into a list of content descriptors. Object schemas
+ * are described by name, tuple schemas by position, anything else is described
+ * as a single "params" value.
+ */
+function createParamDescriptors(schema: JsonSchema | undefined): Pick<OpenRpcMethod, 'params' | 'paramStructure'> {
+    if(!schema) {
+        return { params: [] };
+    }
+
+    if(schema.properties) {
+        const properties = schema.properties;
+        const required = schema.required || [];
+        return {
+            paramStructure: 'by-name',
+            params: Object.keys(properties).map(name => createDescriptor(name, properties[name], required.indexOf(name) !== -1))
+        };
+    }
+
+    if(Array.isArray(schema.items)) {
+        const minItems = schema.minItems !== undefined ? schema.minItems : 0;
+        return {
+            paramStructure: 'by-position',
+            params: schema.items.map((item, index) => createDescriptor(item.title || 'param' + index, item, index < minItems))
+        };
+    }
+
+    return { params: [createDescriptor('params', schema, false)] };
+}
+
+/**
+ * Describe a declared parameter list, the params may be given by name or by position
+ */
+function createDeclaredParamDescriptors(parameters: ParameterSpec[]): Pick<OpenRpcMethod, 'params' | 'paramStructure'> {
+    return {
+        paramStructure: 'either',
+        params: parseParameterDeclarations(parameters).map((declaration) => {
+            const schema = declaration.schema || {};
+            return createDescriptor(declaration.name, declaration.rest ? { type: 'array', items: schema } : schema, isRequiredParameter(declaration));
+        })
+    };
+}
+
+function createDescriptor(name: string, schema: JsonSchema, required: boolean): OpenRpcContentDescriptor {
+    const descriptor: OpenRpcContentDescriptor = { name, schema };
+
+    if(required) {
+        descriptor.required = true;
+    }
+
+    if(schema.description) {
+        descriptor.description = schema.description;
+    }
+
+    return descriptor;
+}
+
+/**
+ * Create an OpenRPC method object from the method name and the options
+ * given to registerMethod/describeMethod.
+ *
+ * @param {*} name
+ * @param {*} options
+ */
+export function createOpenRpcMethod(name: string, options: MethodOptions = {}): OpenRpcMethod {
+    const method: OpenRpcMethod = {
+        name,
+        ...(options.parameters && !options.params ? createDeclaredParamDescriptors(options.parameters) : createParamDescriptors(options.params)),
+        result: createDescriptor('result', options.result || {}, false)
+    };
+
+    if(options.summary) {
+        method.summary = options.summary;
+    }
+
+    if(options.description) {
+        method.description = options.description;
+    }
+
+    if(options.deprecated) {
+        method.deprecated = true;
+    }
+
+    if(options.errors && options.errors.length > 0) {
+        method.errors = options.errors;
+    }
+
+    if(options.examples && options.examples.length > 0) {
+        method.examples = options.examples;
+    }
+
+    return method;
+}
+
+/**
+ * Create an OpenRPC document describing the given methods.
+ *
+ * @param {*} methods map of method name to method options
+ * @param {*} options info and servers for the document
+ */
+export function createOpenRpcDocument(methods: { [key: string]: MethodOptions }, options: OpenRpcOptions = {}): OpenRpcDocument {
+    const document: OpenRpcDocument = {
+        openrpc: OPENRPC_VERSION,
+        info: {
+            title: 'JSON-RPC API',
+            version: '1.0.0',
+            ...options.info
+        },
+        methods: Object.keys(methods).sort().map(name => createOpenRpcMethod(name, methods[name]))
+    };
+
+    if(options.servers) {
+        document.servers = options.servers;
+    }
+
+    return document;
+}
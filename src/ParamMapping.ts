@@ -0,0 +1,158 @@
+import { JsonSchema, SchemaViolation, propertyPath, validateSchema } from './SchemaValidator';
+
+/**
+ * A declared method parameter
+ */
+export interface ParameterDeclaration {
+    name: string;
+    // The parameter may be left out, the value is then undefined
+    optional?: boolean;
+    // Value used when the parameter is left out
+    default?: any;
+    // Collects the remaining positional params, must be the last parameter
+    rest?: boolean;
+    // JSON Schema the value must match, for rest parameters every item must match
+    schema?: JsonSchema;
+}
+
+/**
+ * A parameter declaration or the shorthand strings 'name', 'name?' (optional)
+ * and '...name' (rest)
+ */
+export type ParameterSpec = string | ParameterDeclaration;
+
+export interface MappedParams {
+    // Parameter values by name
+    values: { [key: string]: any };
+    // Parameter values in declaration order, with the rest parameter spread
+    args: any[];
+    violations: SchemaViolation[];
+}
+
+/**
+ * Turn a parameter list into parameter declarations, throws when the list
+ * is not valid.
+ *
+ * @param {*} parameters
+ */
+export function parseParameterDeclarations(parameters: ParameterSpec[]): ParameterDeclaration[] {
+    const declarations = parameters.map((parameter): ParameterDeclaration => {
+        if(typeof parameter !== 'string') {
+            return parameter;
+        }
+
+        if(parameter.startsWith('...')) {
+            return { name: parameter.slice(3), rest: true };
+        }
+
+        if(parameter.endsWith('?')) {
+            return { name: parameter.slice(0, -1), optional: true };
+        }
+
+        return { name: parameter };
+    });
+
+    const names = new Set<string>();
+    declarations.forEach((declaration, index) => {
+        if(!declaration.name || names.has(declaration.name)) {
+            throw new Error('Invalid or duplicate parameter name: ' + declaration.name);
+        }
+        names.add(declaration.name);
+
+        if(declaration.rest && index !== declarations.length - 1) {
+            throw new Error('Only the last parameter can be a rest parameter: ' + declaration.name);
+        }
+    });
+
+    return declarations;
+}
+
+/**
+ * Returns true when the parameter must be given
+ *
+ * @param {*} declaration
+ */
+export function isRequiredParameter(declaration: ParameterDeclaration): boolean {
+    return !declaration.optional && !declaration.rest && !('default' in declaration);
+}
+
+/**
+ * Map positional ([2, 4]) or named ({ a: 2, b: 4 }) params to the declared
+ * parameters. Missing required parameters, unknown names and extra positional
+ * params are reported as violations.
+ *
+ * @param {*} declarations
+ * @param {*} params
+ */
+export function mapParams(declarations: ParameterDeclaration[], params: any): MappedParams {
+    const result: MappedParams = { values: {}, args: [], violations: [] };
+
+    if(params !== undefined && params !== null && typeof params !== 'object') {
+        result.violations.push({ path: 'params', keyword: 'type', message: 'must be array or object' });
+        return result;
+    }
+
+    const positional = Array.isArray(params);
+    const list: any[] = positional ? params : [];
+    const named: { [key: string]: any } = !positional && params ? params : {};
+    const restDeclaration = declarations.find(declaration => declaration.rest);
+    const fixed = declarations.filter(declaration => !declaration.rest);
+
+    fixed.forEach((declaration, index) => {
+        const path = positional ? 'params[' + index + ']' : propertyPath('params', declaration.name);
+        let value = positional ? list[index] : (Object.prototype.hasOwnProperty.call(named, declaration.name) ? named[declaration.name] : undefined);
+
+        if(value === undefined) {
+            if(isRequiredParameter(declaration)) {
+                result.violations.push({ path, keyword: 'required', message: 'is required' });
+            }
+            value = declaration.default;
+        } else if(declaration.schema) {
+            result.violations.push(...validateSchema(declaration.schema, value, path));
+        }
+
+        if(value !== undefined) {
+            result.values[declaration.name] = value;
+        }
+        result.args[index] = value;
+    });
+
+    let restValues: any[] = [];
+    if(positional) {
+        restValues = list.slice(fixed.length);
+        if(!restDeclaration) {
+            restValues.forEach((value, index) => {
+                result.violations.push({ path: 'params[' + (fixed.length + index) + ']', keyword: 'additionalItems', message: 'is not allowed' });
+            });
+            restValues = [];
+        }
+    } else {
+        if(restDeclaration && named[restDeclaration.name] !== undefined) {
+            if(Array.isArray(named[restDeclaration.name])) {
+                restValues = named[restDeclaration.name];
+            } else {
+                result.violations.push({ path: propertyPath('params', restDeclaration.name), keyword: 'type', message: 'must be array' });
+            }
+        }
+
+        Object.keys(named).forEach((key) => {
+            if(!declarations.some(declaration => declaration.name === key)) {
+                result.violations.push({ path: propertyPath('params', key), keyword: 'additionalProperties', message: 'is not allowed' });
+            }
+        });
+    }
+
+    if(restDeclaration) {
+        const restSchema = restDeclaration.schema;
+        if(restSchema) {
+            const offset = positional ? fixed.length : 0;
+            const restPath = (index: number) => positional ? 'params[' + (offset + index) + ']' : propertyPath('params', restDeclaration.name) + '[' + index + ']';
+            restValues.forEach((value, index) => result.violations.push(...validateSchema(restSchema, value, restPath(index))));
+        }
+
+        result.values[restDeclaration.name] = restValues;
+        result.args.push(...restValues);
+    }
+
+    return result;
+}
@@ -0,0 +1,274 @@
+import { randomBytes } from 'crypto';
+import {
+    ErrorObject,
+    JsonRpcParams,
+    JsonRpcRequestException,
+    SERVER_ERRORCODES
+} from './TinyJsonRpcServer';
+
+export const PROGRESS_METHOD = '$/progress';
+
+export type ProgressToken = string | number;
+
+/**
+ * Given to methods registered with { progress: true } as callContext.progress
+ */
+export interface ProgressReporter {
+    // Report progress, for example { percentage: 50, message: 'Exporting' }
+    report(value: any): void;
+    // Send a part of the result
+    partial(result: any): void;
+}
+
+/**
+ * A transport able to push notifications, see requestContext.transport
+ */
+export interface ProgressTransport {
+    notify(method: string, params?: JsonRpcParams): void;
+}
+
+export interface JobOptions {
+    // How long finished jobs are kept in milliseconds, defaults to 10 minutes
+    retention?: number;
+    // Maximum number of jobs kept, the oldest finished jobs are dropped to
+    // make room. Starting a job fails with RATE_LIMITED when all the jobs
+    // are running. Defaults to 1000
+    maxJobs?: number;
+}
+
+export type JobState = 'running' | 'succeeded' | 'failed';
+
+export interface JobStatus {
+    jobId: string;
+    method: string;
+    state: JobState;
+    // Last value given to progress.report()
+    progress?: any;
+    // Values given to progress.partial()
+    partialResults: any[];
+}
+
+interface Job {
+    status: JobStatus;
+    result?: any;
+    error?: ErrorObject;
+    controller: AbortController;
+}
+
+const noop = () => undefined;
+
+/**
+ * Returns true when the transport can push notifications
+ *
+ * @param {*} transport
+ */
+export function canPushNotifications(transport: any): transport is ProgressTransport {
+    return !!transport && typeof transport.notify === 'function';
+}
+
+/**
+ * Take the progressToken out of object params
+ *
+ * @param {*} params
+ */
+export function extractProgressToken(params: JsonRpcParams | undefined): { params: JsonRpcParams | undefined, token?: ProgressToken } {
+    if(!params || Array.isArray(params) || !('progressToken' in params)) {
+        return { params };
+    }
+
+    const { progressToken, ...rest } = params as { progressToken?: ProgressToken };
+    return { params: rest, token: progressToken };
+}
+
+/**
+ * Returns a reporter sending $/progress notifications tagged with the token:
+ *
+ *   { "jsonrpc": "2.0", "method": "$/progress", "params": { "token": <token>, "value": <value> } }
+ *   { "jsonrpc": "2.0", "method": "$/progress", "params": { "token": <token>, "partialResult": <result> } }
+ *
+ * Without a token the reports are dropped.
+ *
+ * @param {*} transport
+ * @param {*} token
+ */
+export function createProgressReporter(transport: ProgressTransport, token: ProgressToken | undefined): ProgressReporter {
+    if(token === undefined) {
+        return { report: noop, partial: noop };
+    }
+
+    return {
+        report: value => transport.notify(PROGRESS_METHOD, { token, value }),
+        partial: result => transport.notify(PROGRESS_METHOD, { token, partialResult: result })
+    };
+}
+
+/**
+ * Returns the exception of job lookups for unknown jobs
+ */
+export function createJobNotFoundException(): JsonRpcRequestException {
+    return new JsonRpcRequestException(SERVER_ERRORCODES.NOT_FOUND, 'Job not found');
+}
+
+/**
+ * Returns the job id from the params of rpc.job.status/rpc.job.result,
+ * { jobId } or [jobId]
+ *
+ * @param {*} params
+ */
+export function getJobIdParam(params: JsonRpcParams | undefined): any {
+    if(Array.isArray(params)) {
+        return params[0];
+    }
+
+    return params ? (params as { jobId?: string }).jobId : undefined;
+}
+
+/**
+ * Runs methods as jobs for clients without a push channel. The call returns
+ * { jobId } at once, and the client polls rpc.job.status and rpc.job.result,
+ * or cancels the job with rpc.job.cancel.
+ */
+export class JobManager {
+    _jobs: Map<string, Job>;
+    _retention: number;
+    _maxJobs: number;
+
+    constructor(options: JobOptions = {}) {
+        this._jobs = new Map();
+        this._retention = options.retention !== undefined ? options.retention : 10 * 60 * 1000;
+        this._maxJobs = options.maxJobs !== undefined ? options.maxJobs : 1000;
+    }
+
+    /**
+     * Start a job, returns its id and a promise resolved once the job is 
+     * done. The job fails with the abort reason as soon as the controller
+     * is aborted.
+     *
+     * @param {*} method method name, reported in the status
+     * @param {*} run runs the method with a reporter recording the progress and the signal of the job
+     * @param {*} mapError turns a failure into the error object of the job
+     * @param {*} controller aborts the job
+     */
+    start(method: string, run: (progress: ProgressReporter, signal: AbortSignal) => any, mapError: (error: any) => ErrorObject, controller: AbortController = new AbortController()): { jobId: string, done: Promise<void> } {
+        this._makeRoom();
+
+        const jobId = randomBytes(16).toString('hex');
+        const job: Job = { status: { jobId, method, state: 'running', partialResults: [] }, controller };
+        this._jobs.set(jobId, job);
+
+        const progress: ProgressReporter = {
+            report: (value) => { job.status.progress = value; },
+            partial: (result) => { job.status.partialResults.push(result); }
+        };
+
+        let resolveDone: () => void = noop;
+        const done = new Promise<void>((resolve) => { resolveDone = resolve; });
+
+        // The first outcome wins, a method ignoring the signal settles later
+        const finish = (state: JobState, result?: any, error?: ErrorObject) => {
+            if(job.status.state !== 'running') {
+                return;
+            }
+            job.status.state = state;
+            job.result = result;
+            job.error = error;
+            controller.signal.removeEventListener('abort', onAbort);
+
+            const timer = setTimeout(() => this._jobs.delete(jobId), this._retention);
+            timer.unref();
+            resolveDone();
+        };
+        const onAbort = () => finish('failed', undefined, mapError(controller.signal.reason));
+        controller.signal.addEventListener('abort', onAbort);
+
+        Promise.resolve()
+            .then(() => run(progress, controller.signal))
+            .then(result => finish('succeeded', result), e => finish('failed', undefined, mapError(e)));
+
+        return { jobId, done };
+    }
+
+    has(jobId: string): boolean {
+        return this._jobs.has(jobId);
+    }
+
+    /**
+     * Returns the method that started the job, undefined for unknown jobs
+     *
+     * @param {*} jobId
+     */
+    getMethod(jobId: string): string | undefined {
+        const job = this._jobs.get(jobId);
+        return job && job.status.method;
+    }
+
+    /**
+     * rpc.job.cancel, params { jobId } or [jobId]. Aborts the signal of a
+     * running job, the job fails with REQUEST_CANCELLED. Returns the status.
+     *
+     * @param {*} params
+     */
+    cancel(params: JsonRpcParams | undefined): JobStatus {
+        const job = this._getJob(params);
+        job.controller.abort(new JsonRpcRequestException(SERVER_ERRORCODES.REQUEST_CANCELLED, 'Job cancelled'));
+        return this.getStatus(params);
+    }
+
+    /**
+     * rpc.job.status, params { jobId } or [jobId]
+     *
+     * @param {*} params
+     */
+    getStatus(params: JsonRpcParams | undefined): JobStatus {
+        const job = this._getJob(params);
+        return { ...job.status, partialResults: job.status.partialResults.slice() };
+    }
+
+    /**
+     * rpc.job.result, params { jobId } or [jobId]. Fails with the error of
+     * the job, or CONFLICT while the job is running.
+     *
+     * @param {*} params
+     */
+    getResult(params: JsonRpcParams | undefined): any {
+        const job = this._getJob(params);
+
+        if(job.status.state === 'running') {
+            throw new JsonRpcRequestException(SERVER_ERRORCODES.CONFLICT, 'Job not finished', { state: job.status.state });
+        }
+
+        if(job.error) {
+            throw new JsonRpcRequestException(job.error);
+        }
+
+        // A job returning undefined has a null result
+        return job.result === undefined ? null : job.result;
+    }
+
+    _getJob(params: JsonRpcParams | undefined): Job {
+        const job = this._jobs.get(getJobIdParam(params));
+        if(!job) {
+            throw createJobNotFoundException();
+        }
+
+        return job;
+    }
+
+    /**
+     * Drop the oldest finished job when maxJobs are kept
+     */
+    _makeRoom(): void {
+        if(this._jobs.size < this._maxJobs) {
+            return;
+        }
+
+        for(const [jobId, job] of this._jobs) {
+            if(job.status.state !== 'running') {
+                this._jobs.delete(jobId);
+                return;
+            }
+        }
+
+        throw new JsonRpcRequestException(SERVER_ERRORCODES.RATE_LIMITED, 'Too many jobs', { maxJobs: this._maxJobs });
+    }
+}
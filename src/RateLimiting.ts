@@ -0,0 +1,279 @@
+import {
+    ErrorObject,
+    JsonRpcRequestException,
+    Middleware,
+    RequestContext,
+    SERVER_ERRORCODES,
+    createErrorObject
+} from './TinyJsonRpcServer';
+
+/**
+ * A limit of calls per interval.
+ *
+ * The token bucket strategy refills `limit` tokens per interval continuously
+ * and allows bursts of up to `burst` calls (defaults to limit). The sliding
+ * window strategy allows at most `limit` calls in any interval.
+ */
+export interface RateLimit {
+    limit: number;
+    // Interval in milliseconds
+    interval: number;
+    // Defaults to 'token-bucket'
+    strategy?: 'token-bucket' | 'sliding-window';
+    burst?: number;
+}
+
+export type RateLimitState = { tokens: number, updated: number } | { hits: number[] };
+
+/**
+ * Where the limiter keeps its state. get and set may return promises, so the
+ * state can be shared between processes (Redis, memcached...). The calls of
+ * a client are counted one after the other within a process, but updates
+ * from several processes are not atomic and may exceed the limit a little.
+ */
+export interface RateLimitStore {
+    get(key: string): RateLimitState | undefined | Promise<RateLimitState | undefined>;
+    // The state may be dropped once ttl milliseconds have passed
+    set(key: string, state: RateLimitState, ttl: number): void | Promise<void>;
+}
+
+export interface RateLimiterOptions {
+    // Identifies the client, defaults to requestContext.user.id, then to the
+    // remote address of requestContext.req. Calls with an undefined key are
+    // not limited.
+    key?: (requestContext: RequestContext) => string | undefined;
+    // Limit of all the calls of a client
+    limit?: RateLimit;
+    // Count the limit option separately for every method
+    perMethod?: boolean;
+    // Limits of single methods, in addition to the limit option
+    methods?: { [method: string]: RateLimit };
+    // Defaults to a MemoryRateLimitStore
+    store?: RateLimitStore;
+    // Error returned when a limit is exceeded, defaults to SERVER_ERRORCODES.RATE_LIMITED/'Rate limit exceeded'
+    error?: Partial<ErrorObject>;
+    // Current time in milliseconds, defaults to Date.now
+    now?: () => number;
+}
+
+export interface RateLimitResult {
+    allowed: boolean;
+    // Milliseconds until the call would be allowed, 0 when allowed
+    retryAfter: number;
+}
+
+interface RateLimitDecision extends RateLimitResult {
+    state: RateLimitState;
+    ttl: number;
+}
+
+const SWEEP_INTERVAL = 1000;
+
+/**
+ * In-memory store, expired entries are removed every SWEEP_INTERVAL writes
+ */
+export class MemoryRateLimitStore implements RateLimitStore {
+    _entries: Map<string, { state: RateLimitState, expires: number }>;
+    _writes: number;
+    _now: () => number;
+
+    constructor(now: () => number = Date.now) {
+        this._entries = new Map();
+        this._writes = 0;
+        this._now = now;
+    }
+
+    get(key: string): RateLimitState | undefined {
+        const entry = this._entries.get(key);
+        if(!entry || entry.expires <= this._now()) {
+            return undefined;
+        }
+
+        return entry.state;
+    }
+
+    set(key: string, state: RateLimitState, ttl: number): void {
+        const now = this._now();
+
+        if(++this._writes >= SWEEP_INTERVAL) {
+            this._writes = 0;
+            this._entries.forEach((entry, entryKey) => {
+                if(entry.expires <= now) {
+                    this._entries.delete(entryKey);
+                }
+            });
+        }
+
+        this._entries.set(key, { state, expires: now + ttl });
+    }
+}
+
+function takeToken(rateLimit: RateLimit, state: RateLimitState | undefined, now: number): RateLimitDecision {
+    const capacity = rateLimit.burst !== undefined ? rateLimit.burst : rateLimit.limit;
+    const rate = rateLimit.limit / rateLimit.interval;
+    const previous = state && 'tokens' in state ? state : { tokens: capacity, updated: now };
+
+    let tokens = Math.min(capacity, previous.tokens + Math.max(0, now - previous.updated) * rate);
+    const allowed = tokens >= 1;
+    if(allowed) {
+        tokens -= 1;
+    }
+
+    return {
+        allowed,
+        retryAfter: allowed ? 0 : Math.ceil((1 - tokens) / rate),
+        state: { tokens, updated: now },
+        ttl: Math.ceil((capacity - tokens) / rate) + 1
+    };
+}
+
+function takeSlot(rateLimit: RateLimit, state: RateLimitState | undefined, now: number): RateLimitDecision {
+    const hits = (state && 'hits' in state ? state.hits : []).filter(time => time > now - rateLimit.interval);
+    const allowed = hits.length < rateLimit.limit;
+    if(allowed) {
+        hits.push(now);
+    }
+
+    return {
+        allowed,
+        // The call is allowed once enough of the hits in the window expired
+        retryAfter: allowed ? 0 : hits[hits.length - rateLimit.limit] + rateLimit.interval - now,
+        state: { hits },
+        ttl: rateLimit.interval
+    };
+}
+
+/**
+ * Throws when the limit would never allow a call or give no retry delay:
+ * limit and interval must be positive, the sliding window needs a whole
+ * limit and the token bucket room for at least one token
+ */
+function checkRateLimit(name: string, rateLimit: RateLimit): void {
+    const isPositive = (value: number) => typeof value === 'number' && value > 0 && isFinite(value);
+    const capacity = rateLimit.burst !== undefined ? rateLimit.burst : rateLimit.limit;
+    const valid = isPositive(rateLimit.limit) && isPositive(rateLimit.interval) && (rateLimit.strategy === 'sliding-window'
+        ? Number.isInteger(rateLimit.limit)
+        : isPositive(capacity) && capacity >= 1);
+
+    if(!valid) {
+        throw new Error('Invalid rate limit ' + name + ': limit and interval must be positive, with room for at least one call');
+    }
+}
+
+function getDefaultKey(requestContext: RequestContext): string | undefined {
+    if(requestContext && requestContext.user && requestContext.user.id !== undefined) {
+        return 'user:' + requestContext.user.id;
+    }
+
+    const socket = requestContext && requestContext.req && requestContext.req.socket;
+    return socket && socket.remoteAddress ? 'ip:' + socket.remoteAddress : undefined;
+}
+
+/**
+ * Limits the calls of clients, counting every call of a batch. Add it to a
+ * server with:
+ *
+ *   server.use(new RateLimiter({ limit: { limit: 100, interval: 60000 } }).getMiddleware());
+ *
+ * Calls over the limit fail with SERVER_ERRORCODES.RATE_LIMITED and
+ * { retryAfter: <seconds> } as data, and are not counted.
+ */
+export class RateLimiter {
+    _options: RateLimiterOptions;
+    _store: RateLimitStore;
+    _now: () => number;
+    _queues: Map<string, Promise<any>>;
+
+    constructor(options: RateLimiterOptions = {}) {
+        if(options.limit) {
+            checkRateLimit('limit', options.limit);
+        }
+        const methods = options.methods || {};
+        Object.keys(methods).forEach(method => checkRateLimit("of method '" + method + "'", methods[method]));
+
+        this._options = options;
+        this._now = options.now || Date.now;
+        this._store = options.store || new MemoryRateLimitStore(this._now);
+        this._queues = new Map();
+    }
+
+    /**
+     * Count a call of the method, resolves to whether it is allowed. The call
+     * is only counted when all the limits allow it.
+     *
+     * @param {*} method
+     * @param {*} requestContext
+     */
+    take(method: string, requestContext: RequestContext): Promise<RateLimitResult> {
+        const key = this._options.key ? this._options.key(requestContext) : getDefaultKey(requestContext);
+        if(key === undefined) {
+            return Promise.resolve({ allowed: true, retryAfter: 0 });
+        }
+
+        const limits: { storeKey: string, rateLimit: RateLimit }[] = [];
+        if(this._options.limit) {
+            limits.push({ storeKey: JSON.stringify([key, this._options.perMethod ? method : null]), rateLimit: this._options.limit });
+        }
+
+        const methods = this._options.methods || {};
+        if(Object.prototype.hasOwnProperty.call(methods, method)) {
+            limits.push({ storeKey: JSON.stringify([key, 'method', method]), rateLimit: methods[method] });
+        }
+
+        // Calls of the same client, like the entries of a batch, wait for
+        // each other so they see the state written by the previous call
+        const previous = this._queues.get(key) || Promise.resolve();
+        const result = previous.then(() => this._takeLimits(limits));
+        const queued = result.catch(() => undefined);
+        this._queues.set(key, queued);
+        queued.then(() => {
+            if(this._queues.get(key) === queued) {
+                this._queues.delete(key);
+            }
+        });
+
+        return result;
+    }
+
+    _takeLimits(limits: { storeKey: string, rateLimit: RateLimit }[]): Promise<RateLimitResult> {
+        return Promise.all(limits.map(({ storeKey }) => this._store.get(storeKey)))
+            .then((states) => {
+                const now = this._now();
+                const decisions = limits.map(({ rateLimit }, index) => {
+                    return rateLimit.strategy === 'sliding-window' ? takeSlot(rateLimit, states[index], now) : takeToken(rateLimit, states[index], now);
+                });
+
+                const denied = decisions.filter(decision => !decision.allowed);
+                if(denied.length > 0) {
+                    return { allowed: false, retryAfter: Math.max(...denied.map(decision => decision.retryAfter)) };
+                }
+
+                return Promise.all(decisions.map((decision, index) => this._store.set(limits[index].storeKey, decision.state, decision.ttl)))
+                    .then(() => ({ allowed: true, retryAfter: 0 }));
+            });
+    }
+
+    /**
+     * Returns the middleware enforcing the limits
+     */
+    getMiddleware(): Middleware {
+        return (ctx, next) => {
+            if(ctx.type !== 'call') {
+                return next();
+            }
+
+            return this.take(ctx.method as string, ctx.requestContext)
+                .then((result) => {
+                    if(!result.allowed) {
+                        throw this._createRateLimitException(result.retryAfter);
+                    }
+                    return next();
+                });
+        };
+    }
+
+    _createRateLimitException(retryAfter: number): JsonRpcRequestException {
+        const error = createErrorObject(SERVER_ERRORCODES.RATE_LIMITED, 'Rate limit exceeded', { retryAfter: Math.ceil(retryAfter / 1000) });
+        return new JsonRpcRequestException({ ...error, ...this._options.error });
+    }
+}
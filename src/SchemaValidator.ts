@@ -0,0 +1,202 @@
+
+export type JsonSchemaType = 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null';
+
+/**
+ * The subset of JSON Schema supported by validateSchema
+ */
+export interface JsonSchema {
+    type?: JsonSchemaType | JsonSchemaType[];
+    required?: string[];
+    properties?: { [key: string]: JsonSchema };
+    additionalProperties?: boolean | JsonSchema;
+    items?: JsonSchema | JsonSchema[];
+    enum?: any[];
+    const?: any;
+    minimum?: number;
+    maximum?: number;
+    exclusiveMinimum?: number;
+    exclusiveMaximum?: number;
+    minLength?: number;
+    maxLength?: number;
+    minItems?: number;
+    maxItems?: number;
+    pattern?: string;
+    description?: string;
+    [key: string]: any;
+}
+
+export interface SchemaViolation {
+    path: string;
+    keyword: string;
+    message: string;
+}
+
+function getType(value: any): JsonSchemaType | undefined {
+    if(value === null) {
+        return 'null';
+    }
+
+    if(Array.isArray(value)) {
+        return 'array';
+    }
+
+    switch(typeof value) {
+        case 'string': return 'string';
+        case 'boolean': return 'boolean';
+        case 'number': return Number.isInteger(value) ? 'integer' : 'number';
+        case 'object': return 'object';
+    }
+
+    return undefined;
+}
+
+function matchesType(value: any, type: JsonSchemaType): boolean {
+    const valueType = getType(value);
+
+    if(type === 'number') {
+        return (valueType === 'number' || valueType === 'integer') && isFinite(value);
+    }
+
+    return valueType === type;
+}
+
+function isEqual(a: any, b: any): boolean {
+    if(a === b) {
+        return true;
+    }
+
+    if(typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+        return false;
+    }
+
+    if(Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    if(keysA.length !== keysB.length) {
+        return false;
+    }
+
+    return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+}
+
+/**
+ * Returns the violation path of a property, params.a or params["b-c"]
+ *
+ * @param {*} path
+ * @param {*} key
+ */
+export function propertyPath(path: string, key: string): string {
+    return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key) ? path + '.' + key : path + '[' + JSON.stringify(key) + ']';
+}
+
+function validateValue(schema: JsonSchema, value: any, path: string, violations: SchemaViolation[]): void {
+    const addViolation = (keyword: string, message: string) => {
+        violations.push({ path, keyword, message });
+    };
+
+    if(schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if(!types.some(type => matchesType(value, type))) {
+            addViolation('type', 'must be ' + types.join(' or '));
+            // The remaining keywords are meaningless for a value of the wrong type
+            return;
+        }
+    }
+
+    if(schema.enum !== undefined && !schema.enum.some(item => isEqual(item, value))) {
+        addViolation('enum', 'must be one of ' + JSON.stringify(schema.enum));
+    }
+
+    if('const' in schema && !isEqual(schema.const, value)) {
+        addViolation('const', 'must be ' + JSON.stringify(schema.const));
+    }
+
+    if(typeof value === 'number') {
+        if(schema.minimum !== undefined && value < schema.minimum) {
+            addViolation('minimum', 'must be >= ' + schema.minimum);
+        }
+        if(schema.maximum !== undefined && value > schema.maximum) {
+            addViolation('maximum', 'must be <= ' + schema.maximum);
+        }
+        if(schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            addViolation('exclusiveMinimum', 'must be > ' + schema.exclusiveMinimum);
+        }
+        if(schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            addViolation('exclusiveMaximum', 'must be < ' + schema.exclusiveMaximum);
+        }
+    }
+
+    if(typeof value === 'string') {
+        // Length is counted in code points, as required by JSON Schema
+        const length = Array.from(value).length;
+        if(schema.minLength !== undefined && length < schema.minLength) {
+            addViolation('minLength', 'must have at least ' + schema.minLength + ' characters');
+        }
+        if(schema.maxLength !== undefined && length > schema.maxLength) {
+            addViolation('maxLength', 'must have at most ' + schema.maxLength + ' characters');
+        }
+        if(schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+            addViolation('pattern', 'must match pattern ' + schema.pattern);
+        }
+    }
+
+    if(Array.isArray(value)) {
+        if(schema.minItems !== undefined && value.length < schema.minItems) {
+            addViolation('minItems', 'must have at least ' + schema.minItems + ' items');
+        }
+        if(schema.maxItems !== undefined && value.length > schema.maxItems) {
+            addViolation('maxItems', 'must have at most ' + schema.maxItems + ' items');
+        }
+        if(Array.isArray(schema.items)) {
+            const tupleSchemas = schema.items;
+            value.forEach((item, index) => {
+                if(index < tupleSchemas.length) {
+                    validateValue(tupleSchemas[index], item, path + '[' + index + ']', violations);
+                }
+            });
+        } else if(schema.items !== undefined) {
+            const itemSchema = schema.items;
+            value.forEach((item, index) => validateValue(itemSchema, item, path + '[' + index + ']', violations));
+        }
+    } else if(getType(value) === 'object') {
+        const properties = schema.properties || {};
+
+        (schema.required || []).forEach((key) => {
+            if(!Object.prototype.hasOwnProperty.call(value, key)) {
+                violations.push({ path: propertyPath(path, key), keyword: 'required', message: 'is required' });
+            }
+        });
+
+        Object.keys(value).forEach((key) => {
+            const childPath = propertyPath(path, key);
+            if(Object.prototype.hasOwnProperty.call(properties, key)) {
+                validateValue(properties[key], value[key], childPath, violations);
+            } else if(schema.additionalProperties === false) {
+                violations.push({ path: childPath, keyword: 'additionalProperties', message: 'is not allowed' });
+            } else if(typeof schema.additionalProperties === 'object') {
+                validateValue(schema.additionalProperties, value[key], childPath, violations);
+            }
+        });
+    }
+}
+
+/**
+ * Validate a value against a JSON Schema. Supports the keywords type,
+ * required, properties, additionalProperties, items, enum, const,
+ * minimum, maximum, exclusiveMinimum, exclusiveMaximum, minLength,
+ * maxLength, minItems, maxItems and pattern. Other keywords are ignored.
+ *
+ * Returns a list of violations, the list is empty when the value is valid.
+ *
+ * @param {*} schema
+ * @param {*} value
+ * @param {*} path name used for the value in violation paths
+ */
+export function validateSchema(schema: JsonSchema, value: any, path: string = 'params'): SchemaViolation[] {
+    const violations: SchemaViolation[] = [];
+    validateValue(schema, value, path, violations);
+    return violations;
+}
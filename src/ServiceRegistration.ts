@@ -0,0 +1,128 @@
+import type { MethodHandler, MethodMap, MethodOptions } from './TinyJsonRpcServer';
+
+export interface RegisterServiceOptions {
+    // Prefix added to every method name, for example 'billing.'
+    prefix?: string;
+    // Only expose these methods (names of the class methods)
+    include?: string[];
+    // Never expose these methods (names of the class methods)
+    exclude?: string[];
+    // Only expose the methods marked with rpcMethod()
+    decoratedOnly?: boolean;
+}
+
+/**
+ * Options given to rpcMethod, the method options are used as with registerMethod
+ */
+export interface RpcMethodOptions extends MethodOptions {
+    // Public method name, defaults to the name of the class method
+    name?: string;
+    // Set to false to never expose the method
+    expose?: boolean;
+}
+
+export interface ServiceMethods {
+    methods: MethodMap;
+    options: { [key: string]: MethodOptions };
+}
+
+const rpcMethodRegistry: WeakMap<object, Map<string, RpcMethodOptions>> = new WeakMap();
+
+/**
+ * Mark a class method for registerService(), as a TypeScript decorator
+ * (experimentalDecorators) or called directly with the prototype:
+ *
+ *   class InvoiceService {
+ *       @rpcMethod('create')
+ *       createInvoice(params) { ... }
+ *
+ *       @rpcMethod(false)
+ *       helper() { ... }
+ *   }
+ *
+ *   rpcMethod('create')(InvoiceService.prototype, 'createInvoice');
+ *
+ * @param {*} nameOrOptions public name, false to opt out, or RpcMethodOptions
+ */
+export function rpcMethod(nameOrOptions: string | false | RpcMethodOptions = {}): (target: object, propertyKey: string | symbol, descriptor?: PropertyDescriptor) => void {
+    let options: RpcMethodOptions;
+    if(nameOrOptions === false) {
+        options = { expose: false };
+    } else if(typeof nameOrOptions === 'string') {
+        options = { name: nameOrOptions };
+    } else {
+        options = nameOrOptions;
+    }
+
+    return (target, propertyKey) => {
+        if(typeof propertyKey !== 'string') {
+            return;
+        }
+
+        let methods = rpcMethodRegistry.get(target);
+        if(!methods) {
+            methods = new Map();
+            rpcMethodRegistry.set(target, methods);
+        }
+        methods.set(propertyKey, { ...methods.get(propertyKey), ...options });
+    };
+}
+
+/**
+ * Returns the rpcMethod options of a class method, looking at the prototype
+ * defining the method first and then at its parents.
+ */
+function getRpcMethodOptions(proto: object | null, key: string): RpcMethodOptions | undefined {
+    for(; proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+        const methods = rpcMethodRegistry.get(proto);
+        if(methods && methods.has(key)) {
+            return methods.get(key);
+        }
+    }
+
+    return undefined;
+}
+
+/**
+ * Collect the methods of an object, walking the prototype chain, bound to
+ * the object. The constructor, names starting with an underscore, accessors
+ * and the members of Object.prototype are skipped.
+ *
+ * @param {*} instance
+ * @param {*} options
+ */
+export function getServiceMethods(instance: object, options: RegisterServiceOptions = {}): ServiceMethods {
+    const { prefix = '', include, exclude = [], decoratedOnly = false } = options;
+    const result: ServiceMethods = { methods: {}, options: {} };
+    const seen = new Set<string>();
+
+    for(let proto: any = instance; proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+        Object.getOwnPropertyNames(proto).forEach((key) => {
+            // Overridden methods are only seen once, from the most derived class
+            if(seen.has(key)) {
+                return;
+            }
+            seen.add(key);
+
+            const descriptor = Object.getOwnPropertyDescriptor(proto, key) as PropertyDescriptor;
+            if(key === 'constructor' || key.startsWith('_') || typeof descriptor.value !== 'function') {
+                return;
+            }
+
+            if((include && include.indexOf(key) === -1) || exclude.indexOf(key) !== -1) {
+                return;
+            }
+
+            const rpcOptions = getRpcMethodOptions(proto, key);
+            if((decoratedOnly && !rpcOptions) || (rpcOptions && rpcOptions.expose === false)) {
+                return;
+            }
+
+            const { name = key, expose, ...methodOptions } = rpcOptions || {};
+            result.methods[prefix + name] = (descriptor.value as MethodHandler).bind(instance);
+            result.options[prefix + name] = methodOptions;
+        });
+    }
+
+    return result;
+}
@@ -0,0 +1,367 @@
+import { EventEmitter } from 'events';
+import type { Readable, Writable } from 'stream';
+import {
+    JsonRpcParams,
+    RequestContext,
+    TinyJsonRpcServer,
+    createParseErrorResponse
+} from './TinyJsonRpcServer';
+
+export type StreamFraming = 'ndjson' | 'content-length';
+
+export interface StreamTransportOptions {
+    // Message framing, defaults to 'ndjson'
+    framing?: StreamFraming;
+    // Maximum size of a single message in bytes, defaults to 16 MiB
+    maxMessageSize?: number;
+    // End the output stream when the transport closes, defaults to true
+    // except for process.stdout/process.stderr
+    endOutput?: boolean;
+    // Build the requestContext, defaults to { transport }
+    createRequestContext?: (transport: StreamTransport) => RequestContext;
+}
+
+export interface MessageDecoder {
+    // Returns the complete messages found after adding chunk, throws on framing errors
+    push(chunk: Buffer): string[];
+}
+
+export const DEFAULT_MAX_MESSAGE_SIZE = 16 * 1024 * 1024;
+
+const NEWLINE = 0x0a;
+const HEADER_END = Buffer.from('\r\n\r\n');
+
+/**
+ * Decoder for newline delimited JSON, one message per line.
+ * Empty lines are ignored.
+ */
+export class NdjsonDecoder implements MessageDecoder {
+    _buffer: Buffer;
+    _maxMessageSize: number;
+
+    constructor(maxMessageSize: number = DEFAULT_MAX_MESSAGE_SIZE) {
+        this._buffer = Buffer.alloc(0);
+        this._maxMessageSize = maxMessageSize;
+    }
+
+    push(chunk: Buffer): string[] {
+        // The unfinished line must stay within the limit once the chunk is added
+        const newline = chunk.indexOf(NEWLINE);
+        if(this._buffer.length + (newline === -1 ? chunk.length : newline) > this._maxMessageSize) {
+            throw new Error('Message too large');
+        }
+        this._buffer = this._buffer.length === 0 ? chunk : Buffer.concat([this._buffer, chunk]);
+
+        const messages: string[] = [];
+        let index: number;
+        while((index = this._buffer.indexOf(NEWLINE)) !== -1) {
+            if(index > this._maxMessageSize) {
+                throw new Error('Message too large');
+            }
+            const line = this._buffer.slice(0, index).toString('utf8').trim();
+            this._buffer = this._buffer.slice(index + 1);
+            if(line !== '') {
+                messages.push(line);
+            }
+        }
+
+        if(this._buffer.length > this._maxMessageSize) {
+            throw new Error('Message too large');
+        }
+
+        return messages;
+    }
+}
+
+/**
+ * Decoder for LSP style framing:
+ *   Content-Length: <bytes>\r\n
+ *   \r\n
+ *   <message>
+ *
+ * Other headers are ignored.
+ */
+export class ContentLengthDecoder implements MessageDecoder {
+    _buffer: Buffer;
+    _maxMessageSize: number;
+    _contentLength: number;
+
+    constructor(maxMessageSize: number = DEFAULT_MAX_MESSAGE_SIZE) {
+        this._buffer = Buffer.alloc(0);
+        this._maxMessageSize = maxMessageSize;
+        this._contentLength = -1;
+    }
+
+    push(chunk: Buffer): string[] {
+        this._buffer = this._buffer.length === 0 ? chunk : Buffer.concat([this._buffer, chunk]);
+
+        const messages: string[] = [];
+        for(;;) {
+            if(this._contentLength === -1) {
+                const headerEnd = this._buffer.indexOf(HEADER_END);
+                if(headerEnd === -1) {
+                    if(this._buffer.length > 8192) {
+                        throw new Error('Message header too large');
+                    }
+                    break;
+                }
+
+                this._contentLength = this._parseHeaders(this._buffer.slice(0, headerEnd).toString('ascii'));
+                this._buffer = this._buffer.slice(headerEnd + HEADER_END.length);
+            }
+
+            if(this._buffer.length < this._contentLength) {
+                break;
+            }
+
+            messages.push(this._buffer.slice(0, this._contentLength).toString('utf8'));
+            this._buffer = this._buffer.slice(this._contentLength);
+            this._contentLength = -1;
+        }
+
+        return messages;
+    }
+
+    _parseHeaders(headers: string): number {
+        let contentLength = -1;
+
+        headers.split('\r\n').forEach((header) => {
+            const separator = header.indexOf(':');
+            if(separator !== -1 && header.slice(0, separator).trim().toLowerCase() === 'content-length') {
+                contentLength = Number(header.slice(separator + 1).trim());
+            }
+        });
+
+        if(!Number.isInteger(contentLength) || contentLength < 0) {
+            throw new Error('Missing or invalid Content-Length header');
+        }
+
+        if(contentLength > this._maxMessageSize) {
+            throw new Error('Message too large');
+        }
+
+        return contentLength;
+    }
+}
+
+/**
+ * Encode a message using the given framing
+ *
+ * @param {*} message JSON string
+ * @param {*} framing
+ */
+export function encodeMessage(message: string, framing: StreamFraming = 'ndjson'): Buffer {
+    if(framing === 'content-length') {
+        const body = Buffer.from(message, 'utf8');
+        return Buffer.concat([Buffer.from('Content-Length: ' + body.length + '\r\n\r\n', 'ascii'), body]);
+    }
+
+    // JSON.stringify never produces raw newlines, so the message is a single line
+    return Buffer.from(message + '\n', 'utf8');
+}
+
+export function createMessageDecoder(framing: StreamFraming = 'ndjson', maxMessageSize?: number): MessageDecoder {
+    return framing === 'content-length' ? new ContentLengthDecoder(maxMessageSize) : new NdjsonDecoder(maxMessageSize);
+}
+
+/**
+ * Serve a TinyJsonRpcServer over a pair of streams, for example stdin/stdout,
+ * a net.Socket or the stdio pipes of a child process.
+ *
+ * Requests are handled concurrently and responses are written as soon as
+ * they are ready, so they may be sent in a different order than the requests
+ * were received. When the output stream is full, reading from the input is
+ * paused until the output has drained.
+ *
+ * A net.Socket ends its writable side when the peer ends, create sockets with
+ * allowHalfOpen: true to still send the responses to the last requests.
+ * When the input is closed or fails, the pending requests are cancelled.
+ * The transport closes when the server drains.
+ *
+ * Events:
+ *  - 'close' emitted once the transport is closed and pending requests are done
+ */
+export class StreamTransport extends EventEmitter {
+    _server: TinyJsonRpcServer;
+    _input: Readable;
+    _output: Writable;
+    _framing: StreamFraming;
+    _decoder: MessageDecoder;
+    _endOutput: boolean;
+    _requestContext: RequestContext;
+    _pending: Set<Promise<void>>;
+    _waitingForDrain: boolean;
+    _closing: boolean;
+    _closed: boolean;
+    _closePromise: Promise<void> | undefined;
+    _abortController: AbortController;
+    _onData: (chunk: Buffer | string) => void;
+    _onEnd: () => void;
+    _onDisconnect: () => void;
+    _onOutputError: () => void;
+    _removeDrainListener: () => void;
+
+    /**
+     * @param {*} server the TinyJsonRpcServer handling the requests
+     * @param {*} input stream the requests are read from
+     * @param {*} output stream the responses are written to, defaults to input (duplex streams)
+     * @param {*} options
+     */
+    constructor(server: TinyJsonRpcServer, input: Readable, output: Writable = input as unknown as Writable, options: StreamTransportOptions = {}) {
+        super();
+        this._server = server;
+        this._input = input;
+        this._output = output;
+        this._framing = options.framing || 'ndjson';
+        this._decoder = createMessageDecoder(this._framing, options.maxMessageSize);
+        this._endOutput = options.endOutput !== undefined ? options.endOutput : (output as any) !== process.stdout && (output as any) !== process.stderr;
+        this._requestContext = options.createRequestContext ? options.createRequestContext(this) : { transport: this };
+        this._pending = new Set();
+        this._waitingForDrain = false;
+        this._closing = false;
+        this._closed = false;
+        this._closePromise = undefined;
+        this._abortController = new AbortController();
+
+        this._onData = (chunk) => this._handleData(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'utf8'));
+        // The input ended normally, pending requests are still answered
+        this._onEnd = () => { this.close(); };
+        // The input went away, cancel the pending requests
+        this._onDisconnect = () => {
+            this._abortController.abort();
+            this.close();
+        };
+        this._onOutputError = () => {
+            // The peer is gone, nothing more can be written
+            this._closed = true;
+            this._onDisconnect();
+        };
+
+        input.on('data', this._onData);
+        input.on('end', this._onEnd);
+        input.on('close', this._onDisconnect);
+        input.on('error', this._onDisconnect);
+        output.on('error', this._onOutputError);
+        this._removeDrainListener = server.onDrain(() => { this.close(); });
+    }
+
+    /**
+     * Send a message object to the peer, for example a notification.
+     *
+     * @param {*} message
+     */
+    send(message: object): void {
+        this._write(JSON.stringify(message));
+    }
+
+    /**
+     * Send a JSON-RPC notification to the peer.
+     *
+     * @param {*} method
+     * @param {*} params
+     */
+    notify(method: string, params?: JsonRpcParams): void {
+        const notification: { jsonrpc: string, method: string, params?: JsonRpcParams } = { jsonrpc: '2.0', method };
+        if(params !== undefined) {
+            notification.params = params;
+        }
+        this.send(notification);
+    }
+
+    /**
+     * Returns true once close() has been called or the input has ended.
+     */
+    isClosed(): boolean {
+        return this._closing;
+    }
+
+    /**
+     * Stop reading requests, wait for the pending requests to be answered
+     * and end the output stream. Returns a promise resolved when done.
+     */
+    close(): Promise<void> {
+        if(!this._closePromise) {
+            this._closing = true;
+            this._input.removeListener('data', this._onData);
+            this._input.removeListener('end', this._onEnd);
+            this._input.removeListener('close', this._onDisconnect);
+            this._input.removeListener('error', this._onDisconnect);
+            this._removeDrainListener();
+
+            this._closePromise = Promise.all(Array.from(this._pending))
+                .then(() => {
+                    if(this._endOutput && !this._closed) {
+                        this._output.end();
+                    }
+                    this._closed = true;
+                    this._output.removeListener('error', this._onOutputError);
+                    this.emit('close');
+                });
+        }
+
+        return this._closePromise;
+    }
+
+    _handleData(chunk: Buffer): void {
+        let messages: string[];
+        try {
+            messages = this._decoder.push(chunk);
+        } catch(e) {
+            // The framing can't be recovered, report and give up on the stream
+            this._write(JSON.stringify(createParseErrorResponse((e as Error).message)));
+            this.close();
+            return;
+        }
+
+        messages.forEach(message => this._handleMessage(message));
+    }
+
+    _handleMessage(message: string): void {
+        const promise = this._server.handleJsonRpcRequest(message, this._requestContext, { signal: this._abortController.signal })
+            .then((response) => {
+                if(response !== null) {
+                    this._write(JSON.stringify(response));
+                }
+            })
+            .catch((e) => {
+                this._server.getLogger().error(e);
+            })
+            .then(() => {
+                this._pending.delete(promise);
+            });
+
+        this._pending.add(promise);
+    }
+
+    _write(message: string): void {
+        if(this._closed) {
+            return;
+        }
+
+        const ok = this._output.write(encodeMessage(message, this._framing));
+        if(!ok && !this._waitingForDrain) {
+            this._waitingForDrain = true;
+            this._input.pause();
+            this._output.once('drain', () => {
+                this._waitingForDrain = false;
+                if(!this._closing) {
+                    this._input.resume();
+                }
+            });
+        }
+    }
+}
+
+/**
+ * Serve a TinyJsonRpcServer over a duplex stream (or an input and output stream).
+ *
+ *   attachStreamTransport(jsonRpcServer, process.stdin, { output: process.stdout, framing: 'content-length' });
+ *   net.createServer(socket => attachStreamTransport(jsonRpcServer, socket));
+ *
+ * @param {*} server the TinyJsonRpcServer handling the requests
+ * @param {*} stream duplex stream or input stream
+ * @param {*} options stream transport options, and output when stream is not a duplex
+ */
+export function attachStreamTransport(server: TinyJsonRpcServer, stream: Readable, options: StreamTransportOptions & { output?: Writable } = {}): StreamTransport {
+    return new StreamTransport(server, stream, options.output || stream as unknown as Writable, options);
+}
@@ -0,0 +1,234 @@
+import { randomBytes } from 'crypto';
+import type { EventEmitter } from 'events';
+import {
+    JSONRPC_ERRORCODES,
+    JsonRpcParams,
+    JsonRpcRequestException,
+    Logger,
+    MethodMap,
+    RequestContext
+} from './TinyJsonRpcServer';
+
+/**
+ * A transport able to push notifications, like WebSocketConnection and
+ * StreamTransport. It must emit 'close' when the connection goes away.
+ */
+export interface PushTransport extends EventEmitter {
+    notify(method: string, params?: JsonRpcParams): void;
+}
+
+export interface Subscription {
+    id: string;
+    topic: string;
+    params: any;
+    transport: PushTransport;
+    // Send a notification tagged with the subscription id
+    publish: (result: any) => void;
+}
+
+/**
+ * Called when a client subscribes to a topic. May return a cleanup function
+ * (or a promise of one) that is called when the subscription ends.
+ */
+export type TopicHandler = (subscription: Subscription, requestContext: RequestContext) => void | (() => void) | Promise<void | (() => void)>;
+
+export interface SubscriptionManagerOptions {
+    // Method name used for subscription notifications, defaults to 'subscription'
+    notificationMethod?: string;
+    // Logger for errors thrown by cleanup functions, defaults to console
+    logger?: Logger;
+}
+
+interface SubscriptionEntry {
+    subscription: Subscription;
+    cleanup?: () => void;
+}
+
+interface TransportEntry {
+    ids: Set<string>;
+    onClose: () => void;
+}
+
+/**
+ * Subscriptions in the style of eth_subscribe. The subscribe method takes
+ * the topic and optional topic params, either as [topic, params] or
+ * { topic, params }, and returns a subscription id. Notifications are sent as:
+ *
+ *   { jsonrpc: '2.0', method: 'subscription', params: { subscription: <id>, result: <data> } }
+ *
+ * The unsubscribe method takes the subscription id, either as [id] or
+ * { subscription: id }, and returns true if the subscription existed.
+ *
+ * Subscriptions need a transport able to push notifications in
+ * requestContext.transport, and are removed when the transport closes.
+ */
+export class SubscriptionManager {
+    _notificationMethod: string;
+    _topics: { [key: string]: TopicHandler };
+    _subscriptions: Map<string, SubscriptionEntry>;
+    _transports: Map<PushTransport, TransportEntry>;
+    _logger: Logger;
+
+    constructor(options: SubscriptionManagerOptions = {}) {
+        this._notificationMethod = options.notificationMethod || 'subscription';
+        this._topics = {};
+        this._subscriptions = new Map();
+        this._transports = new Map();
+        this._logger = options.logger || console;
+    }
+
+    /**
+     * Register a topic clients can subscribe to.
+     *
+     * @param {*} topic
+     * @param {*} handler optional handler called for every new subscription
+     */
+    addTopic(topic: string, handler: TopicHandler = () => undefined): SubscriptionManager {
+        this._topics[topic] = handler;
+        return this;
+    }
+
+    /**
+     * Returns the subscribe and unsubscribe methods, for use with registerMethods:
+     *
+     *   jsonRpcServer.registerMethods(subscriptions.getMethods());
+     *
+     * @param {*} names method names, defaults to subscribe/unsubscribe
+     */
+    getMethods({ subscribe = 'subscribe', unsubscribe = 'unsubscribe' }: { subscribe?: string, unsubscribe?: string } = {}): MethodMap {
+        return {
+            [subscribe]: (params, requestContext) => this._subscribe(params, requestContext),
+            [unsubscribe]: (params, requestContext) => this._unsubscribe(params, requestContext)
+        };
+    }
+
+    /**
+     * Send data to all subscribers of a topic
+     *
+     * @param {*} topic
+     * @param {*} result
+     * @param {*} filter optional function selecting the subscriptions to notify
+     */
+    publish(topic: string, result: any, filter?: (subscription: Subscription) => boolean): void {
+        this._subscriptions.forEach(({ subscription }) => {
+            if(subscription.topic === topic && (!filter || filter(subscription))) {
+                subscription.publish(result);
+            }
+        });
+    }
+
+    /**
+     * Returns the active subscriptions, optionally only for one topic
+     *
+     * @param {*} topic
+     */
+    getSubscriptions(topic?: string): Subscription[] {
+        return Array.from(this._subscriptions.values())
+            .map(entry => entry.subscription)
+            .filter(subscription => topic === undefined || subscription.topic === topic);
+    }
+
+    /**
+     * End a subscription, returns false if it did not exist
+     *
+     * @param {*} id
+     */
+    remove(id: string): boolean {
+        const entry = this._subscriptions.get(id);
+        if(!entry) {
+            return false;
+        }
+
+        this._subscriptions.delete(id);
+
+        const transport = entry.subscription.transport;
+        const transportEntry = this._transports.get(transport);
+        if(transportEntry) {
+            transportEntry.ids.delete(id);
+            if(transportEntry.ids.size === 0) {
+                this._transports.delete(transport);
+                transport.removeListener('close', transportEntry.onClose);
+            }
+        }
+
+        if(entry.cleanup) {
+            try {
+                entry.cleanup();
+            } catch(e) {
+                this._logger.error(e);
+            }
+        }
+
+        return true;
+    }
+
+    _subscribe(params: JsonRpcParams | undefined, requestContext: RequestContext): Promise<string> {
+        const transport: PushTransport | undefined = requestContext && requestContext.transport;
+        if(!transport || typeof transport.notify !== 'function') {
+            throw new JsonRpcRequestException(JSONRPC_ERRORCODES.INVALID_REQUEST, 'Subscriptions are not supported on this transport');
+        }
+
+        const [topic, topicParams] = Array.isArray(params) ? params : [params && (params as any).topic, params && (params as any).params];
+        if(typeof topic !== 'string' || !Object.prototype.hasOwnProperty.call(this._topics, topic)) {
+            throw new JsonRpcRequestException(JSONRPC_ERRORCODES.INVALID_PARAMS, 'Unknown subscription topic', { topic });
+        }
+
+        const id = '0x' + randomBytes(16).toString('hex');
+        const subscription: Subscription = {
+            id,
+            topic,
+            params: topicParams,
+            transport,
+            publish: (result) => {
+                if(this._subscriptions.has(id)) {
+                    transport.notify(this._notificationMethod, { subscription: id, result });
+                }
+            }
+        };
+
+        // Registered before the topic handler runs, so the subscription is
+        // removed if the transport closes while the handler is running
+        const entry: SubscriptionEntry = { subscription };
+        this._subscriptions.set(id, entry);
+
+        let transportEntry = this._transports.get(transport);
+        if(!transportEntry) {
+            const ids = new Set<string>();
+            transportEntry = { ids, onClose: () => Array.from(ids).forEach(id => this.remove(id)) };
+            this._transports.set(transport, transportEntry);
+            transport.on('close', transportEntry.onClose);
+        }
+        transportEntry.ids.add(id);
+
+        return Promise.resolve()
+            .then(() => this._topics[topic](subscription, requestContext))
+            .then((cleanup) => {
+                if(typeof cleanup === 'function') {
+                    // Already removed, e.g. the transport closed while subscribing
+                    if(!this._subscriptions.has(id)) {
+                        cleanup();
+                    } else {
+                        entry.cleanup = cleanup;
+                    }
+                }
+                return id;
+            })
+            .catch((e) => {
+                this.remove(id);
+                throw e;
+            });
+    }
+
+    _unsubscribe(params: JsonRpcParams | undefined, requestContext: RequestContext): boolean {
+        const id = Array.isArray(params) ? params[0] : params && (params as any).subscription;
+        const entry = this._subscriptions.get(id);
+
+        // Clients may only end their own subscriptions
+        if(!entry || entry.subscription.transport !== (requestContext && requestContext.transport)) {
+            return false;
+        }
+
+        return this.remove(id);
+    }
+}
+
@@ -0,0 +1,296 @@
+import {
+    JsonRpcId,
+    JsonRpcParams,
+    JsonRpcRequest,
+    JsonRpcRequestException,
+    JsonRpcResponse,
+    SERVER_ERRORCODES
+} from './TinyJsonRpcServer';
+import type { ContractCallArgs, ContractMethodName, ContractProxy, ContractResult } from './Contracts';
+import { TypeCodec } from './Codecs';
+
+export type ClientResponse = JsonRpcResponse | (JsonRpcResponse | null)[] | null | undefined;
+
+/**
+ * Sends requests for a TinyJsonRpcClient. send resolves to the response of
+ * the request or batch, null or undefined when nothing is answered (only
+ * notifications), and rejects when the transport fails.
+ */
+export interface ClientTransport {
+    send(message: JsonRpcRequest | JsonRpcRequest[]): Promise<ClientResponse>;
+    close?(): Promise<void>;
+}
+
+export interface TinyJsonRpcClientOptions {
+    // Send the calls and notifications made in the same tick as one batch
+    autoBatch?: boolean;
+    // Maximum number of requests in an automatic batch, defaults to 100
+    maxBatchSize?: number;
+    // Milliseconds to wait for a response, the calls then reject with a
+    // REQUEST_TIMEOUT error. 0 (default) waits forever
+    timeout?: number;
+    // Tag rich values in the params and revive them in the results, for
+    // servers with the types option
+    types?: boolean | TypeCodec;
+}
+
+interface PendingCall {
+    request: JsonRpcRequest;
+    resolve: (result: any) => void;
+    reject: (error: any) => void;
+}
+
+function createRequest(method: string, params: JsonRpcParams | undefined, id?: JsonRpcId): JsonRpcRequest {
+    const request: JsonRpcRequest = { jsonrpc: '2.0', method };
+    if(params !== undefined) {
+        request.params = params;
+    }
+    if(id !== undefined) {
+        request.id = id;
+    }
+    return request;
+}
+
+/**
+ * Requests sent together as one batch request:
+ *
+ *   const batch = client.createBatch();
+ *   const user = batch.call('getUser', { id: 1 });
+ *   batch.notify('log', ['batch sent']);
+ *   await batch.send();
+ *   console.log(await user);
+ */
+export class ClientBatch<Api = any> {
+    _client: TinyJsonRpcClient<Api>;
+    _calls: PendingCall[];
+    _sent: boolean;
+
+    constructor(client: TinyJsonRpcClient<Api>) {
+        this._client = client;
+        this._calls = [];
+        this._sent = false;
+    }
+
+    /**
+     * Add a call, returns a promise of its result settled once the batch is sent
+     *
+     * @param {*} method
+     * @param {*} params
+     */
+    call<K extends ContractMethodName<Api>>(method: K, ...[params]: ContractCallArgs<Api, K>): Promise<ContractResult<Api, K>> {
+        return this._add(createRequest(method, params as JsonRpcParams | undefined, this._client._nextId()));
+    }
+
+    /**
+     * Add a notification
+     *
+     * @param {*} method
+     * @param {*} params
+     */
+    notify<K extends ContractMethodName<Api>>(method: K, ...[params]: ContractCallArgs<Api, K>): void {
+        // Notifications only fail with the transport, reported by send()
+        this._add(createRequest(method, params as JsonRpcParams | undefined));
+    }
+
+    /**
+     * Send the batch, resolves once all the calls are settled and rejects
+     * when the transport fails
+     */
+    send(): Promise<void> {
+        if(this._sent) {
+            return Promise.reject(new Error('Batch already sent'));
+        }
+        this._sent = true;
+
+        return this._client._send(this._calls, true);
+    }
+
+    _add(request: JsonRpcRequest): Promise<any> {
+        if(this._sent) {
+            return Promise.reject(new Error('Batch already sent'));
+        }
+
+        const promise = new Promise((resolve, reject) => {
+            this._calls.push({ request, resolve, reject });
+        });
+        // The caller may only wait for send(), failed calls are not unhandled rejections
+        promise.catch(() => undefined);
+        return promise;
+    }
+}
+
+/**
+ * JSON-RPC 2.0 client:
+ *
+ *   const client = new TinyJsonRpcClient(new HttpClientTransport('http://localhost:3000/rpc'));
+ *   const sum = await client.call('add', [1, 2]);
+ *
+ * Error responses reject with a JsonRpcRequestException holding the error
+ * object in errorObj, transport failures reject with the transport error.
+ *
+ * With a contract (see Contracts) the calls are type checked, and
+ * client.proxy.add({ a: 1, b: 2 }) is the same as client.call('add', { a: 1, b: 2 }).
+ */
+export class TinyJsonRpcClient<Api = any> {
+    proxy: ContractProxy<Api>;
+    _transport: ClientTransport;
+    _autoBatch: boolean;
+    _maxBatchSize: number;
+    _timeout: number;
+    _types: TypeCodec | undefined;
+    _lastId: number;
+    _queue: PendingCall[];
+
+    constructor(transport: ClientTransport, options: TinyJsonRpcClientOptions = {}) {
+        this._transport = transport;
+        this._autoBatch = !!options.autoBatch;
+        this._maxBatchSize = options.maxBatchSize || 100;
+        this._timeout = options.timeout || 0;
+        this._types = options.types === true ? new TypeCodec() : (options.types || undefined);
+        this._lastId = 0;
+        this._queue = [];
+        this.proxy = new Proxy({}, {
+            get: (target, method) => {
+                // Not thenable, so the proxy can be returned from async functions
+                if(typeof method !== 'string' || method === 'then') {
+                    return undefined;
+                }
+                return (params?: JsonRpcParams) => this._enqueue(createRequest(method, params, this._nextId()));
+            }
+        }) as ContractProxy<Api>;
+    }
+
+    /**
+     * Call a method, returns a promise of the result
+     *
+     * @param {*} method
+     * @param {*} params array or object
+     */
+    call<K extends ContractMethodName<Api>>(method: K, ...[params]: ContractCallArgs<Api, K>): Promise<ContractResult<Api, K>> {
+        return this._enqueue(createRequest(method, params as JsonRpcParams | undefined, this._nextId()));
+    }
+
+    /**
+     * Send a notification, resolves once it is sent
+     *
+     * @param {*} method
+     * @param {*} params array or object
+     */
+    notify<K extends ContractMethodName<Api>>(method: K, ...[params]: ContractCallArgs<Api, K>): Promise<void> {
+        return this._enqueue(createRequest(method, params as JsonRpcParams | undefined));
+    }
+
+    /**
+     * Returns a batch, its requests are sent with batch.send()
+     */
+    createBatch(): ClientBatch<Api> {
+        return new ClientBatch<Api>(this);
+    }
+
+    /**
+     * Close the transport
+     */
+    close(): Promise<void> {
+        return this._transport.close ? this._transport.close() : Promise.resolve();
+    }
+
+    _nextId(): number {
+        return ++this._lastId;
+    }
+
+    _enqueue(request: JsonRpcRequest): Promise<any> {
+        return new Promise((resolve, reject) => {
+            const call: PendingCall = { request, resolve, reject };
+            if(!this._autoBatch) {
+                this._send([call]).catch(() => undefined);
+                return;
+            }
+
+            this._queue.push(call);
+            if(this._queue.length === 1) {
+                // Flush after the synchronous code that made the calls
+                Promise.resolve().then(() => this._flush());
+            }
+        });
+    }
+
+    _flush(): void {
+        const queue = this._queue;
+        this._queue = [];
+
+        for(let i = 0; i < queue.length; i += this._maxBatchSize) {
+            this._send(queue.slice(i, i + this._maxBatchSize)).catch(() => undefined);
+        }
+    }
+
+    /**
+     * Send the calls, a single call is not sent as a batch unless asBatch is
+     * set. Settles every call and resolves once done, rejects with the
+     * transport error.
+     */
+    _send(calls: PendingCall[], asBatch: boolean = false): Promise<void> {
+        if(calls.length === 0) {
+            return Promise.resolve();
+        }
+
+        const message = calls.length === 1 && !asBatch ? calls[0].request : calls.map(call => call.request);
+        const sent = Promise.resolve()
+            .then(() => this._transport.send(this._types ? this._types.encode(message) : message));
+
+        return this._withTimeout(sent)
+            .then(response => this._types ? this._types.decode(response) : response)
+            .then((response) => {
+                this._settle(calls, response);
+            }, (e) => {
+                calls.forEach(call => call.reject(e));
+                throw e;
+            });
+    }
+
+    /**
+     * Rejects with a REQUEST_TIMEOUT error when the timeout option is set
+     * and the transport has not answered in time
+     */
+    _withTimeout(sent: Promise<ClientResponse>): Promise<ClientResponse> {
+        if(!this._timeout) {
+            return sent;
+        }
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new JsonRpcRequestException(SERVER_ERRORCODES.REQUEST_TIMEOUT, 'Request timed out')), this._timeout);
+            sent.then((response) => {
+                clearTimeout(timer);
+                resolve(response);
+            }, (e) => {
+                clearTimeout(timer);
+                reject(e);
+            });
+        });
+    }
+
+    _settle(calls: PendingCall[], response: ClientResponse): void {
+        const responses = (Array.isArray(response) ? response : [response])
+            .filter((entry): entry is JsonRpcResponse => !!entry);
+
+        const byId = new Map<JsonRpcId, JsonRpcResponse>();
+        responses.forEach(entry => byId.set(entry.id, entry));
+        // An error the server could not relate to a request, for example a parse error
+        const unrelated = responses.find(entry => entry.id === null && entry.error);
+
+        calls.forEach((call) => {
+            if(call.request.id === undefined) {
+                call.resolve(undefined);
+                return;
+            }
+
+            const entry = byId.get(call.request.id) || unrelated;
+            if(!entry) {
+                call.reject(new Error('No response to request ' + call.request.id));
+            } else if(entry.error) {
+                call.reject(new JsonRpcRequestException(entry.error));
+            } else {
+                call.resolve(entry.result);
+            }
+        });
+    }
+}
@@ -1,3 +1,36 @@
+import { EventEmitter } from 'events';
+import { JsonSchema, validateSchema } from './SchemaValidator';
+import { OpenRpcDocument, OpenRpcOptions, createOpenRpcDocument } from './OpenRpc';
+import { RegisterServiceOptions, getServiceMethods } from './ServiceRegistration';
+import { ParameterDeclaration, ParameterSpec, mapParams, parseParameterDeclarations } from './ParamMapping';
+import { MetricFamily, MetricsCollector, MetricsOptions } from './Metrics';
+import { ErrorClassRegistry, ErrorInfo, ErrorMapper, ErrorMapping, describeError, mapError } from './ErrorMapping';
+import { AccessRequirement, AuthorizationOptions, checkAccessRequirement, hasAccessConditions } from './Authorization';
+import type { ContractHandler, ContractMethodName, ContractMethods } from './Contracts';
+import { JobManager, JobOptions, ProgressReporter, canPushNotifications, createJobNotFoundException, createProgressReporter, extractProgressToken, getJobIdParam } from './Progress';
+import { MessageCodec, TypeCodec } from './Codecs';
+import { CacheOptions, DedupeOptions, IdempotencyOptions, MethodCacheOptions, ResultCache, defaultCacheKey, extractIdempotencyKey } from './Caching';
+import { Deprecation, DeprecationWarning, MethodVersions, ResolvedMethod, VersioningOptions, createDeprecationWarning, createSunsetException, isSunset, normalizeDeprecation } from './Versioning';
+
+export * from './SchemaValidator';
+export * from './OpenRpc';
+export * from './HttpHandler';
+export * from './StreamTransport';
+export * from './WebSocketTransport';
+export * from './Subscriptions';
+export * from './ServiceRegistration';
+export * from './ParamMapping';
+export * from './Metrics';
+export * from './ErrorMapping';
+export * from './Authorization';
+export * from './RateLimiting';
+export * from './TinyJsonRpcClient';
+export * from './ClientTransports';
+export * from './Contracts';
+export * from './Progress';
+export * from './Codecs';
+export * from './Caching';
+export * from './Versioning';
 
 export enum JSONRPC_ERRORCODES {
     PARSE_ERROR = -32700,
@@ -7,15 +40,331 @@ export enum JSONRPC_ERRORCODES {
     INTERNAL_ERROR = -32603,
 };
 
+/**
+ * The error messages defined by the JSON-RPC 2.0 specification, used for the
+ * errors produced by the server in strict mode
+ */
+export const JSONRPC_ERRORMESSAGES: { [code: number]: string } = {
+    [JSONRPC_ERRORCODES.PARSE_ERROR]: 'Parse error',
+    [JSONRPC_ERRORCODES.INVALID_REQUEST]: 'Invalid Request',
+    [JSONRPC_ERRORCODES.METHOD_NOT_FOUND]: 'Method not found',
+    [JSONRPC_ERRORCODES.INVALID_PARAMS]: 'Invalid params',
+    [JSONRPC_ERRORCODES.INTERNAL_ERROR]: 'Internal error'
+};
+
+/**
+ * Error codes used by the server, in the -32000 to -32099 range reserved
+ * for implementation-defined server errors.
+ */
+export enum SERVER_ERRORCODES {
+    SERVER_ERROR = -32000,
+    REQUEST_TIMEOUT = -32001,
+    REQUEST_CANCELLED = -32002,
+    UNAUTHORIZED = -32003,
+    FORBIDDEN = -32004,
+    NOT_FOUND = -32005,
+    CONFLICT = -32006,
+    VALIDATION_FAILED = -32007,
+    RATE_LIMITED = -32008,
+    SHUTTING_DOWN = -32009,
+    METHOD_SUNSET = -32010,
+};
+
+// The server error range, -32099 to -32000
+export const SERVER_ERRORCODE_RANGE = { min: -32099, max: -32000 };
+
+// Part of the server error range left to applications, the server never uses these codes
+export const APPLICATION_ERRORCODE_RANGE = { min: -32099, max: -32050 };
+
+/**
+ * Returns true when the code is in the -32000 to -32099 server error range
+ * 
+ * @param {*} code 
+ */
+export function isServerErrorCode(code: number): boolean {
+    return code >= SERVER_ERRORCODE_RANGE.min && code <= SERVER_ERRORCODE_RANGE.max;
+}
+
 export type JsonRpcId = string | number | null;
 export type JsonRpcParams = object;
 export type RequestContext = any;
-export type MethodCallback = (method: string, params?: JsonRpcParams, requestContext?: RequestContext) => any;
+
+/**
+ * Information about the call being handled, given to methods as the third
+ * parameter. The signal is aborted when the call times out, is cancelled with
+ * $/cancelRequest or the transport disconnects.
+ */
+export interface CallContext {
+    id: JsonRpcId | undefined;
+    method: string;
+    signal: AbortSignal;
+    // Set for methods registered with { progress: true }
+    progress?: ProgressReporter;
+}
+
+export type MethodCallback = (method: string, params?: JsonRpcParams, requestContext?: RequestContext, callContext?: CallContext) => any;
+
+export type MethodHandler = (params: JsonRpcParams|undefined, requestContext?: RequestContext, callContext?: CallContext) => any;
 
 export interface MethodMap {
-    [key: string]: (params: JsonRpcParams|undefined, requestContext?: RequestContext) => any;
+    [key: string]: MethodHandler;
+}
+
+/**
+ * Methods grouped in nested objects, registered with dotted names:
+ * { billing: { invoice: { create: fn } } } registers 'billing.invoice.create'
+ */
+export interface NestedMethodMap {
+    [key: string]: MethodHandler | NestedMethodMap;
+}
+
+/**
+ * Options given to registerMethod
+ */
+export interface MethodOptions {
+    // JSON Schema the params must match before the method is called
+    params?: JsonSchema;
+    // JSON Schema the result is checked against in development mode
+    result?: JsonSchema;
+
+    // Declared parameter list, positional and named params are mapped to it
+    parameters?: ParameterSpec[];
+    // Call the method with the parameters as arguments, method(a, b), instead
+    // of method({ a, b }, requestContext, callContext)
+    spread?: boolean;
+
+    // Metadata used in the rpc.discover OpenRPC document
+    summary?: string;
+    description?: string;
+    errors?: ErrorObject[];
+    examples?: any[];
+
+    // Timeout in milliseconds, overrides the server timeout
+    timeout?: number;
+
+    // Who may call the method, see setAccessPolicy()
+    access?: AccessRequirement;
+
+    // The method reports progress with callContext.progress. The 
+    // progressToken property is taken out of object params, and calls
+    // without a transport able to push notifications run as jobs
+    progress?: boolean;
+
+    // Cache the results, identical concurrent calls run once
+    cache?: MethodCacheOptions;
+    // Identical concurrent calls of a client run once and share the result,
+    // needs a scope (see CacheOptions) or a key function
+    dedupe?: boolean | DedupeOptions;
+    // Calls with an idempotency key run once, retries of the client with the
+    // same key get the stored response. Needs a scope or a key function
+    idempotency?: boolean | IdempotencyOptions;
+
+    // Register the method as a version, registerMethod('user.get', fn, { version: 2 })
+    // registers 'user.get@2', see the versioning option of the server
+    version?: string | number;
+    // The method still works, calls emit a 'deprecated' event and fail
+    // with METHOD_SUNSET after the sunset date
+    deprecated?: boolean | Deprecation;
+}
+
+export interface TinyJsonRpcServerOptions {
+    // Enables development checks and adds the stack and cause of unexpected
+    // errors to error.data, defaults to NODE_ENV === 'development'
+    development?: boolean;
+    // Answer rpc.discover with an OpenRPC document
+    discovery?: boolean | OpenRpcOptions;
+    // Timeout in milliseconds for every call, 0 (default) disables the timeout
+    timeout?: number;
+    // Error returned when a call times out, defaults to REQUEST_TIMEOUT/'Request timed out'
+    timeoutError?: Partial<ErrorObject>;
+    // Error returned to the calls received after drain(), defaults to SHUTTING_DOWN/'Server shutting down'
+    shutdownError?: Partial<ErrorObject>;
+    // How batch requests are handled
+    batch?: BatchOptions;
+    // Size limits checked before dispatch
+    limits?: RequestLimits;
+    // How the jobs of progress methods are kept
+    jobs?: JobOptions;
+    // Where cached results and idempotent responses are kept
+    cache?: CacheOptions;
+    // How the version of versioned methods is selected
+    versioning?: VersioningOptions;
+    // Add a warning member to the responses of deprecated methods, not
+    // done in strict mode
+    deprecationWarnings?: boolean;
+    // Revive tagged values in requests and tag BigInt, Date, Buffer, Map and
+    // Set values in responses, true uses a TypeCodec with the built-in types
+    types?: boolean | TypeCodec;
+    // Logger for unexpected errors, defaults to console
+    logger?: Logger;
+    // Collect call and batch metrics, see getMetrics()
+    metrics?: boolean | MetricsOptions;
+    // Map errors that are not JsonRpcRequestException and not registered
+    // with registerErrorClass() to error objects
+    errorMapper?: ErrorMapper;
+    // How the access requirements of methods are checked
+    authorization?: AuthorizationOptions;
+    // Strict JSON-RPC 2.0 compliance: only jsonrpc "2.0", array/object params
+    // and integer/string/null ids are accepted, rpc.* names are reserved,
+    // notifications are never answered and errors use the spec messages
+    strict?: boolean;
+}
+
+/**
+ * Limits of incoming requests, requests over a limit get an INVALID_REQUEST
+ * error. No limit is set by default.
+ */
+export interface RequestLimits {
+    // Maximum length of a request given as a string to handleJsonRpcRequest
+    maxRequestSize?: number;
+    // Maximum nesting depth of arrays and objects, the request object (or
+    // the batch array) is at depth 1
+    maxDepth?: number;
+    // Maximum length of the params of a call serialized as JSON
+    maxParamsSize?: number;
+    // Method names must match this pattern, for example /^[a-zA-Z][\w.]*$/
+    methodNamePattern?: RegExp;
+}
+
+export interface BatchOptions {
+    // Set to false to reject all batch requests, defaults to true
+    enabled?: boolean;
+    // Maximum number of entries in a batch, 0 (default) means no limit
+    maxSize?: number;
+    // Maximum number of entries running at once, 0 (default) means no limit
+    concurrency?: number;
+    // Run the entries one at a time in array order
+    sequential?: boolean;
+    // Total time in milliseconds for the whole batch, entries not done in
+    // time get the timeout error. 0 (default) disables the timeout
+    timeout?: number;
+}
+
+/**
+ * The logger used for unexpected errors, console, pino and winston loggers
+ * can be used as is
+ */
+export interface Logger {
+    error(...args: any[]): void;
+}
+
+/**
+ * Payload of the 'request' event, emitted when a valid call starts
+ */
+export interface RequestEvent {
+    method: string;
+    id: JsonRpcId;
+    params?: JsonRpcParams;
+    isNotification: boolean;
+    requestContext: RequestContext;
+}
+
+/**
+ * Payload of the 'response' event, emitted when a call is done
+ */
+export interface ResponseEvent extends RequestEvent {
+    // Milliseconds since the 'request' event
+    duration: number;
+    outcome: 'success' | 'error';
+    // Set when the outcome is 'error'
+    error?: ErrorObject;
+    // null for notifications that are not answered
+    response: JsonRpcResponse | null;
+}
+
+/**
+ * Payload of the 'deprecated' event, emitted when a call to a deprecated
+ * method or alias is done
+ */
+export interface DeprecatedEvent extends RequestEvent {
+    deprecation: DeprecationWarning;
+}
+
+/**
+ * Payload of the 'batch' event, emitted when a batch request is done
+ */
+export interface BatchEvent {
+    size: number;
+    duration: number;
+    response: (JsonRpcResponse|null)[] | JsonRpcResponse | null;
+    requestContext: RequestContext;
+}
+
+/**
+ * Payload of the 'error' event, emitted for unexpected errors
+ */
+export interface ServerErrorEvent {
+    error: any;
+    method?: string;
+    id?: JsonRpcId;
+    requestContext: RequestContext;
+}
+
+/**
+ * A call being handled, see getInFlight()
+ */
+export interface InFlightCall {
+    method: string;
+    // undefined for notifications and jobs
+    id?: JsonRpcId;
+    // Set for the jobs of progress methods
+    jobId?: string;
+    // Date.now() when the call started
+    startTime: number;
+}
+
+export interface DrainOptions {
+    // Milliseconds to wait for the calls before they are aborted with the
+    // shutdown error, no timeout by default
+    timeout?: number;
+}
+
+export interface DrainResult {
+    // Number of calls aborted when the timeout passed
+    aborted: number;
+}
+
+/**
+ * Options given to handleJsonRpcRequest
+ */
+export interface HandleRequestOptions {
+    // Aborting this signal cancels all calls of the request, transports
+    // abort it when the client disconnects
+    signal?: AbortSignal;
+}
+
+/**
+ * Context object given to middleware functions.
+ * 
+ * type is 'call' when the middleware runs around a single method call and
+ * 'batch' when it runs around a complete batch request.
+ */
+export interface MiddlewareContext {
+    type: 'call' | 'batch';
+    requestContext: RequestContext;
+
+    // Set for 'call'
+    request?: JsonRpcRequest;
+    method?: string;
+    params?: JsonRpcParams;
+    id?: JsonRpcId;
+    isNotification?: boolean;
+    signal?: AbortSignal;
+    result?: any;
+    // Set once the method called is found to be deprecated
+    deprecation?: Deprecation;
+
+    // Set for 'batch'
+    requests?: JsonRpcRequest[];
+    response?: (JsonRpcResponse|null)[] | JsonRpcResponse | null;
+
+    // Set when next() rejected
+    error?: any;
 }
 
+export type MiddlewareNext = () => Promise<any>;
+export type Middleware = (ctx: MiddlewareContext, next: MiddlewareNext) => any;
+
 export interface ErrorObject {
     code: number;
     message: string;
@@ -34,6 +383,8 @@ export interface JsonRpcResponse {
     result?: any;
     error?: any;
     id: JsonRpcId;
+    // Set for deprecated methods with the deprecationWarnings option
+    warning?: DeprecationWarning;
 }
 
 function isNumeric(v: any): boolean {
@@ -44,6 +395,21 @@ function isString(v: any): boolean {
     return (typeof v === 'string') || (v instanceof String);
 }
 
+/**
+ * Returns true for arrays and plain objects, boxed primitives and class
+ * instances are not structured values
+ */
+function isStructured(v: any): boolean {
+    if(Array.isArray(v)) {
+        return true;
+    }
+    if(v === null || typeof v !== 'object') {
+        return false;
+    }
+    const prototype = Object.getPrototypeOf(v);
+    return prototype === Object.prototype || prototype === null;
+}
+
 /**
  * Create an error object for use with JsonRpcRequestException
  * 
@@ -102,17 +468,217 @@ function createResultResponse(result: any, id: JsonRpcId): JsonRpcResponse {
     return { jsonrpc: "2.0", result, id };
 }
 
+/**
+ * Parse the declared parameters once, so invalid declarations throw when
+ * the method is registered
+ */
+function normalizeMethodOptions(options: MethodOptions): MethodOptions {
+    return options.parameters ? { ...options, parameters: parseParameterDeclarations(options.parameters) } : options;
+}
+
+// Methods answered by the server itself
+const BUILTIN_METHODS = ['rpc.discover', '$/cancelRequest'];
+// Answered by the server once a progress method is registered
+const JOB_METHODS = ['rpc.job.status', 'rpc.job.result', 'rpc.job.cancel'];
+
+function isReservedMethodName(methodName: string): boolean {
+    return methodName.startsWith('rpc.');
+}
+
+/**
+ * Returns true when arrays and objects are nested deeper than maxDepth
+ */
+function exceedsDepth(value: any, maxDepth: number): boolean {
+    const stack: { value: any, depth: number }[] = [{ value, depth: 1 }];
+    while(stack.length > 0) {
+        const entry = stack.pop() as { value: any, depth: number };
+        if(entry.value === null || typeof entry.value !== 'object') {
+            continue;
+        }
+        if(entry.depth > maxDepth) {
+            return true;
+        }
+        Object.keys(entry.value).forEach(key => stack.push({ value: entry.value[key], depth: entry.depth + 1 }));
+    }
+
+    return false;
+}
+
+function jsonLength(value: any): number {
+    try {
+        // BigInt values revived by the types option or a codec count as their digits
+        const json = JSON.stringify(value, (key, item) => typeof item === 'bigint' ? item.toString() : item);
+        return json === undefined ? 0 : json.length;
+    } catch(e) {
+        // Circular params given directly, they can't be measured
+        return Infinity;
+    }
+}
+
+/**
+ * Flatten nested method objects to a map of dotted method names
+ */
+function flattenMethods(methodObj: NestedMethodMap, prefix: string = '', methods: MethodMap = Object.create(null)): MethodMap {
+    Object.keys(methodObj).forEach((key) => {
+        const value = methodObj[key];
+        if(typeof value === 'function') {
+            methods[prefix + key] = value;
+        } else if(value && typeof value === 'object') {
+            flattenMethods(value, prefix + key + '.', methods);
+        }
+    });
+
+    return methods;
+}
+
+/**
+ * Like Promise.all(items.map(fn)), but with at most limit calls to fn
+ * running at once. fn is called in array order.
+ */
+function mapWithConcurrency<T, R>(items: T[], limit: number, fn: (item: T) => Promise<R>): Promise<R[]> {
+    const results: R[] = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = (): Promise<void> => {
+        if(nextIndex >= items.length) {
+            return Promise.resolve();
+        }
+
+        const index = nextIndex++;
+        return fn(items[index])
+            .then((result) => {
+                results[index] = result;
+                return worker();
+            });
+    };
+
+    const workers: Promise<void>[] = [];
+    for(let i = 0; i < Math.min(limit, items.length); i++) {
+        workers.push(worker());
+    }
+
+    return Promise.all(workers).then(() => results);
+}
+
+/**
+ * Run the middleware list around the final function. The value produced by
+ * the final function is stored in ctx[key], a middleware returning a value
+ * other than undefined replaces it.
+ */
+function runMiddleware(middlewares: Middleware[], ctx: MiddlewareContext, key: 'result' | 'response', final: () => any): Promise<any> {
+    const dispatch = (index: number): Promise<any> => {
+        if(index === middlewares.length) {
+            return Promise.resolve()
+                .then(() => final())
+                .then((value) => {
+                    ctx[key] = value;
+                    return ctx[key];
+                });
+        }
+
+        let nextCalled = false;
+        const next = () => {
+            if(nextCalled) {
+                return Promise.reject(new Error('next() called multiple times'));
+            }
+            nextCalled = true;
+
+            return dispatch(index + 1)
+                .catch((e) => {
+                    ctx.error = e;
+                    throw e;
+                });
+        };
+
+        return Promise.resolve()
+            .then(() => middlewares[index](ctx, next))
+            .then((value) => {
+                if(value !== undefined) {
+                    ctx[key] = value;
+                }
+                // The error has been handled by this middleware
+                delete ctx.error;
+                return ctx[key];
+            });
+    };
+
+    return dispatch(0);
+}
+
 /**
  * Handle JSON-RPC requests and produce response
  * 
+ * Events:
+ *  - 'request' (RequestEvent) a valid call starts
+ *  - 'response' (ResponseEvent) a call is done, with its duration and outcome
+ *  - 'methodNotFound' (RequestEvent) a call for an unknown method
+ *  - 'deprecated' (DeprecatedEvent) a call to a deprecated method or alias is done
+ *  - 'batch' (BatchEvent) a batch request is done
+ *  - 'error' (ServerErrorEvent) an unexpected error, only emitted when there 
+ *    are 'error' listeners. Unexpected errors are always given to the logger
  */
-export class TinyJsonRpcServer {
-    _methods: MethodMap;
+export class TinyJsonRpcServer<Api = any, Ctx = RequestContext> extends EventEmitter {
+    _methods: Map<string, MethodHandler>;
     _methodCallback: MethodCallback | undefined;
+    _middlewares: Middleware[];
+    _methodOptions: Map<string, MethodOptions>;
+    _development: boolean;
+    _discovery: OpenRpcOptions | undefined;
+    _timeout: number;
+    _timeoutError: Partial<ErrorObject>;
+    _shutdownError: Partial<ErrorObject>;
+    _inFlight: Map<AbortController, InFlightCall>;
+    _draining: boolean;
+    _drainWaiters: (() => void)[];
+    _drainListeners: Set<() => void>;
+    _activeCalls: WeakMap<object, Map<JsonRpcId, AbortController>>;
+    _batchOptions: BatchOptions;
+    _limits: RequestLimits;
+    _jobs: JobManager;
+    _resultCache: ResultCache;
+    _types: TypeCodec | undefined;
+    _versions: MethodVersions;
+    _deprecationWarnings: boolean;
+    _mounts: { prefix: string, server: TinyJsonRpcServer }[];
+    _strict: boolean;
+    _logger: Logger;
+    _metrics: MetricsCollector | undefined;
+    _errorRegistry: ErrorClassRegistry;
+    _errorMapper: ErrorMapper | undefined;
+    _authorization: AuthorizationOptions;
+    _accessPolicies: { prefix: string, requirement: AccessRequirement }[];
 
-    constructor() {
-        this._methods = {};
+    constructor(options: TinyJsonRpcServerOptions = {}) {
+        super();
+        this._methods = new Map();
         this._methodCallback = undefined;
+        this._middlewares = [];
+        this._methodOptions = new Map();
+        this._development = options.development !== undefined ? options.development : process.env.NODE_ENV === 'development';
+        this._discovery = options.discovery === true ? {} : (options.discovery || undefined);
+        this._timeout = options.timeout || 0;
+        this._timeoutError = options.timeoutError || {};
+        this._shutdownError = options.shutdownError || {};
+        this._inFlight = new Map();
+        this._draining = false;
+        this._drainWaiters = [];
+        this._drainListeners = new Set();
+        this._activeCalls = new WeakMap();
+        this._batchOptions = options.batch || {};
+        this._limits = options.limits || {};
+        this._jobs = new JobManager(options.jobs);
+        this._resultCache = new ResultCache(options.cache);
+        this._types = options.types === true ? new TypeCodec() : (options.types || undefined);
+        this._versions = new MethodVersions(options.versioning);
+        this._deprecationWarnings = options.deprecationWarnings || false;
+        this._mounts = [];
+        this._strict = options.strict || false;
+        this._logger = options.logger || console;
+        this._metrics = options.metrics ? new MetricsCollector(options.metrics === true ? {} : options.metrics) : undefined;
+        this._errorRegistry = new ErrorClassRegistry();
+        this._errorMapper = options.errorMapper;
+        this._authorization = options.authorization || {};
+        this._accessPolicies = [];
     }
 
     /**
@@ -121,137 +687,645 @@ export class TinyJsonRpcServer {
      * and the value is a function.
      * 
      * The registered method will be given the following parameters:
-     * function (params, requestContext) {
+     * function (params, requestContext, callContext) {
      *     return <result or Promise>;
      * }
      * 
+     * callContext contains the id and method of the call, and an AbortSignal
+     * (callContext.signal) that is aborted on timeout or cancellation.
+     * 
      * If the method registered is the method of a javascript class, remember
      * to bind it to the correct "this":
      *   { "mymethod": this.mymethod.bind(this) }
      * 
+     * Nested objects are registered with dotted names, 
+     * { billing: { invoice: { create: fn } } } registers 'billing.invoice.create'.
+     * 
      * @param {*} methodObj 
      */
-    registerMethods(methodObj: MethodMap): void {
-        this._methods = { ...this._methods, ...methodObj };
+    registerMethods(methodObj: ContractMethods<Api, Ctx>): void {
+        const methods = flattenMethods(methodObj as NestedMethodMap);
+        Object.keys(methods).forEach(name => this._checkMethodName(name));
+        Object.keys(methods).forEach((name) => {
+            this._methods.set(name, methods[name]);
+            this._methodOptions.delete(name);
+        });
     }
 
     /**
-     * Returns the actual method object used by the server.
-     * Values may be added and removed from this object.
+     * Register a single method with this server, optionally with 
+     * JSON Schemas describing the params and the result:
+     * 
+     * registerMethod('add', (params) => params.a + params.b, {
+     *     params: {
+     *         type: 'object',
+     *         required: ['a', 'b'],
+     *         properties: { a: { type: 'number' }, b: { type: 'number' } }
+     *     },
+     *     result: { type: 'number' }
+     * });
+     * 
+     * When the params do not match the schema the method is not called, and
+     * an INVALID_PARAMS error is returned with the list of violations as data.
+     * The result schema is only checked in development mode, a mismatch 
+     * produces an INTERNAL_ERROR.
+     * 
+     * With a declared parameter list, both [2, 4] and { a: 2, b: 4 } are 
+     * mapped to the parameters, and existing functions can be exposed as is:
+     * 
+     * registerMethod('add', (a, b) => a + b, { parameters: ['a', 'b'], spread: true });
+     * 
+     * Parameters are declared as 'name', 'name?' (optional), '...name' (rest)
+     * or { name, optional, default, rest, schema }. Missing required params 
+     * and unknown params produce an INVALID_PARAMS error.
+     * 
+     * Several versions of a method can be registered with the version 
+     * option, and old versions marked deprecated:
+     * 
+     * registerMethod('user.get', getUserV1, { version: 1, deprecated: { sunset: '2027-06-01', replacement: 'user.get@2' } });
+     * registerMethod('user.get', getUserV2, { version: 2 });
+     * 
+     * @param {*} name 
+     * @param {*} method 
+     * @param {*} options 
      */
-    getRegisteredMethods(): MethodMap {
-        return this._methods;
+    registerMethod<K extends ContractMethodName<Api>>(name: K, method: ContractHandler<Api, K, Ctx>, options: MethodOptions = {}): void {
+        this._registerMethod(name, method as unknown as MethodHandler, options);
     }
 
     /**
-     * Register a callback that will be called if there is no method
-     * registered for the method in the json-rpc request.
+     * Register the methods of an object, usually a class instance. The 
+     * prototype chain is walked and the methods are bound to the instance, 
+     * so this.mymethod.bind(this) is not needed:
      * 
-     * The callback will be given the following parameters:
+     * registerService(new InvoiceService(db), { prefix: 'invoice.', exclude: ['close'] });
      * 
-     * function (method, params, requestContext) {
-     *     return <result, undefined or Promise>;
-     * }
+     * The constructor, methods starting with an underscore and the members 
+     * of Object.prototype are not registered. Methods marked with rpcMethod() 
+     * can be renamed, opt out or carry method options.
      * 
-     * When undefined is returned, the response will be treated 
-     * as if the method was not found.
+     * @param {*} instance 
+     * @param {*} options prefix, include/exclude lists of method names, decoratedOnly
+     */
+    registerService(instance: object, options: RegisterServiceOptions = {}): void {
+        const service = getServiceMethods(instance, options);
+        Object.keys(service.methods).forEach(name => this._registerMethod(name, service.methods[name], service.options[name]));
+    }
+
+    /**
+     * Add or update the metadata of a method, without changing its handler.
+     * This can also be used to describe methods that are only handled by
+     * the method callback, so they are included in the OpenRPC document.
      * 
-     * The callback may be used in addition to or instead of the
-     * registerMethods. The registered method will take precendece.
+     * The metadata is merged with the existing method options, call this
+     * after registerMethods() as registerMethods() resets the options of
+     * the methods it registers.
      * 
-     * @param {*} methodCallback 
+     * @param {*} name 
+     * @param {*} metadata same as the options given to registerMethod
      */
-    registerMethodCallback(methodCallback: MethodCallback): void {
-        this._methodCallback = methodCallback;
+    describeMethod(name: string, metadata: MethodOptions): void {
+        const options = { ...this._methodOptions.get(name), ...normalizeMethodOptions(metadata) };
+        this._resultCache.checkOptions(name, options);
+        normalizeDeprecation(options.deprecated);
+        this._methodOptions.set(name, options);
     }
 
     /**
-     * Returns the registered method callback function
+     * Returns an OpenRPC document describing the registered methods and
+     * the methods added with describeMethod().
+     * 
+     * @param {*} options optional info/servers, defaults to the discovery options
      */
-    getMethodCallback(): MethodCallback|undefined {
-        return this._methodCallback;
+    getOpenRpcDocument(options: OpenRpcOptions = this._discovery || {}): OpenRpcDocument {
+        return createOpenRpcDocument(this._getMethodDescriptions(), options);
     }
 
     /**
-     * Handle a JSON-RPC request and produce a response object/list.
-     * This method returns a promise that should always be resolved, meaning
-     * this will always produce a "final" JSON-RPC response that can be passed
-     * back to the caller.
+     * Mount another server under a method name prefix. Calls to methods 
+     * starting with the prefix are handed to the mounted server with the 
+     * prefix removed:
      * 
-     * When the request produces no results (only notification requests), null 
-     * is returned.
+     *   root.mount('billing.', billingServer);
+     *   // 'billing.invoice.create' calls 'invoice.create' on billingServer
      * 
-     * @param {*} request either string or JSON object
-     * @param {*} requestContext optional context object passed to the handler methods
+     * The mounted server runs its own middleware (after the middleware of 
+     * this server), method callback, params validation and method metadata. 
+     * Batch handling, timeouts and cancellation are done by the server 
+     * receiving the request. Methods registered directly on this server take
+     * precedence, and the longest matching prefix is used.
+     * 
+     * The methods of mounted servers are included in the OpenRPC document.
+     * 
+     * @param {*} prefix method name prefix, usually ending with a dot
+     * @param {*} server the TinyJsonRpcServer handling the prefixed methods
      */
-    handleJsonRpcRequest(request: JsonRpcRequest | JsonRpcRequest[] | string, requestContext:RequestContext={}): Promise<(JsonRpcResponse|null)[] | JsonRpcResponse | null> {
-        return Promise.resolve().then(() => {
-            if(isString(request)) {
-                try {
-                    request = JSON.parse(request as string);
-                } catch(e) {
-                    return createParseErrorResponse();
-                }
-            }
+    mount(prefix: string, server: TinyJsonRpcServer): this {
+        if(!prefix) {
+            throw new Error('A mount prefix is required');
+        }
 
-            if(Array.isArray(request)) {
-                if(request.length === 0) {
-                    return createErrorResponse(null, JSONRPC_ERRORCODES.INVALID_REQUEST, "Invalid request, missing request object(s)");
-                }
+        if(server === this) {
+            throw new Error('A server cannot be mounted on itself');
+        }
 
-                return this._handleJsonRpcBatchRequest(request, requestContext);
-            }
+        this._checkMethodName(prefix);
 
+        this._mounts = this._mounts
+            .filter(mount => mount.prefix !== prefix)
+            .concat({ prefix, server })
+            .sort((a, b) => b.prefix.length - a.prefix.length);
 
-            return this._handleJsonRpcRequest(request as JsonRpcRequest, requestContext);
-        }).catch((e) => {
-            console.error(e);
-            return createErrorResponse(null, JSONRPC_ERRORCODES.INTERNAL_ERROR, "An error occurred when processing request", e);
-        });        
+        return this;
     }
 
     /**
-     * Returns a promise
+     * Set the access requirement of all methods starting with the prefix, in
+     * addition to the requirement given in the options of the methods:
      * 
-     * @param {*} request 
-     * @param {*} requestContext 
+     *   setAccessPolicy('admin.', { roles: ['admin'] });
+     *   registerMethod('admin.users.delete', deleteUser, { access: { scopes: ['users:write'] } });
+     * 
+     * A call is only allowed when all the matching prefix requirements and the
+     * method requirement are met, otherwise the unauthorized error is returned
+     * and the method is not called. Requirements are checked after the 
+     * middleware, for the methods of mounted servers the mounted server checks
+     * its own requirements.
+     * 
+     * With the denyByDefault authorization option, methods without any 
+     * requirement are denied unless their requirement is { public: true }.
+     * 
+     * rpc.discover only lists the methods the caller may call.
+     * 
+     * @param {*} prefix method name prefix, '' for all methods
+     * @param {*} requirement roles, scopes, allow predicate or public
      */
-    _handleJsonRpcRequest(request: JsonRpcRequest, requestContext: RequestContext): Promise<JsonRpcResponse|null> {
-        // These will be initialized after we call _validateRequest
-        let hasRequestId = false;
-        let requestId: JsonRpcId|undefined = null;
+    setAccessPolicy(prefix: string, requirement: AccessRequirement): this {
+        this._accessPolicies = this._accessPolicies
+            .filter(policy => policy.prefix !== prefix)
+            .concat({ prefix, requirement });
+        return this;
+    }
 
-        return Promise.resolve()
-            .then(() => {
-                const errorResponse = this._validateRequest(request);
-                if(errorResponse) {
-                    return errorResponse;
-                }
+    /**
+     * Remove the server mounted under the prefix, returns false if there was none
+     * 
+     * @param {*} prefix 
+     */
+    unmount(prefix: string): boolean {
+        const count = this._mounts.length;
+        this._mounts = this._mounts.filter(mount => mount.prefix !== prefix);
+        return this._mounts.length !== count;
+    }
 
-                hasRequestId = 'id' in request;
-                requestId = hasRequestId ? request.id as JsonRpcId : null;
+    /**
+     * Register another name for a method, so calls to an old name reach
+     * the new handler. The alias can be deprecated, with the same options
+     * as the deprecated option of registerMethod:
+     * 
+     * registerAlias('getUser', 'user.get', { replacement: 'user.get' });
+     * 
+     * The target can be a versioned method, a method of a mounted server
+     * or a method handled by the method callback. Calls to the alias are
+     * checked against the access requirements of the target.
+     * 
+     * @param {*} name 
+     * @param {*} target 
+     * @param {*} deprecated optional, true or the deprecation details
+     */
+    registerAlias(name: string, target: string, deprecated?: boolean | Deprecation): void {
+        this._checkMethodName(name);
+        this._versions.addAlias(name, target, normalizeDeprecation(deprecated));
+    }
 
-                let result;
+    /**
+     * Remove a registered method and its options, or an alias, returns 
+     * false if there was no such method
+     * 
+     * @param {*} name the name of the method, a versioned name ('user.get@2') or an alias
+     */
+    unregisterMethod(name: string): boolean {
+        const alias = this._versions.removeAlias(name);
+        this._versions.removeVersion(name);
+        this._methodOptions.delete(name);
+        return this._methods.delete(name) || alias;
+    }
 
-                const method = this._methods[request.method];
-                if(method) {
-                    result = method(request.params, requestContext);
-                } else {
-                    if(typeof this._methodCallback === 'function') {
-                        result = this._methodCallback(request.method, request.params, requestContext);
-                    }
+    /**
+     * Returns true when a method is registered with this name, mounted 
+     * servers and the method callback are not considered
+     * 
+     * @param {*} name 
+     */
+    hasMethod(name: string): boolean {
+        return this._methods.has(name);
+    }
 
-                    if(result === undefined) {
-                        return createErrorResponse(requestId, JSONRPC_ERRORCODES.METHOD_NOT_FOUND, "Method '" + request.method + "' not found");
-                    }
-                }
+    /**
+     * Remove the cached result of a call to a method registered with the 
+     * cache option, for example after a change of the data. The key is 
+     * computed like for the call, with the key function of the method.
+     * 
+     * @param {*} name 
+     * @param {*} params params of the cached call
+     * @param {*} requestContext optional, given to the key function
+     */
+    invalidateCache(name: string, params?: JsonRpcParams, requestContext: Ctx = {} as Ctx): Promise<void> {
+        const cache = (this._methodOptions.get(name) || {}).cache;
+        const key = cache && cache.key ? cache.key(params, requestContext) : defaultCacheKey(params);
+        return key === undefined ? Promise.resolve() : this._resultCache.invalidate(name, key);
+    }
 
-                // The method may return a promise, so we "wrap" the result in a new promise
-                // in order to resolve it.
-                return Promise.resolve(result)
+    /**
+     * Returns the calls being handled, with their method, id and start time,
+     * and the running jobs, including the jobs of mounted servers
+     */
+    getInFlight(): InFlightCall[] {
+        const calls = Array.from(this._inFlight.values(), call => ({ ...call }));
+        this._mounts.forEach(({ prefix, server }) => {
+            server.getInFlight().forEach(call => calls.push({ ...call, method: prefix + call.method }));
+        });
+        return calls;
+    }
+
+    /**
+     * Stop accepting calls and wait for the calls being handled, for a
+     * graceful shutdown:
+     * 
+     *   process.on('SIGTERM', () => jsonRpcServer.drain({ timeout: 10000 }).then(() => process.exit(0)));
+     * 
+     * Calls received from now on get the shutdown error, and the transports
+     * stop accepting requests. When the timeout passes, the calls and jobs
+     * still running are aborted with the shutdown error. Resolves once no 
+     * call or job is running, with the number of aborted calls and jobs.
+     * Mounted servers are drained too.
+     * 
+     * @param {*} options 
+     */
+    drain(options: DrainOptions = {}): Promise<DrainResult> {
+        if(!this._draining) {
+            this._draining = true;
+            this._drainListeners.forEach((listener) => {
+                try {
+                    listener();
+                } catch(e) {
+                    this._logger.error(e);
+                }
+            });
+        }
+
+        const mounted = this._mounts.map(({ server }) => server.drain(options));
+        return Promise.all([this._waitForInFlight(options), ...mounted])
+            .then(results => ({ aborted: results.reduce((total, result) => total + result.aborted, 0) }));
+    }
+
+    /**
+     * Resolves once the calls and jobs of this server are done, aborting 
+     * them when the timeout passes
+     * 
+     * @param {*} options 
+     */
+    _waitForInFlight(options: DrainOptions): Promise<DrainResult> {
+        if(this._inFlight.size === 0) {
+            return Promise.resolve({ aborted: 0 });
+        }
+
+        return new Promise((resolve) => {
+            let aborted = 0;
+            let timer: ReturnType<typeof setTimeout> | undefined;
+
+            if(options.timeout !== undefined) {
+                timer = setTimeout(() => {
+                    aborted = this._inFlight.size;
+                    this._inFlight.forEach((call, controller) => controller.abort(this._createShutdownException()));
+                }, options.timeout);
+            }
+
+            this._drainWaiters.push(() => {
+                if(timer !== undefined) {
+                    clearTimeout(timer);
+                }
+                resolve({ aborted });
+            });
+        });
+    }
+
+    /**
+     * Returns true once drain() has been called
+     */
+    isDraining(): boolean {
+        return this._draining;
+    }
+
+    /**
+     * Register a function called when drain() is called, returns a function
+     * removing it. The transports use it to stop accepting requests.
+     * 
+     * @param {*} listener 
+     */
+    onDrain(listener: () => void): () => void {
+        this._drainListeners.add(listener);
+        return () => { this._drainListeners.delete(listener); };
+    }
+
+    /**
+     * Returns a copy of the registered methods, changing it does not change
+     * the methods of the server, use registerMethod() and unregisterMethod()
+     */
+    getRegisteredMethods(): MethodMap {
+        const methods: MethodMap = Object.create(null);
+        this._methods.forEach((method, name) => { methods[name] = method; });
+        return methods;
+    }
+
+    /**
+     * Register a callback that will be called if there is no method
+     * registered for the method in the json-rpc request.
+     * 
+     * The callback will be given the following parameters:
+     * 
+     * function (method, params, requestContext, callContext) {
+     *     return <result, undefined or Promise>;
+     * }
+     * 
+     * When undefined is returned, the response will be treated 
+     * as if the method was not found.
+     * 
+     * The callback may be used in addition to or instead of the
+     * registerMethods. The registered method will take precendece.
+     * 
+     * @param {*} methodCallback 
+     */
+    registerMethodCallback(methodCallback: MethodCallback): void {
+        this._methodCallback = methodCallback;
+    }
+
+    /**
+     * Returns the registered method callback function
+     */
+    getMethodCallback(): MethodCallback|undefined {
+        return this._methodCallback;
+    }
+
+    /**
+     * Map an error class to an error object, so methods can throw domain 
+     * errors instead of JsonRpcRequestException:
+     * 
+     * registerErrorClass(NotFoundError, { code: SERVER_ERRORCODES.NOT_FOUND });
+     * registerErrorClass(ValidationError, { code: SERVER_ERRORCODES.VALIDATION_FAILED, data: e => e.fields });
+     * registerErrorClass(DbError, (e, info) => createErrorObject(-32050, 'Storage unavailable'));
+     * 
+     * The message defaults to the message of the error. Subclasses of a
+     * registered class use its mapping unless they are registered themselves.
+     * Mapped errors are not logged.
+     * 
+     * @param {*} errorClass 
+     * @param {*} mapping error object fields or function returning an error object
+     */
+    registerErrorClass(errorClass: new (...args: any[]) => any, mapping: ErrorMapping): void {
+        this._errorRegistry.register(errorClass, mapping);
+    }
+
+    /**
+     * Returns the logger used for unexpected errors, also used by the transports
+     */
+    getLogger(): Logger {
+        return this._logger;
+    }
+
+    /**
+     * Returns a snapshot of the call and batch metrics, empty unless the 
+     * server was created with the metrics option. Use renderPrometheusMetrics()
+     * to expose them to Prometheus:
+     * 
+     * app.get('/metrics', (req, res) => {
+     *     res.type(PROMETHEUS_CONTENT_TYPE).send(renderPrometheusMetrics(jsonRpcServer.getMetrics()));
+     * });
+     */
+    getMetrics(): MetricFamily[] {
+        return this._metrics ? this._metrics.getSnapshot() : [];
+    }
+
+    /**
+     * Register a middleware function. Middleware is run in the order it was
+     * registered, once around every method call (ctx.type === 'call') and 
+     * once around every batch request (ctx.type === 'batch').
+     * 
+     * The middleware will be given the following parameters:
+     * 
+     * function (ctx, next) {
+     *     return <result, undefined or Promise>;
+     * }
+     * 
+     * Calling next() runs the rest of the chain and resolves to the result
+     * (ctx.result for calls, ctx.response for batches). A middleware may:
+     *  - change ctx.method/ctx.params before calling next()
+     *  - short-circuit by not calling next() and returning a result or
+     *    throwing a JsonRpcRequestException
+     *  - post-process the result by returning a new value
+     * 
+     * Returning undefined keeps the current result.
+     * 
+     * @param {*} middleware 
+     */
+    use(middleware: Middleware): this {
+        this._middlewares.push(middleware);
+        return this;
+    }
+
+    /**
+     * Handle a JSON-RPC request and produce a response object/list.
+     * This method returns a promise that should always be resolved, meaning
+     * this will always produce a "final" JSON-RPC response that can be passed
+     * back to the caller.
+     * 
+     * When the request produces no results (only notification requests), null 
+     * is returned.
+     * 
+     * Calls from the same requestContext object can be cancelled with a
+     * $/cancelRequest notification: { method: '$/cancelRequest', params: { id } }
+     * 
+     * @param {*} request either string or JSON object
+     * @param {*} requestContext optional context object passed to the handler methods
+     * @param {*} options optional, signal aborting all the calls of the request
+     */
+    handleJsonRpcRequest(request: JsonRpcRequest | JsonRpcRequest[] | string, requestContext: Ctx = {} as Ctx, options: HandleRequestOptions={}): Promise<(JsonRpcResponse|null)[] | JsonRpcResponse | null> {
+        return Promise.resolve().then(() => {
+            const limits = this._limits;
+
+            if(isString(request)) {
+                if(limits.maxRequestSize && (request as string).length > limits.maxRequestSize) {
+                    return this._createErrorResponse(null, JSONRPC_ERRORCODES.INVALID_REQUEST, "Invalid request, request too large", { maxRequestSize: limits.maxRequestSize });
+                }
+
+                try {
+                    request = JSON.parse(request as string);
+                } catch(e) {
+                    return this._createErrorResponse(null, JSONRPC_ERRORCODES.PARSE_ERROR, 'Unable to parse JSON');
+                }
+            }
+
+            return this._handleDecodedRequest(request, requestContext, options, []);
+        });
+    }
+
+    /**
+     * Handle a request encoded with a codec, for example MSGPACK_CODEC or
+     * CBOR_CODEC (see Codecs). Resolves to the encoded response, or null when
+     * nothing is answered. With the types option, the values the codec 
+     * encodes natively are not tagged.
+     * 
+     * @param {*} data the encoded request
+     * @param {*} codec
+     * @param {*} requestContext optional context object passed to the handler methods
+     * @param {*} options optional, signal aborting all the calls of the request
+     */
+    handleEncodedRequest(data: Buffer | string, codec: MessageCodec, requestContext: Ctx = {} as Ctx, options: HandleRequestOptions={}): Promise<Buffer | string | null> {
+        return Promise.resolve()
+            .then(() => {
+                const limits = this._limits;
+                if(limits.maxRequestSize && data.length > limits.maxRequestSize) {
+                    return this._createErrorResponse(null, JSONRPC_ERRORCODES.INVALID_REQUEST, "Invalid request, request too large", { maxRequestSize: limits.maxRequestSize });
+                }
+
+                let request: any;
+                try {
+                    request = codec.decode(data);
+                } catch(e) {
+                    return this._createErrorResponse(null, JSONRPC_ERRORCODES.PARSE_ERROR, 'Unable to parse request');
+                }
+
+                return this._handleDecodedRequest(request, requestContext, options, codec.nativeTypes);
+            })
+            .then((response) => {
+                if(response === null) {
+                    return null;
+                }
+
+                try {
+                    return codec.encode(response);
+                } catch(e) {
+                    this._logger.error(e);
+                    const id = Array.isArray(response) ? null : response.id;
+                    return codec.encode(this._createErrorResponse(id, JSONRPC_ERRORCODES.INTERNAL_ERROR, 'Unable to encode response'));
+                }
+            });
+    }
+
+    /**
+     * Handle a parsed request, values of nativeTypes are not tagged in the
+     * response
+     * 
+     * @param {*} request 
+     * @param {*} requestContext 
+     * @param {*} options 
+     * @param {*} nativeTypes 
+     */
+    _handleDecodedRequest(request: any, requestContext: RequestContext, options: HandleRequestOptions, nativeTypes: string[]): Promise<(JsonRpcResponse|null)[] | JsonRpcResponse | null> {
+        return Promise.resolve().then((): Promise<(JsonRpcResponse|null)[] | JsonRpcResponse | null> | JsonRpcResponse => {
+            const limits = this._limits;
+
+            if(limits.maxDepth && exceedsDepth(request, limits.maxDepth)) {
+                return this._createErrorResponse(null, JSONRPC_ERRORCODES.INVALID_REQUEST, "Invalid request, nested too deeply", { maxDepth: limits.maxDepth });
+            }
+
+            if(this._types) {
+                try {
+                    request = this._types.decode(request);
+                } catch(e) {
+                    return this._createErrorResponse(null, JSONRPC_ERRORCODES.INVALID_REQUEST, "Invalid request, invalid typed value", { reason: (e as Error).message });
+                }
+            }
+
+            if(Array.isArray(request)) {
+                if(request.length === 0) {
+                    return this._createErrorResponse(null, JSONRPC_ERRORCODES.INVALID_REQUEST, "Invalid request, missing request object(s)");
+                }
+
+                if(this._batchOptions.enabled === false) {
+                    return this._createErrorResponse(null, JSONRPC_ERRORCODES.INVALID_REQUEST, "Invalid request, batch requests are not supported");
+                }
+
+                if(this._batchOptions.maxSize && request.length > this._batchOptions.maxSize) {
+                    return this._createErrorResponse(null, JSONRPC_ERRORCODES.INVALID_REQUEST, "Invalid request, too many requests in batch", { maxSize: this._batchOptions.maxSize });
+                }
+
+                return this._handleJsonRpcBatchRequest(request, requestContext, options.signal);
+            }
+
+
+            return this._handleJsonRpcRequest(request as JsonRpcRequest, requestContext, options.signal);
+        })
+        .then(response => this._types && response !== null ? this._types.encode(response, nativeTypes) : response)
+        .catch((e) => {
+            const error = this._mapError(e, { requestContext }, "An error occurred when processing request");
+            return createErrorResponse(null, error.code, error.message, error.data);
+        });        
+    }
+
+    /**
+     * Returns a promise
+     * 
+     * @param {*} request 
+     * @param {*} requestContext 
+     * @param {*} signal optional signal cancelling the call
+     */
+    _handleJsonRpcRequest(request: JsonRpcRequest, requestContext: RequestContext, signal?: AbortSignal): Promise<JsonRpcResponse|null> {
+        // These will be initialized after we call _validateRequest
+        let hasRequestId = false;
+        let requestId: JsonRpcId|undefined = null;
+        // Set for valid notifications, which are never answered in strict mode
+        let silent = false;
+        // Set once the request is valid and the call starts
+        let event: RequestEvent | undefined;
+        let ctx: MiddlewareContext | undefined;
+        let startTime = 0;
+        let error: ErrorObject | undefined;
+
+        return Promise.resolve()
+            .then(() => {
+                const errorResponse = this._validateRequest(request);
+                if(errorResponse) {
+                    return errorResponse;
+                }
+
+                hasRequestId = 'id' in request;
+                requestId = hasRequestId ? request.id as JsonRpcId : null;
+                silent = this._strict && !hasRequestId;
+
+                // Cancellations still help the running calls to finish
+                if(this._draining && request.method !== '$/cancelRequest') {
+                    throw this._createShutdownException();
+                }
+
+                event = { method: request.method, id: requestId, params: request.params, isNotification: !hasRequestId, requestContext };
+                startTime = Date.now();
+                this._emit('request', event);
+                if(this._metrics) {
+                    this._metrics.callStarted();
+                }
+
+                const controller = new AbortController();
+
+                const callCtx: MiddlewareContext = {
+                    type: 'call',
+                    request,
+                    method: request.method,
+                    params: request.params,
+                    id: requestId,
+                    isNotification: !hasRequestId,
+                    signal: controller.signal,
+                    requestContext
+                };
+                ctx = callCtx;
+
+                const call = () => this._dispatchCall(callCtx);
+
+                return this._runAbortable(call, controller, request, requestContext, signal)
                     .then((result) => {
                         if(hasRequestId) {
-                            return createResultResponse(result, requestId as JsonRpcId);
+                            // The result member is required, undefined would be dropped by JSON.stringify
+                            return createResultResponse(this._strict && result === undefined ? null : result, requestId as JsonRpcId);
                         }
                         
                         // Return null for notification request
@@ -259,18 +1333,761 @@ export class TinyJsonRpcServer {
                     });
             })
             .catch((e) => {
-                if(e instanceof JsonRpcRequestException) {
-                    return createErrorResponse(requestId, e.errorObj.code, e.errorObj.message, e.errorObj.data);
+                error = this._mapError(e, { method: request.method, id: requestId, requestContext }, 'An error occurred when handling request');
+                if(event && error.code === JSONRPC_ERRORCODES.METHOD_NOT_FOUND) {
+                    this._emit('methodNotFound', event);
                 }
-                
-                console.error(e);
-                // We want to return an error response even for notification requests
-                return createErrorResponse(requestId, JSONRPC_ERRORCODES.INTERNAL_ERROR, 'An error occurred when handling request');
+
+                // We want to return an error response even for notification requests, except in strict mode
+                return silent ? null : createErrorResponse(requestId, error.code, error.message, error.data);
+            })
+            .then((response) => {
+                if(event && ctx && ctx.deprecation) {
+                    const warning = createDeprecationWarning(event.method, ctx.deprecation);
+                    const deprecatedEvent: DeprecatedEvent = { ...event, deprecation: warning };
+                    this._emit('deprecated', deprecatedEvent);
+                    if(response && this._deprecationWarnings && !this._strict) {
+                        response.warning = warning;
+                    }
+                }
+                return response;
             })
             .catch((e) => {
-                console.error(e);
+                this._logger.error(e);
                 // This is just to make extra sure that _handleJsonRpcRequest will "never" return a rejected promise
-                return createErrorResponse(requestId, JSONRPC_ERRORCODES.INTERNAL_ERROR, 'A critical error occurred when handling request');
+                return silent ? null : this._createErrorResponse(requestId, JSONRPC_ERRORCODES.INTERNAL_ERROR, 'A critical error occurred when handling request');
+            })
+            .then((response) => {
+                if(event) {
+                    const duration = Date.now() - startTime;
+                    if(this._metrics) {
+                        this._metrics.callFinished(event.method, duration, error, this._isKnownMethod(event.method));
+                    }
+
+                    const responseEvent: ResponseEvent = { ...event, duration, outcome: error ? 'error' : 'success', response };
+                    if(error) {
+                        responseEvent.error = error;
+                    }
+                    this._emit('response', responseEvent);
+                }
+                return response;
+            });
+    }
+
+    /**
+     * Run the middleware and the method for a call, handing the call to a 
+     * mounted server when the method name matches its prefix.
+     * 
+     * @param {*} ctx 
+     */
+    _dispatchCall(ctx: MiddlewareContext): Promise<any> {
+        return runMiddleware(this._middlewares, ctx, 'result', () => {
+            const resolved = this._versions.resolve(ctx.method as string, ctx.params, ctx.requestContext, name => this._methods.has(name));
+            const methodName = resolved.name;
+            const reserved = this._strict && isReservedMethodName(methodName);
+            const mount = this._methods.has(methodName) || reserved ? undefined : this._findMount(methodName);
+
+            return this._checkAccess(methodName, ctx.requestContext, resolved.params, !!mount)
+                .then((allowed) => {
+                    if(!allowed) {
+                        throw this._createUnauthorizedException();
+                    }
+                    this._checkDeprecation(ctx, resolved, !!mount);
+                    return this._dispatchAllowedCall(ctx, methodName, resolved.params, mount);
+                });
+        });
+    }
+
+    /**
+     * Set ctx.deprecation when the alias or the method called is deprecated,
+     * throws once the sunset date has passed. The methods of mounted servers
+     * are checked by the mounted server.
+     * 
+     * @param {*} ctx 
+     * @param {*} resolved 
+     * @param {*} routed true when the call is handed to a mounted server
+     */
+    _checkDeprecation(ctx: MiddlewareContext, resolved: ResolvedMethod, routed: boolean): void {
+        const options = routed ? {} : this._methodOptions.get(resolved.name) || {};
+        const deprecations = [resolved.aliasDeprecation, normalizeDeprecation(options.deprecated)]
+            .filter((deprecation): deprecation is Deprecation => !!deprecation);
+
+        const sunset = deprecations.find(deprecation => isSunset(deprecation));
+        if(sunset) {
+            throw createSunsetException(ctx.method as string, sunset);
+        }
+
+        if(deprecations.length > 0) {
+            ctx.deprecation = deprecations[0];
+        }
+    }
+
+    /**
+     * Call the method, or the mounted server, once access has been checked
+     * 
+     * @param {*} ctx 
+     * @param {*} methodName 
+     * @param {*} params the params, without the version param
+     * @param {*} mount 
+     */
+    _dispatchAllowedCall(ctx: MiddlewareContext, methodName: string, params: JsonRpcParams | undefined, mount: { prefix: string, server: TinyJsonRpcServer } | undefined): any {
+        if(mount) {
+            const method = methodName.slice(mount.prefix.length);
+            const mountCtx: MiddlewareContext = { ...ctx, method, params };
+            delete mountCtx.result;
+            delete mountCtx.error;
+
+            // The deprecation of the mounted method, when the alias is not deprecated
+            const copyDeprecation = () => {
+                if(!ctx.deprecation && mountCtx.deprecation) {
+                    ctx.deprecation = mountCtx.deprecation;
+                }
+            };
+
+            return mount.server._dispatchCall(mountCtx)
+                .then((result) => {
+                    copyDeprecation();
+                    return result;
+                }, (e) => {
+                    copyDeprecation();
+                    throw e;
+                })
+                .catch((e) => {
+                    // Report the method name the client used
+                    if(e instanceof JsonRpcRequestException && e.errorObj.code === JSONRPC_ERRORCODES.METHOD_NOT_FOUND && e.errorObj.message === mount.server._createMethodNotFoundException(method).errorObj.message) {
+                        throw this._createMethodNotFoundException(methodName);
+                    }
+
+                    // The error classes registered with the mounted server
+                    if(!(e instanceof JsonRpcRequestException)) {
+                        const mapped = mount.server._tryMapError(e, { method, id: ctx.id, requestContext: ctx.requestContext });
+                        if(mapped) {
+                            throw new JsonRpcRequestException(mapped);
+                        }
+                    }
+                    throw e;
+                });
+        }
+
+        const callContext: CallContext = { id: ctx.id, method: methodName, signal: ctx.signal as AbortSignal };
+        return this._callMethod(methodName, params, ctx.requestContext, callContext);
+    }
+
+    /**
+     * Check the access requirements of this server for the method. Calls
+     * routed to a mounted server are checked again by the mounted server.
+     * 
+     * @param {*} methodName 
+     * @param {*} requestContext 
+     * @param {*} params 
+     * @param {*} routed true when the call is handed to a mounted server
+     */
+    _checkAccess(methodName: string, requestContext: RequestContext, params: JsonRpcParams | undefined, routed: boolean): Promise<boolean> {
+        const requirements = this._accessPolicies
+            .filter(policy => methodName.startsWith(policy.prefix))
+            .map(policy => policy.requirement);
+
+        const options = this._methodOptions.get(methodName);
+        if(options && options.access) {
+            requirements.push(options.access);
+        }
+
+        const conditions = requirements.filter(hasAccessConditions);
+        if(conditions.length === 0) {
+            // The built-in methods are always public
+            const isPublic = routed || requirements.length > 0 || this._isBuiltinMethod(methodName);
+            return Promise.resolve(isPublic || !this._authorization.denyByDefault);
+        }
+
+        return Promise.all(conditions.map(requirement => checkAccessRequirement(requirement, requestContext, params, this._authorization)))
+            .then(results => results.every(allowed => allowed));
+    }
+
+    /**
+     * Returns true when the caller may call the method, including the
+     * requirements of mounted servers. Used to filter discovery output.
+     * 
+     * @param {*} methodName 
+     * @param {*} requestContext 
+     */
+    _isMethodVisible(methodName: string, requestContext: RequestContext): Promise<boolean> {
+        const mount = this._methods.has(methodName) ? undefined : this._findMount(methodName);
+
+        return this._checkAccess(methodName, requestContext, undefined, !!mount)
+            .then((allowed) => {
+                if(!allowed || !mount) {
+                    return allowed;
+                }
+                return mount.server._isMethodVisible(methodName.slice(mount.prefix.length), requestContext);
+            })
+            // A predicate failing without params hides the method
+            .catch(() => false);
+    }
+
+    /**
+     * Returns the OpenRPC document with only the methods the caller may call
+     * 
+     * @param {*} requestContext 
+     */
+    _getVisibleOpenRpcDocument(requestContext: RequestContext): Promise<OpenRpcDocument> {
+        const methods = this._getMethodDescriptions();
+        const names = Object.keys(methods);
+
+        return Promise.all(names.map(name => this._isMethodVisible(name, requestContext)))
+            .then((visible) => {
+                const visibleMethods: { [key: string]: MethodOptions } = Object.create(null);
+                names.forEach((name, index) => {
+                    if(visible[index]) {
+                        visibleMethods[name] = methods[name];
+                    }
+                });
+                return createOpenRpcDocument(visibleMethods, this._discovery || {});
+            });
+    }
+
+    /**
+     * Returns the exception used when a call is denied
+     */
+    _createUnauthorizedException(): JsonRpcRequestException {
+        const error = createErrorObject(SERVER_ERRORCODES.UNAUTHORIZED, 'Unauthorized');
+        return new JsonRpcRequestException({ ...error, ...this._authorization.unauthorizedError });
+    }
+
+    /**
+     * Emit an event, errors thrown by the listeners are logged and don't
+     * affect the request
+     * 
+     * @param {*} eventName 
+     * @param {*} event 
+     */
+    _emit(eventName: string, event: object): void {
+        try {
+            this.emit(eventName, event);
+        } catch(e) {
+            this._logger.error(e);
+        }
+    }
+
+    /**
+     * Log an unexpected error and emit it as 'error' when there are listeners
+     * 
+     * @param {*} error 
+     * @param {*} details 
+     */
+    _reportError(error: any, details: Omit<ServerErrorEvent, 'error'>): void {
+        this._logger.error(error);
+        if(this.listenerCount('error') > 0) {
+            this._emit('error', { error, ...details });
+        }
+    }
+
+    /**
+     * Returns the error object for a JsonRpcRequestException or a mapped 
+     * error. Other errors are unexpected, they are reported and produce an 
+     * INTERNAL_ERROR, with the error described in data in development mode.
+     * 
+     * @param {*} error 
+     * @param {*} info 
+     * @param {*} message message of the INTERNAL_ERROR
+     */
+    _mapError(error: any, info: ErrorInfo, message: string): ErrorObject {
+        if(error instanceof JsonRpcRequestException) {
+            return error.errorObj;
+        }
+
+        const mapped = this._tryMapError(error, info);
+        if(mapped) {
+            return mapped;
+        }
+
+        this._reportError(error, info);
+        return createErrorObject(JSONRPC_ERRORCODES.INTERNAL_ERROR, this._strict ? JSONRPC_ERRORMESSAGES[JSONRPC_ERRORCODES.INTERNAL_ERROR] : message, this._development ? describeError(error) : undefined);
+    }
+
+    /**
+     * Map the error with the registered error classes and the error mapper,
+     * returns undefined if the error is not mapped
+     * 
+     * @param {*} error 
+     * @param {*} info 
+     */
+    _tryMapError(error: any, info: ErrorInfo): ErrorObject | undefined {
+        try {
+            return mapError(this._errorRegistry, this._errorMapper, error, info);
+        } catch(e) {
+            // A failing mapper leaves the error unmapped
+            this._logger.error(e);
+            return undefined;
+        }
+    }
+
+    /**
+     * Create an error response for an error detected by the server. In strict
+     * mode the messages defined by the specification are used.
+     * 
+     * @param {*} id 
+     * @param {*} code 
+     * @param {*} message 
+     * @param {*} data 
+     */
+    _createErrorResponse(id: JsonRpcId | undefined, code: number, message: string, data?: any): JsonRpcResponse {
+        return createErrorResponse(id, code, this._strict && JSONRPC_ERRORMESSAGES[code] ? JSONRPC_ERRORMESSAGES[code] : message, data);
+    }
+
+    /**
+     * Returns the exception used when a method does not exist
+     * 
+     * @param {*} methodName 
+     */
+    _createMethodNotFoundException(methodName: string): JsonRpcRequestException {
+        const message = this._strict ? JSONRPC_ERRORMESSAGES[JSONRPC_ERRORCODES.METHOD_NOT_FOUND] : "Method '" + methodName + "' not found";
+        return new JsonRpcRequestException(JSONRPC_ERRORCODES.METHOD_NOT_FOUND, message);
+    }
+
+    _registerMethod(name: string, method: MethodHandler, options: MethodOptions): void {
+        this._checkMethodName(name);
+        this._resultCache.checkOptions(name, options);
+        normalizeDeprecation(options.deprecated);
+        if(options.version !== undefined) {
+            name = this._versions.addVersion(name, String(options.version));
+        }
+        this._methods.set(name, method);
+        this._methodOptions.set(name, normalizeMethodOptions(options));
+    }
+
+    /**
+     * Throws when the method name can't be registered, in strict mode the
+     * rpc.* names are reserved for the built-in methods.
+     * 
+     * @param {*} methodName 
+     */
+    _checkMethodName(methodName: string): void {
+        if(this._strict && isReservedMethodName(methodName)) {
+            throw new Error("Method names starting with 'rpc.' are reserved: " + methodName);
+        }
+    }
+
+    /**
+     * Returns the mount with the longest prefix matching the method name
+     * 
+     * @param {*} methodName 
+     */
+    _findMount(methodName: string): { prefix: string, server: TinyJsonRpcServer } | undefined {
+        return this._mounts.find(mount => methodName.startsWith(mount.prefix));
+    }
+
+    /**
+     * Returns true when the method is registered or described, including the
+     * built-in methods, aliases, versions and the methods of mounted servers
+     * 
+     * @param {*} methodName 
+     */
+    _isKnownMethod(methodName: string): boolean {
+        if(this._methods.has(methodName) || this._methodOptions.has(methodName) || this._versions.has(methodName) || this._isBuiltinMethod(methodName)) {
+            return true;
+        }
+
+        const mount = this._findMount(methodName);
+        return mount ? mount.server._isKnownMethod(methodName.slice(mount.prefix.length)) : false;
+    }
+
+    /**
+     * Returns the options of a method, looking into the mounted servers.
+     * Aliases and versions are resolved like calls when the params and the
+     * requestContext are given.
+     * 
+     * @param {*} methodName 
+     * @param {*} params 
+     * @param {*} requestContext 
+     */
+    _getMethodOptions(methodName: string, params?: JsonRpcParams, requestContext?: RequestContext): MethodOptions {
+        let name = methodName;
+        if(requestContext) {
+            const resolved = this._versions.resolve(methodName, params, requestContext, name => this._methods.has(name));
+            name = resolved.name;
+            params = resolved.params;
+        }
+
+        if(this._methods.has(name) || this._methodOptions.has(name)) {
+            return this._methodOptions.get(name) || {};
+        }
+
+        const mount = this._findMount(name);
+        return mount ? mount.server._getMethodOptions(name.slice(mount.prefix.length), params, requestContext) : {};
+    }
+
+    /**
+     * Returns the options of all the known methods, including the methods 
+     * of the mounted servers with their prefix
+     */
+    _getMethodDescriptions(): { [key: string]: MethodOptions } {
+        const methods: { [key: string]: MethodOptions } = Object.create(null);
+
+        // Shortest prefix first, so more specific mounts win
+        this._mounts.slice().reverse().forEach(({ prefix, server }) => {
+            const mountedMethods = server._getMethodDescriptions();
+            Object.keys(mountedMethods).forEach(name => { methods[prefix + name] = mountedMethods[name]; });
+        });
+
+        this._methods.forEach((method, name) => { methods[name] = {}; });
+        this._methodOptions.forEach((options, name) => { methods[name] = options; });
+
+        return methods;
+    }
+
+    /**
+     * Returns true for the methods answered by the server itself, the job
+     * methods only once a progress method is registered
+     * 
+     * @param {*} methodName 
+     */
+    _isBuiltinMethod(methodName: string): boolean {
+        return BUILTIN_METHODS.indexOf(methodName) !== -1 || (JOB_METHODS.indexOf(methodName) !== -1 && this._hasProgressMethods());
+    }
+
+    /**
+     * Returns true when a progress method is registered, on this server or a
+     * mounted server
+     */
+    _hasProgressMethods(): boolean {
+        return Array.from(this._methodOptions.values()).some(options => !!options.progress)
+            || this._mounts.some(({ server }) => server._hasProgressMethods());
+    }
+
+    /**
+     * Run a progress method as a job, returns { jobId } at once. The job 
+     * has its own signal, it is not cancelled with the request but with
+     * rpc.job.cancel, and it is tracked as in flight until done.
+     * 
+     * @param {*} methodName 
+     * @param {*} invoke 
+     * @param {*} requestContext 
+     * @param {*} callContext 
+     */
+    _startJob(methodName: string, invoke: (callContext: CallContext) => any, requestContext: RequestContext, callContext: CallContext): { jobId: string } {
+        const controller = new AbortController();
+        const { jobId, done } = this._jobs.start(methodName, (progress, signal) => {
+            return invoke({ ...callContext, signal, progress });
+        }, e => this._mapError(e, { method: methodName, id: callContext.id, requestContext }, 'An error occurred when running job'), controller);
+
+        done.then(this._trackInFlight(controller, { method: methodName, jobId, startTime: Date.now() }));
+        return { jobId };
+    }
+
+    /**
+     * Returns the method that started the job, with the prefixes of the 
+     * mounted servers, undefined for unknown jobs
+     * 
+     * @param {*} jobId 
+     */
+    _getJobMethod(jobId: string): string | undefined {
+        const method = this._jobs.getMethod(jobId);
+        if(method !== undefined) {
+            return method;
+        }
+
+        for(const { prefix, server } of this._mounts) {
+            const mountedMethod = server._getJobMethod(jobId);
+            if(mountedMethod !== undefined) {
+                return prefix + mountedMethod;
+            }
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Returns the job manager running the job, once the caller is found to 
+     * be allowed to call the method that started it. Jobs of mounted servers 
+     * are reached through the root server. Rejects with 'Job not found' 
+     * for unknown jobs and callers without access.
+     * 
+     * @param {*} jobId 
+     * @param {*} requestContext 
+     */
+    _findAllowedJobs(jobId: string, requestContext: RequestContext): Promise<JobManager> {
+        const method = this._getJobMethod(jobId);
+        if(method === undefined) {
+            return Promise.reject(createJobNotFoundException());
+        }
+
+        const local = this._jobs.has(jobId);
+        const mount = local ? undefined : this._findMount(method);
+        return this._checkAccess(method, requestContext, undefined, !!mount)
+            .then((allowed) => {
+                if(!allowed) {
+                    throw createJobNotFoundException();
+                }
+                return mount ? mount.server._findAllowedJobs(jobId, requestContext) : this._jobs;
+            });
+    }
+
+    /**
+     * Add a call or job to the in flight calls, returns the function 
+     * removing it
+     * 
+     * @param {*} controller aborts the call when drain() times out
+     * @param {*} call 
+     */
+    _trackInFlight(controller: AbortController, call: InFlightCall): () => void {
+        this._inFlight.set(controller, call);
+        return () => {
+            this._inFlight.delete(controller);
+            if(this._inFlight.size === 0) {
+                this._drainWaiters.splice(0).forEach(resolve => resolve());
+            }
+        };
+    }
+
+    /**
+     * Run the call, rejecting with a timeout/cancelled exception as soon as
+     * the controller is aborted, even if the method never settles. The
+     * controller is aborted on timeout, when the signal of the request is
+     * aborted or by a $/cancelRequest for the request id.
+     * 
+     * @param {*} call 
+     * @param {*} controller 
+     * @param {*} request 
+     * @param {*} requestContext 
+     * @param {*} signal 
+     */
+    _runAbortable(call: () => Promise<any>, controller: AbortController, request: JsonRpcRequest, requestContext: RequestContext, signal?: AbortSignal): Promise<any> {
+        const methodOptions = this._getMethodOptions(request.method, request.params, requestContext);
+        const timeout = methodOptions.timeout !== undefined ? methodOptions.timeout : this._timeout;
+        let timer: ReturnType<typeof setTimeout> | undefined;
+
+        // The signal may carry its own error, like the batch timeout
+        const cancel = () => controller.abort(signal && signal.reason instanceof JsonRpcRequestException ? signal.reason : new JsonRpcRequestException(SERVER_ERRORCODES.REQUEST_CANCELLED, 'Request cancelled'));
+
+        const aborted = new Promise<never>((resolve, reject) => {
+            controller.signal.addEventListener('abort', () => reject(controller.signal.reason));
+        });
+
+        if(signal) {
+            if(signal.aborted) {
+                cancel();
+            } else {
+                signal.addEventListener('abort', cancel);
+            }
+        }
+
+        if(timeout > 0) {
+            timer = setTimeout(() => controller.abort(this._createTimeoutException()), timeout);
+        }
+
+        // Track calls with an id, so they can be cancelled with $/cancelRequest
+        const activeCalls = this._getActiveCalls(requestContext);
+        const hasRequestId = 'id' in request;
+        if(activeCalls && hasRequestId) {
+            activeCalls.set(request.id as JsonRpcId, controller);
+        }
+
+        const inFlight: InFlightCall = { method: request.method, startTime: Date.now() };
+        if(hasRequestId) {
+            inFlight.id = request.id;
+        }
+        const untrack = this._trackInFlight(controller, inFlight);
+
+        const cleanup = () => {
+            if(timer !== undefined) {
+                clearTimeout(timer);
+            }
+            if(signal) {
+                signal.removeEventListener('abort', cancel);
+            }
+            if(activeCalls && hasRequestId && activeCalls.get(request.id as JsonRpcId) === controller) {
+                activeCalls.delete(request.id as JsonRpcId);
+            }
+            untrack();
+        };
+
+        // Don't start the call at all when it's already aborted
+        const run = () => controller.signal.aborted ? aborted : call();
+
+        return Promise.race([Promise.resolve().then(run), aborted])
+            .then((result) => {
+                cleanup();
+                return result;
+            }, (e) => {
+                cleanup();
+                throw e;
+            });
+    }
+
+    /**
+     * Returns the exception used for the calls received while draining
+     */
+    _createShutdownException(): JsonRpcRequestException {
+        const error = createErrorObject(SERVER_ERRORCODES.SHUTTING_DOWN, 'Server shutting down');
+        return new JsonRpcRequestException({ ...error, ...this._shutdownError });
+    }
+
+    /**
+     * Returns the exception used when a call or batch times out
+     */
+    _createTimeoutException(): JsonRpcRequestException {
+        const error = createErrorObject(SERVER_ERRORCODES.REQUEST_TIMEOUT, 'Request timed out');
+        return new JsonRpcRequestException({ ...error, ...this._timeoutError });
+    }
+
+    /**
+     * Returns the map of active calls for the requestContext, undefined
+     * if the requestContext can't be used to track calls.
+     * 
+     * @param {*} requestContext 
+     */
+    _getActiveCalls(requestContext: RequestContext): Map<JsonRpcId, AbortController> | undefined {
+        if(requestContext !== Object(requestContext)) {
+            return undefined;
+        }
+
+        let activeCalls = this._activeCalls.get(requestContext);
+        if(!activeCalls) {
+            activeCalls = new Map();
+            this._activeCalls.set(requestContext, activeCalls);
+        }
+
+        return activeCalls;
+    }
+
+    /**
+     * Abort the active call with the id given in params, used by $/cancelRequest
+     * 
+     * @param {*} params 
+     * @param {*} requestContext 
+     */
+    _cancelRequest(params: JsonRpcParams|undefined, requestContext: RequestContext): null {
+        const id = params && (params as any).id;
+        const activeCalls = this._getActiveCalls(requestContext);
+        const controller = activeCalls && activeCalls.get(id);
+
+        if(controller) {
+            controller.abort(new JsonRpcRequestException(SERVER_ERRORCODES.REQUEST_CANCELLED, 'Request cancelled'));
+        }
+
+        return null;
+    }
+
+    /**
+     * Call the registered method or the method callback, returns the result
+     * or a promise. Throws a METHOD_NOT_FOUND exception if the method does
+     * not exist.
+     * 
+     * @param {*} methodName 
+     * @param {*} params 
+     * @param {*} requestContext 
+     * @param {*} callContext 
+     */
+    _callMethod(methodName: string, params: JsonRpcParams|undefined, requestContext: RequestContext, callContext: CallContext): any {
+        let result;
+
+        const method = this._methods.get(methodName);
+        if(method) {
+            const options = this._methodOptions.get(methodName) || {};
+
+            let progressToken;
+            if(options.progress) {
+                ({ params, token: progressToken } = extractProgressToken(params));
+            }
+
+            let idempotencyKey;
+            if(options.idempotency) {
+                ({ params, key: idempotencyKey } = extractIdempotencyKey(params, requestContext, options.idempotency));
+            }
+
+            if(options.params) {
+                const violations = validateSchema(options.params, params, 'params');
+                if(violations.length > 0) {
+                    throw new JsonRpcRequestException(JSONRPC_ERRORCODES.INVALID_PARAMS, 'Invalid params', violations);
+                }
+            }
+
+            let invoke = (callContext: CallContext) => method(params, requestContext, callContext);
+            if(options.parameters) {
+                const mapped = mapParams(options.parameters as ParameterDeclaration[], params);
+                if(mapped.violations.length > 0) {
+                    throw new JsonRpcRequestException(JSONRPC_ERRORCODES.INVALID_PARAMS, 'Invalid params', mapped.violations);
+                }
+
+                invoke = (callContext) => options.spread ? (method as (...args: any[]) => any)(...mapped.args) : method(mapped.values, requestContext, callContext);
+            }
+
+            if(options.progress) {
+                const transport = requestContext && requestContext.transport;
+                if(!canPushNotifications(transport)) {
+                    return this._startJob(methodName, invoke, requestContext, callContext);
+                }
+                callContext = { ...callContext, progress: createProgressReporter(transport, progressToken) };
+            }
+
+            if(ResultCache.isCached(options)) {
+                result = this._resultCache.run(methodName, options, params, requestContext, idempotencyKey, callContext.signal,
+                    signal => invoke({ ...callContext, signal }));
+            } else {
+                result = invoke(callContext);
+            }
+
+            if(options.result && this._development) {
+                const resultSchema = options.result;
+                return Promise.resolve(result)
+                    .then((result) => {
+                        const violations = validateSchema(resultSchema, result, 'result');
+                        if(violations.length > 0) {
+                            throw new JsonRpcRequestException(JSONRPC_ERRORCODES.INTERNAL_ERROR, "Invalid result from method '" + methodName + "'", violations);
+                        }
+                        return result;
+                    });
+            }
+        } else if(methodName === 'rpc.discover' && this._discovery) {
+            result = this._getVisibleOpenRpcDocument(requestContext);
+        } else if(methodName === '$/cancelRequest') {
+            result = this._cancelRequest(params, requestContext);
+        } else if(methodName === 'rpc.job.status' && this._hasProgressMethods()) {
+            result = this._findAllowedJobs(getJobIdParam(params), requestContext).then(jobs => jobs.getStatus(params));
+        } else if(methodName === 'rpc.job.result' && this._hasProgressMethods()) {
+            result = this._findAllowedJobs(getJobIdParam(params), requestContext).then(jobs => jobs.getResult(params));
+        } else if(methodName === 'rpc.job.cancel' && this._hasProgressMethods()) {
+            result = this._findAllowedJobs(getJobIdParam(params), requestContext).then(jobs => jobs.cancel(params));
+        } else {
+            // In strict mode rpc.* names are only used by the built-in methods
+            if(typeof this._methodCallback === 'function' && !(this._strict && isReservedMethodName(methodName))) {
+                result = this._methodCallback(methodName, params, requestContext, callContext);
+            }
+
+            if(result === undefined) {
+                throw this._createMethodNotFoundException(methodName);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Returns a promise
+     * 
+     * @param {*} requests 
+     * @param {*} requestContext 
+     * @param {*} signal optional signal cancelling the calls
+     */
+    _handleJsonRpcBatchRequest(requests: JsonRpcRequest[], requestContext: RequestContext={}, signal?: AbortSignal): Promise<(JsonRpcResponse|null)[] | JsonRpcResponse | null> {
+        const startTime = Date.now();
+        const ctx: MiddlewareContext = {
+            type: 'batch',
+            requests,
+            requestContext
+        };
+
+        return runMiddleware(this._middlewares, ctx, 'response', () => this._handleJsonRpcBatchEntries(ctx.requests as JsonRpcRequest[], requestContext, signal))
+            .catch((e) => {
+                const error = this._mapError(e, { requestContext }, 'An error occurred when handling request');
+                return createErrorResponse(null, error.code, error.message, error.data);
+            })
+            .then((response) => {
+                if(this._metrics) {
+                    this._metrics.batchFinished(requests.length);
+                }
+                this._emit('batch', { size: requests.length, duration: Date.now() - startTime, response, requestContext } as BatchEvent);
+                return response;
             });
     }
 
@@ -279,10 +2096,43 @@ export class TinyJsonRpcServer {
      * 
      * @param {*} requests 
      * @param {*} requestContext 
+     * @param {*} signal 
      */
-    _handleJsonRpcBatchRequest(requests: JsonRpcRequest[], requestContext: RequestContext={}): Promise<(JsonRpcResponse|null)[] | JsonRpcResponse | null> {
-        const promises = requests.map(request => this._handleJsonRpcRequest(request, requestContext));
-        return Promise.all(promises)
+    _handleJsonRpcBatchEntries(requests: JsonRpcRequest[], requestContext: RequestContext, signal?: AbortSignal): Promise<(JsonRpcResponse|null)[] | JsonRpcResponse | null> {
+        const { concurrency, sequential, timeout } = this._batchOptions;
+        const limit = sequential ? 1 : (concurrency && concurrency > 0 ? concurrency : requests.length);
+
+        let batchSignal = signal;
+        let cleanup = () => {};
+
+        if(timeout && timeout > 0) {
+            // Abort all entries when the batch timeout expires or the request signal is aborted
+            const controller = new AbortController();
+            const onAbort = () => controller.abort(signal && signal.reason);
+            const timer = setTimeout(() => controller.abort(this._createTimeoutException()), timeout);
+
+            if(signal) {
+                if(signal.aborted) {
+                    onAbort();
+                } else {
+                    signal.addEventListener('abort', onAbort);
+                }
+            }
+
+            batchSignal = controller.signal;
+            cleanup = () => {
+                clearTimeout(timer);
+                if(signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+            };
+        }
+
+        return mapWithConcurrency(requests, limit, request => this._handleJsonRpcRequest(request, requestContext, batchSignal))
+            .then((responses) => {
+                cleanup();
+                return responses;
+            })
             .then((responses) => {
                 // Remove all null responses
                 return responses.filter(response => response !== null);
@@ -296,9 +2146,9 @@ export class TinyJsonRpcServer {
                 return responses;
             })
             .catch((e) => {
-                console.error(e);
                 // This shouldn't occur
-                return createErrorResponse(null, JSONRPC_ERRORCODES.INTERNAL_ERROR, 'An error occurred when handling request');
+                const error = this._mapError(e, { requestContext }, 'An error occurred when handling request');
+                return createErrorResponse(null, error.code, error.message, error.data);
             });
     }
 
@@ -311,30 +2161,43 @@ export class TinyJsonRpcServer {
         let requestId = null;
 
         if(request !== Object(request)) {
-            return createErrorResponse(requestId, JSONRPC_ERRORCODES.INVALID_REQUEST, "Invalid request");
+            return this._createErrorResponse(requestId, JSONRPC_ERRORCODES.INVALID_REQUEST, "Invalid request");
         }
 
-        // We don't check version
-        if(!request.jsonrpc) {
-            return createErrorResponse(requestId, JSONRPC_ERRORCODES.INVALID_REQUEST, "Invalid request, missing jsonrpc version");
+        // We don't check version, except in strict mode
+        if(!request.jsonrpc || (this._strict && request.jsonrpc !== '2.0')) {
+            return this._createErrorResponse(requestId, JSONRPC_ERRORCODES.INVALID_REQUEST, "Invalid request, missing jsonrpc version");
         }
 
         if('id' in request) {
-            // Numbers and non-empty strings are valid ids
-            if(isNumeric(request.id) || isString(request.id) || request.id === null) {
+            // Numbers and non-empty strings are valid ids, strict mode only accepts integer numbers
+            if(this._strict ? (Number.isInteger(request.id) || typeof request.id === 'string' || request.id === null) : (isNumeric(request.id) || isString(request.id) || request.id === null)) {
                 requestId = request.id;
             } else {
-                return createErrorResponse(requestId, JSONRPC_ERRORCODES.INVALID_REQUEST, "Invalid request, invalid id");
+                return this._createErrorResponse(requestId, JSONRPC_ERRORCODES.INVALID_REQUEST, "Invalid request, invalid id");
             }
         }
 
         if(!isString(request.method) || request.method === '') {
-            return createErrorResponse(requestId, JSONRPC_ERRORCODES.INVALID_REQUEST, "Invalid request, missing method");
+            return this._createErrorResponse(requestId, JSONRPC_ERRORCODES.INVALID_REQUEST, "Invalid request, missing method");
+        }
+
+        if(this._limits.methodNamePattern && !this._limits.methodNamePattern.test(request.method)) {
+            return this._createErrorResponse(requestId, JSONRPC_ERRORCODES.INVALID_REQUEST, "Invalid request, invalid method name");
+        }
+
+        if(this._limits.maxParamsSize && request.params !== undefined && jsonLength(request.params) > this._limits.maxParamsSize) {
+            return this._createErrorResponse(requestId, JSONRPC_ERRORCODES.INVALID_REQUEST, "Invalid request, params too large", { maxParamsSize: this._limits.maxParamsSize });
         }
 
-        if(request.params) {
+        if(this._strict) {
+            // params must be a structured value when present
+            if('params' in request && !isStructured(request.params)) {
+                return this._createErrorResponse(requestId, JSONRPC_ERRORCODES.INVALID_REQUEST, "Invalid request, invalid parameter type");
+            }
+        } else if(request.params) {
             if(!(Array.isArray(request.params) || (typeof request.params === 'function') || (typeof request.params === 'object'))) {
-                return createErrorResponse(requestId, JSONRPC_ERRORCODES.INVALID_REQUEST, "Invalid request, invalid parameter type");
+                return this._createErrorResponse(requestId, JSONRPC_ERRORCODES.INVALID_REQUEST, "Invalid request, invalid parameter type");
             }
         }
 
@@ -0,0 +1,267 @@
+import {
+    JsonRpcParams,
+    JsonRpcRequestException,
+    RequestContext,
+    SERVER_ERRORCODES
+} from './TinyJsonRpcServer';
+
+/**
+ * The deprecated option of registerMethod and registerAlias
+ */
+export interface Deprecation {
+    // Defaults to "Method '<name>' is deprecated"
+    message?: string;
+    // The method to use instead
+    replacement?: string;
+    // Calls fail with SERVER_ERRORCODES.METHOD_SUNSET from this date
+    sunset?: Date | string;
+}
+
+/**
+ * Describes the deprecation of the method called, in the 'deprecated' event
+ * and the warning member of the response
+ */
+export interface DeprecationWarning {
+    message: string;
+    replacement?: string;
+    // ISO date
+    sunset?: string;
+}
+
+export interface VersioningOptions {
+    // Separates the method name and the version, 'user.get@2', defaults to '@'
+    separator?: string;
+    // Property of object params selecting the version, it is taken out of
+    // the params of versioned methods
+    param?: string;
+    // Returns the version for calls without the version param, for example
+    // from a header
+    fromContext?: (method: string, requestContext: RequestContext) => string | number | undefined;
+}
+
+interface Alias {
+    target: string;
+    deprecation?: Deprecation;
+}
+
+export interface ResolvedMethod {
+    name: string;
+    params: JsonRpcParams | undefined;
+    // Set when the name called is a deprecated alias
+    aliasDeprecation?: Deprecation;
+}
+
+const DEFAULT_SEPARATOR = '@';
+
+/**
+ * Compare versions, numbers in versions are compared as numbers so '10'
+ * comes after '9' and '1.10' after '1.9'
+ *
+ * @param {*} a
+ * @param {*} b
+ */
+export function compareVersions(a: string, b: string): number {
+    return a.localeCompare(b, 'en', { numeric: true });
+}
+
+/**
+ * Returns the sunset date, throws when it is not a valid date
+ *
+ * @param {*} sunset
+ */
+function parseSunset(sunset: Date | string): Date {
+    const date = new Date(sunset);
+    if(isNaN(date.getTime())) {
+        throw new Error('Invalid sunset date: ' + String(sunset));
+    }
+    return date;
+}
+
+/**
+ * Returns the deprecation of the deprecated option, undefined when the
+ * method is not deprecated. Throws when the sunset date is invalid, so
+ * mistakes show at registration rather than in calls.
+ *
+ * @param {*} deprecated
+ */
+export function normalizeDeprecation(deprecated: boolean | Deprecation | undefined): Deprecation | undefined {
+    if(!deprecated) {
+        return undefined;
+    }
+    if(deprecated !== true && deprecated.sunset !== undefined) {
+        parseSunset(deprecated.sunset);
+    }
+    return deprecated === true ? {} : deprecated;
+}
+
+/**
+ * Returns true once the sunset date of the deprecation has passed
+ *
+ * @param {*} deprecation
+ * @param {*} now
+ */
+export function isSunset(deprecation: Deprecation, now: number = Date.now()): boolean {
+    return deprecation.sunset !== undefined && parseSunset(deprecation.sunset).getTime() <= now;
+}
+
+/**
+ * Returns the warning describing the deprecation of a method
+ *
+ * @param {*} method the method name called
+ * @param {*} deprecation
+ */
+export function createDeprecationWarning(method: string, deprecation: Deprecation): DeprecationWarning {
+    const warning: DeprecationWarning = { message: deprecation.message || "Method '" + method + "' is deprecated" };
+    if(deprecation.replacement) {
+        warning.replacement = deprecation.replacement;
+    }
+    if(deprecation.sunset !== undefined) {
+        warning.sunset = parseSunset(deprecation.sunset).toISOString();
+    }
+    return warning;
+}
+
+/**
+ * Returns the exception of calls to a method past its sunset date
+ *
+ * @param {*} method the method name called
+ * @param {*} deprecation
+ */
+export function createSunsetException(method: string, deprecation: Deprecation): JsonRpcRequestException {
+    const { message, ...data } = createDeprecationWarning(method, deprecation);
+    return new JsonRpcRequestException(SERVER_ERRORCODES.METHOD_SUNSET, "Method '" + method + "' is no longer available", data);
+}
+
+/**
+ * Keeps the versions of the methods and the aliases, and finds the method
+ * a call goes to
+ */
+export class MethodVersions {
+    _separator: string;
+    _param: string | undefined;
+    _fromContext: VersioningOptions['fromContext'];
+    // Versions of every base name, in ascending order
+    _versions: Map<string, string[]>;
+    // Base name and version of every versioned name
+    _versionedNames: Map<string, { base: string, version: string }>;
+    _aliases: Map<string, Alias>;
+
+    constructor(options: VersioningOptions = {}) {
+        this._separator = options.separator !== undefined ? options.separator : DEFAULT_SEPARATOR;
+        this._param = options.param;
+        this._fromContext = options.fromContext;
+        this._versions = new Map();
+        this._versionedNames = new Map();
+        this._aliases = new Map();
+    }
+
+    /**
+     * Add a version of a method, returns the name it is registered with
+     *
+     * @param {*} base
+     * @param {*} version
+     */
+    addVersion(base: string, version: string): string {
+        const name = base + this._separator + version;
+        const versions = (this._versions.get(base) || []).filter(other => other !== version);
+        versions.push(version);
+        versions.sort(compareVersions);
+        this._versions.set(base, versions);
+        this._versionedNames.set(name, { base, version });
+        return name;
+    }
+
+    /**
+     * Remove a version added with addVersion(), returns false when the name
+     * is not a version
+     *
+     * @param {*} name the versioned name
+     */
+    removeVersion(name: string): boolean {
+        const versioned = this._versionedNames.get(name);
+        if(!versioned) {
+            return false;
+        }
+
+        this._versionedNames.delete(name);
+        const versions = (this._versions.get(versioned.base) || []).filter(version => version !== versioned.version);
+        if(versions.length > 0) {
+            this._versions.set(versioned.base, versions);
+        } else {
+            this._versions.delete(versioned.base);
+        }
+        return true;
+    }
+
+    /**
+     * Returns the versions of a method, in ascending order
+     *
+     * @param {*} base
+     */
+    getVersions(base: string): string[] {
+        return (this._versions.get(base) || []).slice();
+    }
+
+    addAlias(name: string, target: string, deprecation?: Deprecation): void {
+        this._aliases.set(name, { target, deprecation });
+    }
+
+    removeAlias(name: string): boolean {
+        return this._aliases.delete(name);
+    }
+
+    /**
+     * Returns true when the name is an alias or the base name of versions
+     *
+     * @param {*} name
+     */
+    has(name: string): boolean {
+        return this._aliases.has(name) || this._versions.has(name);
+    }
+
+    /**
+     * Find the method a call goes to. Aliases are replaced by their target,
+     * then calls to a versioned method go to the version selected by the
+     * version param or the fromContext option. Without a version, calls go
+     * to the method registered without version, or else to the latest
+     * version.
+     *
+     * @param {*} methodName
+     * @param {*} params
+     * @param {*} requestContext
+     * @param {*} isRegistered returns true when a method is registered with the name
+     */
+    resolve(methodName: string, params: JsonRpcParams | undefined, requestContext: RequestContext, isRegistered: (name: string) => boolean): ResolvedMethod {
+        const resolved: ResolvedMethod = { name: methodName, params };
+
+        const alias = this._aliases.get(methodName);
+        if(alias) {
+            resolved.name = alias.target;
+            if(alias.deprecation) {
+                resolved.aliasDeprecation = alias.deprecation;
+            }
+        }
+
+        const versions = this._versions.get(resolved.name);
+        if(!versions) {
+            return resolved;
+        }
+
+        let version: string | number | undefined;
+        if(this._param !== undefined && params && !Array.isArray(params) && this._param in params) {
+            const { [this._param]: paramVersion, ...rest } = params as { [key: string]: any };
+            resolved.params = rest;
+            version = paramVersion;
+        }
+        if(version === undefined && this._fromContext) {
+            version = this._fromContext(resolved.name, requestContext);
+        }
+
+        if(version !== undefined && version !== null) {
+            resolved.name += this._separator + version;
+        } else if(!isRegistered(resolved.name)) {
+            resolved.name += this._separator + versions[versions.length - 1];
+        }
+        return resolved;
+    }
+}
@@ -0,0 +1,567 @@
+import { createHash } from 'crypto';
+import { EventEmitter } from 'events';
+import type { IncomingMessage, Server } from 'http';
+import type { Duplex } from 'stream';
+import {
+    JsonRpcParams,
+    RequestContext,
+    TinyJsonRpcServer
+} from './TinyJsonRpcServer';
+import { DEFAULT_MAX_MESSAGE_SIZE } from './StreamTransport';
+import type { MessageCodec } from './Codecs';
+
+export enum WEBSOCKET_OPCODES {
+    CONTINUATION = 0x0,
+    TEXT = 0x1,
+    BINARY = 0x2,
+    CLOSE = 0x8,
+    PING = 0x9,
+    PONG = 0xa,
+};
+
+export enum WEBSOCKET_CLOSECODES {
+    NORMAL = 1000,
+    GOING_AWAY = 1001,
+    PROTOCOL_ERROR = 1002,
+    INVALID_DATA = 1007,
+    MESSAGE_TOO_BIG = 1009,
+};
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+export interface WebSocketFrame {
+    fin: boolean;
+    opcode: number;
+    payload: Buffer;
+}
+
+export class WebSocketProtocolError extends Error {
+    closeCode: number;
+
+    constructor(closeCode: number, message: string) {
+        super(message);
+        this.closeCode = closeCode;
+    }
+}
+
+/**
+ * Returns the Sec-WebSocket-Accept value for a Sec-WebSocket-Key
+ *
+ * @param {*} key
+ */
+export function createWebSocketAccept(key: string): string {
+    return createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+}
+
+/**
+ * Encode a single WebSocket frame. Frames sent by a server are not masked,
+ * frames sent by a client must be masked with a 4 byte key.
+ *
+ * @param {*} opcode
+ * @param {*} payload
+ * @param {*} mask optional 4 byte masking key
+ */
+export function encodeWebSocketFrame(opcode: number, payload: Buffer, mask?: Buffer): Buffer {
+    let header: Buffer;
+
+    if(payload.length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = payload.length;
+    } else if(payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeUInt32BE(Math.floor(payload.length / 0x100000000), 2);
+        header.writeUInt32BE(payload.length % 0x100000000, 6);
+    }
+
+    header[0] = 0x80 | opcode;
+
+    if(!mask) {
+        return Buffer.concat([header, payload]);
+    }
+
+    header[1] |= 0x80;
+    const masked = Buffer.alloc(payload.length);
+    for(let i = 0; i < payload.length; i++) {
+        masked[i] = payload[i] ^ mask[i % 4];
+    }
+
+    return Buffer.concat([header, mask, masked]);
+}
+
+/**
+ * Incremental WebSocket frame decoder
+ */
+export class WebSocketFrameDecoder {
+    _buffer: Buffer;
+    _maxFrameSize: number;
+    _requireMask: boolean;
+
+    /**
+     * @param {*} maxFrameSize maximum payload size of a single frame
+     * @param {*} requireMask true when decoding frames sent by a client
+     */
+    constructor(maxFrameSize: number = DEFAULT_MAX_MESSAGE_SIZE, requireMask: boolean = true) {
+        this._buffer = Buffer.alloc(0);
+        this._maxFrameSize = maxFrameSize;
+        this._requireMask = requireMask;
+    }
+
+    /**
+     * Returns the complete frames found after adding chunk, throws a
+     * WebSocketProtocolError when the data is not valid.
+     *
+     * @param {*} chunk
+     */
+    push(chunk: Buffer): WebSocketFrame[] {
+        this._buffer = this._buffer.length === 0 ? chunk : Buffer.concat([this._buffer, chunk]);
+
+        const frames: WebSocketFrame[] = [];
+        for(;;) {
+            const frame = this._decodeFrame();
+            if(!frame) {
+                break;
+            }
+            frames.push(frame);
+        }
+
+        return frames;
+    }
+
+    _decodeFrame(): WebSocketFrame | null {
+        const buffer = this._buffer;
+        if(buffer.length < 2) {
+            return null;
+        }
+
+        const fin = (buffer[0] & 0x80) !== 0;
+        if((buffer[0] & 0x70) !== 0) {
+            throw new WebSocketProtocolError(WEBSOCKET_CLOSECODES.PROTOCOL_ERROR, 'Unsupported extension bits');
+        }
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        if(masked !== this._requireMask) {
+            throw new WebSocketProtocolError(WEBSOCKET_CLOSECODES.PROTOCOL_ERROR, masked ? 'Unexpected masked frame' : 'Frame is not masked');
+        }
+
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+        if(length === 126) {
+            if(buffer.length < 4) {
+                return null;
+            }
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if(length === 127) {
+            if(buffer.length < 10) {
+                return null;
+            }
+            length = buffer.readUInt32BE(2) * 0x100000000 + buffer.readUInt32BE(6);
+            offset = 10;
+        }
+
+        if(length > this._maxFrameSize) {
+            throw new WebSocketProtocolError(WEBSOCKET_CLOSECODES.MESSAGE_TOO_BIG, 'Frame too large');
+        }
+
+        if(opcode >= WEBSOCKET_OPCODES.CLOSE && (!fin || length > 125)) {
+            throw new WebSocketProtocolError(WEBSOCKET_CLOSECODES.PROTOCOL_ERROR, 'Invalid control frame');
+        }
+
+        const maskOffset = offset;
+        if(masked) {
+            offset += 4;
+        }
+
+        if(buffer.length < offset + length) {
+            return null;
+        }
+
+        const payload = Buffer.from(buffer.slice(offset, offset + length));
+        if(masked) {
+            for(let i = 0; i < payload.length; i++) {
+                payload[i] ^= buffer[maskOffset + (i % 4)];
+            }
+        }
+
+        this._buffer = buffer.slice(offset + length);
+
+        return { fin, opcode, payload };
+    }
+}
+
+export interface WebSocketConnectionOptions {
+    // Maximum size of a message in bytes, defaults to 16 MiB
+    maxMessageSize?: number;
+    // Codecs offered as the subprotocols 'jsonrpc-<name>', for example
+    // 'jsonrpc-msgpack'. The first subprotocol requested by the client with
+    // a codec is used, without one messages are JSON text
+    codecs?: MessageCodec[];
+}
+
+function getCodecSubprotocol(codec: MessageCodec): string {
+    return 'jsonrpc-' + codec.name;
+}
+
+/**
+ * Returns the codec of the first requested subprotocol with a codec
+ *
+ * @param {*} header Sec-WebSocket-Protocol header of the upgrade request
+ * @param {*} codecs
+ */
+function negotiateCodec(header: string | undefined, codecs: MessageCodec[]): MessageCodec | undefined {
+    const protocols = (header || '').split(',').map(protocol => protocol.trim()).filter(protocol => protocol !== '');
+    const protocol = protocols.find(protocol => codecs.some(codec => getCodecSubprotocol(codec) === protocol));
+    return codecs.find(codec => getCodecSubprotocol(codec) === protocol);
+}
+
+/**
+ * A server side WebSocket connection on top of an upgraded socket.
+ *
+ * Events:
+ *  - 'message' (data: string | Buffer) a complete text or binary message, a
+ *    Buffer when the connection has a codec
+ *  - 'close' (code: number, reason: string) emitted once when the connection is closed
+ */
+export class WebSocketConnection extends EventEmitter {
+    // Codec negotiated in the handshake, see WebSocketConnectionOptions.codecs
+    codec: MessageCodec | undefined;
+    _socket: Duplex;
+    _decoder: WebSocketFrameDecoder;
+    _maxMessageSize: number;
+    _fragments: Buffer[];
+    _fragmentsSize: number;
+    _closeSent: boolean;
+    _closed: boolean;
+
+    constructor(socket: Duplex, options: WebSocketConnectionOptions = {}, codec?: MessageCodec) {
+        super();
+        this.codec = codec;
+        this._maxMessageSize = options.maxMessageSize !== undefined ? options.maxMessageSize : DEFAULT_MAX_MESSAGE_SIZE;
+        this._socket = socket;
+        this._decoder = new WebSocketFrameDecoder(this._maxMessageSize, true);
+        this._fragments = [];
+        this._fragmentsSize = 0;
+        this._closeSent = false;
+        this._closed = false;
+
+        socket.on('data', (chunk: Buffer) => this._handleData(chunk));
+        socket.on('close', () => this._handleSocketClose(WEBSOCKET_CLOSECODES.GOING_AWAY, ''));
+        socket.on('error', () => socket.destroy());
+    }
+
+    /**
+     * Send a message, strings are sent as text and Buffers as binary
+     *
+     * @param {*} data
+     */
+    send(data: string | Buffer): void {
+        if(Buffer.isBuffer(data)) {
+            this._sendFrame(WEBSOCKET_OPCODES.BINARY, data);
+        } else {
+            this._sendFrame(WEBSOCKET_OPCODES.TEXT, Buffer.from(data, 'utf8'));
+        }
+    }
+
+    /**
+     * Send a JSON-RPC notification to the client.
+     *
+     * @param {*} method
+     * @param {*} params
+     */
+    notify(method: string, params?: JsonRpcParams): void {
+        const notification: { jsonrpc: string, method: string, params?: JsonRpcParams } = { jsonrpc: '2.0', method };
+        if(params !== undefined) {
+            notification.params = params;
+        }
+        this.send(this.codec ? this.codec.encode(notification) : JSON.stringify(notification));
+    }
+
+    /**
+     * Returns true when the connection is closing or closed
+     */
+    isClosed(): boolean {
+        return this._closeSent || this._closed;
+    }
+
+    /**
+     * Start the closing handshake
+     *
+     * @param {*} code
+     * @param {*} reason
+     */
+    close(code: number = WEBSOCKET_CLOSECODES.NORMAL, reason: string = ''): void {
+        if(this._closeSent || this._closed) {
+            return;
+        }
+
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2, 'utf8');
+        this._sendFrame(WEBSOCKET_OPCODES.CLOSE, payload);
+        this._closeSent = true;
+        this._socket.end();
+    }
+
+    _sendFrame(opcode: number, payload: Buffer): void {
+        if(this._closeSent || this._closed) {
+            return;
+        }
+        this._socket.write(encodeWebSocketFrame(opcode, payload));
+    }
+
+    _handleData(chunk: Buffer): void {
+        let frames: WebSocketFrame[];
+        try {
+            frames = this._decoder.push(chunk);
+        } catch(e) {
+            const closeCode = e instanceof WebSocketProtocolError ? e.closeCode : WEBSOCKET_CLOSECODES.PROTOCOL_ERROR;
+            this.close(closeCode, (e as Error).message);
+            return;
+        }
+
+        frames.forEach(frame => this._handleFrame(frame));
+    }
+
+    _handleFrame(frame: WebSocketFrame): void {
+        if(this._closed) {
+            return;
+        }
+
+        switch(frame.opcode) {
+            case WEBSOCKET_OPCODES.PING:
+                this._sendFrame(WEBSOCKET_OPCODES.PONG, frame.payload);
+                return;
+            case WEBSOCKET_OPCODES.PONG:
+                return;
+            case WEBSOCKET_OPCODES.CLOSE: {
+                const code = frame.payload.length >= 2 ? frame.payload.readUInt16BE(0) : WEBSOCKET_CLOSECODES.NORMAL;
+                const reason = frame.payload.slice(2).toString('utf8');
+                // Echo the close frame to complete the closing handshake
+                this.close(code);
+                this._handleSocketClose(code, reason);
+                return;
+            }
+            case WEBSOCKET_OPCODES.TEXT:
+            case WEBSOCKET_OPCODES.BINARY:
+                if(this._fragments.length > 0) {
+                    this.close(WEBSOCKET_CLOSECODES.PROTOCOL_ERROR, 'Expected continuation frame');
+                    return;
+                }
+                break;
+            case WEBSOCKET_OPCODES.CONTINUATION:
+                if(this._fragments.length === 0) {
+                    this.close(WEBSOCKET_CLOSECODES.PROTOCOL_ERROR, 'Unexpected continuation frame');
+                    return;
+                }
+                break;
+            default:
+                this.close(WEBSOCKET_CLOSECODES.PROTOCOL_ERROR, 'Unknown opcode');
+                return;
+        }
+
+        this._fragmentsSize += frame.payload.length;
+        if(this._fragmentsSize > this._maxMessageSize) {
+            this.close(WEBSOCKET_CLOSECODES.MESSAGE_TOO_BIG, 'Message too large');
+            return;
+        }
+        this._fragments.push(frame.payload);
+
+        if(frame.fin) {
+            const payload = Buffer.concat(this._fragments);
+            const message = this.codec ? payload : payload.toString('utf8');
+            this._fragments = [];
+            this._fragmentsSize = 0;
+            this.emit('message', message);
+        }
+    }
+
+    _handleSocketClose(code: number, reason: string): void {
+        if(this._closed) {
+            return;
+        }
+        this._closed = true;
+        this.emit('close', code, reason);
+    }
+}
+
+/**
+ * Complete the WebSocket handshake for an http 'upgrade' event. Returns the
+ * connection, or null when the request is not a valid WebSocket upgrade, in
+ * which case a 400 response has been sent.
+ *
+ * @param {*} req
+ * @param {*} socket
+ * @param {*} head
+ * @param {*} options
+ */
+export function acceptWebSocketUpgrade(req: IncomingMessage, socket: Duplex, head: Buffer, options: WebSocketConnectionOptions = {}): WebSocketConnection | null {
+    const key = req.headers['sec-websocket-key'];
+    const upgrade = (req.headers['upgrade'] || '').toLowerCase();
+
+    if(req.method !== 'GET' || upgrade !== 'websocket' || !key || req.headers['sec-websocket-version'] !== '13') {
+        socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+        return null;
+    }
+
+    const codec = options.codecs ? negotiateCodec(req.headers['sec-websocket-protocol'], options.codecs) : undefined;
+
+    socket.write(
+        'HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        'Sec-WebSocket-Accept: ' + createWebSocketAccept(key as string) + '\r\n' +
+        (codec ? 'Sec-WebSocket-Protocol: ' + getCodecSubprotocol(codec) + '\r\n' : '') +
+        '\r\n'
+    );
+
+    const connection = new WebSocketConnection(socket, options, codec);
+    if(head && head.length > 0) {
+        connection._handleData(head);
+    }
+
+    return connection;
+}
+
+export interface WebSocketTransportOptions extends WebSocketConnectionOptions {
+    // Only handle upgrades for this path, other upgrade requests are left alone
+    path?: string;
+    // Build the requestContext, defaults to { req, transport: connection }
+    createRequestContext?: (req: IncomingMessage, connection: WebSocketConnection) => RequestContext;
+}
+
+/**
+ * Serve a TinyJsonRpcServer over WebSocket connections upgraded from an
+ * http server. Every message is handled by handleJsonRpcRequest, or by
+ * handleEncodedRequest when a codec was negotiated, and the response is
+ * sent back on the same connection.
+ *
+ * Handlers can push notifications to the connection through
+ * requestContext.transport.notify(method, params).
+ *
+ * When the server drains, upgrades are no longer accepted and every
+ * connection is closed once its pending requests are answered.
+ *
+ * Events:
+ *  - 'connection' (connection: WebSocketConnection, req: IncomingMessage)
+ */
+export class WebSocketTransport extends EventEmitter {
+    _server: TinyJsonRpcServer;
+    _httpServer: Server;
+    _options: WebSocketTransportOptions;
+    _connections: Set<WebSocketConnection>;
+    _pending: Map<WebSocketConnection, Set<Promise<void>>>;
+    _onUpgrade: (req: IncomingMessage, socket: Duplex, head: Buffer) => void;
+    _removeDrainListener: () => void;
+
+    constructor(server: TinyJsonRpcServer, httpServer: Server, options: WebSocketTransportOptions = {}) {
+        super();
+        this._server = server;
+        this._httpServer = httpServer;
+        this._options = options;
+        this._connections = new Set();
+        this._pending = new Map();
+        this._onUpgrade = (req, socket, head) => this._handleUpgrade(req, socket, head);
+
+        httpServer.on('upgrade', this._onUpgrade);
+        this._removeDrainListener = server.onDrain(() => this._drain());
+    }
+
+    /**
+     * Returns the open connections
+     */
+    getConnections(): WebSocketConnection[] {
+        return Array.from(this._connections);
+    }
+
+    /**
+     * Stop accepting connections and close the open connections
+     *
+     * @param {*} code
+     * @param {*} reason
+     */
+    close(code: number = WEBSOCKET_CLOSECODES.GOING_AWAY, reason: string = ''): void {
+        this._httpServer.removeListener('upgrade', this._onUpgrade);
+        this._removeDrainListener();
+        this._connections.forEach(connection => connection.close(code, reason));
+    }
+
+    /**
+     * Stop accepting connections, and close every connection once its
+     * pending requests are answered
+     */
+    _drain(): void {
+        this._httpServer.removeListener('upgrade', this._onUpgrade);
+        this._removeDrainListener();
+        this._connections.forEach((connection) => {
+            const pending = Array.from(this._pending.get(connection) || []);
+            Promise.all(pending).then(() => connection.close(WEBSOCKET_CLOSECODES.GOING_AWAY, 'Server shutting down'));
+        });
+    }
+
+    _handleUpgrade(req: IncomingMessage, socket: Duplex, head: Buffer): void {
+        if(this._options.path !== undefined && new URL(req.url || '/', 'http://localhost').pathname !== this._options.path) {
+            return;
+        }
+
+        const connection = acceptWebSocketUpgrade(req, socket, head, this._options);
+        if(!connection) {
+            return;
+        }
+
+        const requestContext = this._options.createRequestContext ? this._options.createRequestContext(req, connection) : { req, transport: connection };
+
+        // Cancels the pending requests when the connection closes
+        const abortController = new AbortController();
+
+        const pending = new Set<Promise<void>>();
+        this._connections.add(connection);
+        this._pending.set(connection, pending);
+        connection.on('close', () => {
+            this._connections.delete(connection);
+            this._pending.delete(connection);
+            abortController.abort();
+        });
+        connection.on('message', (message: string | Buffer) => {
+            const options = { signal: abortController.signal };
+            const handled = connection.codec
+                ? this._server.handleEncodedRequest(message, connection.codec, requestContext, options)
+                : this._server.handleJsonRpcRequest(message as string, requestContext, options)
+                    .then(response => response === null ? null : JSON.stringify(response));
+
+            const promise: Promise<void> = handled
+                .then((response) => {
+                    if(response !== null) {
+                        connection.send(response);
+                    }
+                })
+                .catch((e) => {
+                    this._server.getLogger().error(e);
+                })
+                .then(() => {
+                    pending.delete(promise);
+                });
+            pending.add(promise);
+        });
+
+        this.emit('connection', connection, req);
+    }
+}
+
+/**
+ * Serve a TinyJsonRpcServer over WebSocket on an existing http server:
+ *
+ *   const httpServer = http.createServer(createHttpHandler(jsonRpcServer));
+ *   attachWebSocketTransport(jsonRpcServer, httpServer, { path: '/ws' });
+ *
+ * @param {*} server the TinyJsonRpcServer handling the requests
+ * @param {*} httpServer
+ * @param {*} options
+ */
+export function attachWebSocketTransport(server: TinyJsonRpcServer, httpServer: Server, options: WebSocketTransportOptions = {}): WebSocketTransport {
+    return new WebSocketTransport(server, httpServer, options);
+}
@@ -0,0 +1,135 @@
+const { expect } = require('chai');
+
+const { SERVER_ERRORCODES, TinyJsonRpcServer } = require('../lib/TinyJsonRpcServer');
+const { checkAccessRequirement } = require('../lib/Authorization');
+
+function call(server, method, params, requestContext) {
+    return server.handleJsonRpcRequest({ jsonrpc: '2.0', method, params, id: 1 }, requestContext);
+}
+
+const admin = { user: { roles: ['admin'], scopes: ['users:read', 'users:write'] } };
+const reader = { user: { roles: ['user'], scopes: ['users:read'] } };
+
+describe("Authorization", function() {
+    it('roles need one match, scopes need all', function() {
+        return Promise.all([
+                checkAccessRequirement({ roles: ['admin', 'user'] }, reader, undefined),
+                checkAccessRequirement({ roles: ['admin'] }, reader, undefined),
+                checkAccessRequirement({ scopes: ['users:read', 'users:write'] }, admin, undefined),
+                checkAccessRequirement({ scopes: ['users:read', 'users:write'] }, reader, undefined),
+                checkAccessRequirement({ roles: ['admin'] }, {}, undefined),
+                checkAccessRequirement({ roles: ['ops'] }, reader, undefined, { getRoles: () => ['ops'] })
+            ])
+            .then((results) => {
+                expect(results).to.eql([true, false, true, false, false, true]);
+            });
+    });
+
+    it('method requirements and predicates are checked before the call', function() {
+        const calls = [];
+        const server = new TinyJsonRpcServer();
+        server.registerMethod('deleteUser', (params) => { calls.push(params.id); return true; }, { access: { roles: ['admin'] } });
+        server.registerMethod('updateProfile', () => true, {
+            access: { allow: (requestContext, params) => Promise.resolve(params.owner === requestContext.user.roles[0]) }
+        });
+
+        return Promise.all([
+                call(server, 'deleteUser', { id: 1 }, reader),
+                call(server, 'deleteUser', { id: 2 }, admin),
+                call(server, 'updateProfile', { owner: 'user' }, reader),
+                call(server, 'updateProfile', { owner: 'admin' }, reader)
+            ])
+            .then((responses) => {
+                expect(responses[0].error).to.eql({ code: SERVER_ERRORCODES.UNAUTHORIZED, message: 'Unauthorized' });
+                expect(responses[1].result).to.eq(true);
+                expect(responses[2].result).to.eq(true);
+                expect(responses[3].error.code).to.eq(SERVER_ERRORCODES.UNAUTHORIZED);
+                expect(calls).to.eql([2]);
+            });
+    });
+
+    it('prefix policies apply together with the method requirement', function() {
+        const server = new TinyJsonRpcServer({ authorization: { unauthorizedError: { code: SERVER_ERRORCODES.FORBIDDEN, message: 'Forbidden' } } });
+        server.registerMethods({
+            admin: {
+                stats: () => 'stats'
+            },
+            ping: () => 'pong'
+        });
+        server.registerMethod('admin.purge', () => 'purged', { access: { scopes: ['cache:purge'] } });
+        server.setAccessPolicy('admin.', { roles: ['admin'] });
+
+        return Promise.all([
+                call(server, 'admin.stats', undefined, reader),
+                call(server, 'admin.stats', undefined, admin),
+                call(server, 'admin.purge', undefined, admin),
+                call(server, 'ping', undefined, reader)
+            ])
+            .then((responses) => {
+                expect(responses[0].error).to.eql({ code: SERVER_ERRORCODES.FORBIDDEN, message: 'Forbidden' });
+                expect(responses[1].result).to.eq('stats');
+                expect(responses[2].error.code).to.eq(SERVER_ERRORCODES.FORBIDDEN);
+                expect(responses[3].result).to.eq('pong');
+            });
+    });
+
+    it('denyByDefault only allows methods with a requirement or marked public', function() {
+        const server = new TinyJsonRpcServer({ authorization: { denyByDefault: true } });
+        server.registerMethod('open', () => 'open', { access: { public: true } });
+        server.registerMethod('closed', () => 'closed');
+        server.registerMethod('users', () => 'users', { access: { roles: ['user'] } });
+
+        return Promise.all([
+                call(server, 'open'),
+                call(server, 'closed', undefined, admin),
+                call(server, 'users', undefined, reader),
+                call(server, '$/cancelRequest', { id: 5 })
+            ])
+            .then((responses) => {
+                expect(responses[0].result).to.eq('open');
+                expect(responses[1].error.code).to.eq(SERVER_ERRORCODES.UNAUTHORIZED);
+                expect(responses[2].result).to.eq('users');
+                expect(responses[3].error).to.eq(undefined);
+            });
+    });
+
+    it('mounted servers check their own requirements', function() {
+        const billing = new TinyJsonRpcServer();
+        billing.registerMethod('refund', () => 'refunded', { access: { scopes: ['billing:refund'] } });
+        const root = new TinyJsonRpcServer();
+        root.mount('billing.', billing);
+        root.setAccessPolicy('billing.', { roles: ['admin', 'user'] });
+
+        return Promise.all([
+                call(root, 'billing.refund', undefined, reader),
+                call(root, 'billing.refund', undefined, { user: { roles: ['user'], scopes: ['billing:refund'] } }),
+                call(root, 'billing.refund', undefined, { user: { scopes: ['billing:refund'] } })
+            ])
+            .then((responses) => {
+                expect(responses[0].error.code).to.eq(SERVER_ERRORCODES.UNAUTHORIZED);
+                expect(responses[1].result).to.eq('refunded');
+                expect(responses[2].error.code).to.eq(SERVER_ERRORCODES.UNAUTHORIZED);
+            });
+    });
+
+    it('rpc.discover only lists the methods the caller may call', function() {
+        const billing = new TinyJsonRpcServer();
+        billing.registerMethod('refund', () => 'refunded', { access: { roles: ['admin'] } });
+        const server = new TinyJsonRpcServer({ discovery: true });
+        server.registerMethod('ping', () => 'pong');
+        server.registerMethod('deleteUser', () => true, { access: { roles: ['admin'] } });
+        server.registerMethod('updateProfile', () => true, { access: { allow: (requestContext, params) => params.owner === 'me' } });
+        server.mount('billing.', billing);
+
+        return Promise.all([
+                call(server, 'rpc.discover', undefined, reader),
+                call(server, 'rpc.discover', undefined, admin)
+            ])
+            .then((responses) => {
+                // The predicate throws without params, which hides the method
+                expect(responses[0].result.methods.map(method => method.name)).to.eql(['ping']);
+                expect(responses[1].result.methods.map(method => method.name).sort()).to.eql(['billing.refund', 'deleteUser', 'ping']);
+                expect(server.getOpenRpcDocument().methods.length).to.eq(4);
+            });
+    });
+});
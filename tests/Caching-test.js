@@ -0,0 +1,205 @@
+const { expect } = require('chai');
+
+const { JSONRPC_ERRORCODES, SERVER_ERRORCODES, JsonRpcRequestException, MemoryCacheStore, TinyJsonRpcServer } = require('../lib/TinyJsonRpcServer');
+
+function call(server, method, params, id = 1, requestContext) {
+    return server.handleJsonRpcRequest({ jsonrpc: '2.0', method, params, id }, requestContext);
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe("Caching", function() {
+    it('MemoryCacheStore evicts the least recently used entries and expired entries', function() {
+        let now = 0;
+        const store = new MemoryCacheStore(2, () => now);
+        store.set('a', { result: 1 }, 100);
+        store.set('b', { result: 2 }, 100);
+        expect(store.get('a')).to.eql({ result: 1 });
+        store.set('c', { result: 3 }, 100);
+
+        expect(store.get('b')).to.eq(undefined);
+        expect(store.get('a')).to.eql({ result: 1 });
+        now = 100;
+        expect(store.get('c')).to.eq(undefined);
+        expect(store.size).to.eq(1);
+    });
+
+    it('cached results are returned until the ttl has passed', function() {
+        const server = new TinyJsonRpcServer();
+        const calls = [];
+        server.registerMethod('getPrice', (params, requestContext) => {
+            calls.push(params);
+            return { item: params.item, price: calls.length, currency: requestContext.currency };
+        }, {
+            cache: { ttl: 30, key: (params, requestContext) => requestContext.currency ? params.item + ':' + requestContext.currency : undefined }
+        });
+
+        return Promise.all([
+                call(server, 'getPrice', { item: 'a' }, 1, { currency: 'EUR' }),
+                call(server, 'getPrice', { item: 'a' }, 2, { currency: 'EUR' }),
+                call(server, 'getPrice', { item: 'a' }, 3, { currency: 'USD' }),
+                // Not cached without a key
+                call(server, 'getPrice', { item: 'a' }, 4, {})
+            ])
+            .then((responses) => {
+                const prices = responses.map(response => response.result.price);
+                expect(calls.length).to.eq(3);
+                expect(prices[1]).to.eq(prices[0]);
+                expect(new Set(prices).size).to.eq(3);
+                return call(server, 'getPrice', { item: 'a' }, 5, { currency: 'EUR' })
+                    .then(response => expect(response.result.price).to.eq(prices[0]));
+            })
+            .then(() => delay(40))
+            .then(() => call(server, 'getPrice', { item: 'a' }, 6, { currency: 'EUR' }))
+            .then((response) => {
+                expect(response.result.price).to.eq(4);
+                return server.invalidateCache('getPrice', { item: 'a' }, { currency: 'EUR' })
+                    .then(() => call(server, 'getPrice', { item: 'a' }, 7, { currency: 'EUR' }));
+            })
+            .then((response) => {
+                expect(response.result.price).to.eq(5);
+            });
+    });
+
+    it('identical concurrent calls in a batch run once, errors are not cached', function() {
+        const server = new TinyJsonRpcServer({ cache: { scope: requestContext => requestContext.user } });
+        let calls = 0;
+        server.registerMethod('load', (params) => {
+            calls++;
+            return delay(5).then(() => {
+                if(params.fail) {
+                    throw new JsonRpcRequestException(-32050, 'Load failed');
+                }
+                return { id: params.id };
+            });
+        }, { dedupe: true });
+
+        const batch = [1, 2, 3].map(id => ({ jsonrpc: '2.0', method: 'load', params: { id: 'x' }, id }))
+            .concat([{ jsonrpc: '2.0', method: 'load', params: { id: 'y' }, id: 4 }]);
+
+        return server.handleJsonRpcRequest(batch, { user: 'alice' })
+            .then((responses) => {
+                expect(calls).to.eq(2);
+                expect(responses.map(response => response.result.id)).to.eql(['x', 'x', 'x', 'y']);
+                return Promise.all([call(server, 'load', { fail: true }, 1, { user: 'alice' }), call(server, 'load', { fail: true }, 2, { user: 'alice' })]);
+            })
+            .then((responses) => {
+                expect(calls).to.eq(3);
+                expect(responses.map(response => response.error.code)).to.eql([-32050, -32050]);
+                return call(server, 'load', { fail: true }, 1, { user: 'alice' });
+            })
+            .then(() => {
+                expect(calls).to.eq(4);
+            });
+    });
+
+    it('retries with the same idempotency key get the stored response', function() {
+        const server = new TinyJsonRpcServer({ cache: { scope: requestContext => requestContext.user } });
+        const alice = { user: 'alice' };
+        const payments = [];
+        let paymentId;
+        server.registerMethod('pay', (params) => {
+            if(params.amount <= 0) {
+                throw new JsonRpcRequestException(-32050, 'Invalid amount');
+            }
+            const id = payments.push(params.amount);
+            return delay(5).then(() => ({ paymentId: id }));
+        }, {
+            idempotency: true,
+            params: { type: 'object', additionalProperties: false, properties: { amount: { type: 'number' } } }
+        });
+
+        return Promise.all([
+                call(server, 'pay', { amount: 10, idempotencyKey: 'k1' }, 1, alice),
+                call(server, 'pay', { amount: 10, idempotencyKey: 'k1' }, 2, alice),
+                call(server, 'pay', { amount: 20, idempotencyKey: 'k1' }, 3, alice),
+                call(server, 'pay', { amount: 10 }, 4, alice)
+            ])
+            .then(([first, concurrent, other, withoutKey]) => {
+                paymentId = first.result.paymentId;
+                expect(concurrent.result).to.eql({ paymentId });
+                expect(other.error).to.eql({ code: SERVER_ERRORCODES.CONFLICT, message: 'Idempotency key reused with different params' });
+                expect(withoutKey.result.paymentId).to.not.eq(paymentId);
+
+                return Promise.all([
+                    call(server, 'pay', { amount: 10, idempotencyKey: 'k1' }, 1, alice),
+                    call(server, 'pay', { amount: 0, idempotencyKey: 'k2' }, 2, alice),
+                    call(server, 'pay', { amount: 'x', idempotencyKey: 'k3' }, 3, alice)
+                ]);
+            })
+            .then(([retry, failed, invalid]) => {
+                expect(retry.result).to.eql({ paymentId });
+                expect(failed.error.code).to.eq(-32050);
+                expect(invalid.error.code).to.eq(JSONRPC_ERRORCODES.INVALID_PARAMS);
+                expect(payments).to.eql([10, 10]);
+                return call(server, 'pay', { amount: 0, idempotencyKey: 'k2' }, 1, alice);
+            })
+            .then((retry) => {
+                expect(retry.error).to.eql({ code: -32050, message: 'Invalid amount' });
+            });
+    });
+
+    it('idempotency and dedupe keys are scoped by the client', function() {
+        const server = new TinyJsonRpcServer({ cache: { scope: requestContext => requestContext.user } });
+        const calls = [];
+        const handler = (params, requestContext) => {
+            calls.push(requestContext.user);
+            return delay(5).then(() => ({ user: requestContext.user, amount: params.amount }));
+        };
+        server.registerMethod('pay', handler, { idempotency: true });
+        server.registerMethod('load', handler, { dedupe: true });
+
+        expect(() => new TinyJsonRpcServer().registerMethod('pay', handler, { idempotency: true })).to.throw("Method 'pay' needs a scope");
+        expect(() => new TinyJsonRpcServer().registerMethod('load', handler, { dedupe: true })).to.throw("Method 'load' needs a scope");
+        new TinyJsonRpcServer().registerMethod('load', handler, { dedupe: { scope: requestContext => requestContext.user } });
+
+        return Promise.all([
+                call(server, 'pay', { amount: 10, idempotencyKey: 'k1' }, 1, { user: 'alice' }),
+                call(server, 'pay', { amount: 20, idempotencyKey: 'k1' }, 2, { user: 'bob' }),
+                call(server, 'load', { amount: 1 }, 3, { user: 'alice' }),
+                call(server, 'load', { amount: 1 }, 4, { user: 'bob' })
+            ])
+            .then((responses) => {
+                expect(responses.map(response => response.result)).to.eql([
+                    { user: 'alice', amount: 10 },
+                    { user: 'bob', amount: 20 },
+                    { user: 'alice', amount: 1 },
+                    { user: 'bob', amount: 1 }
+                ]);
+                return Promise.all([
+                    call(server, 'pay', { amount: 20, idempotencyKey: 'k1' }, 1, { user: 'bob' }),
+                    call(server, 'pay', { amount: 10, idempotencyKey: 'k1' }, 2, {}),
+                    call(server, 'pay', { amount: 10, idempotencyKey: 'k1' }, 3, {})
+                ]);
+            })
+            .then(([retry, anonymous, anonymousRetry]) => {
+                expect(retry.result).to.eql({ user: 'bob', amount: 20 });
+                expect(anonymous.result).to.eql({ user: undefined, amount: 10 });
+                expect(anonymousRetry.result).to.eql({ user: undefined, amount: 10 });
+                expect(calls).to.eql(['alice', 'bob', 'alice', 'bob', undefined, undefined]);
+            });
+    });
+
+    it('a shared store is used by all the methods', function() {
+        const entries = new Map();
+        const store = {
+            get: key => Promise.resolve(entries.get(key)),
+            set: (key, value) => Promise.resolve(entries.set(key, JSON.parse(JSON.stringify(value)))).then(() => undefined),
+            delete: key => { entries.delete(key); }
+        };
+        const server = new TinyJsonRpcServer({ cache: { store } });
+        let count = 0;
+        server.registerMethod('count', () => ++count, { cache: { ttl: 1000 } });
+        server.registerMethod('create', () => ++count, { idempotency: { key: (params, requestContext) => requestContext.key } });
+
+        return call(server, 'count', [])
+            .then(() => Promise.all([call(server, 'count', []), call(server, 'create', undefined, 1, { key: 'r1' })]))
+            .then(([cached, created]) => {
+                expect(cached.result).to.eq(1);
+                expect(created.result).to.eq(2);
+                expect(Array.from(entries.keys())).to.eql(['count:[]', 'idempotency:create:r1']);
+            });
+    });
+});
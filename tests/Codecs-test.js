@@ -0,0 +1,179 @@
+const { expect } = require('chai');
+
+const {
+    JSONRPC_ERRORCODES,
+    CBOR_CODEC,
+    JSON_CODEC,
+    MSGPACK_CODEC,
+    LoopbackTransport,
+    TinyJsonRpcClient,
+    TinyJsonRpcServer,
+    TypeCodec
+} = require('../lib/TinyJsonRpcServer');
+
+function hex(data) {
+    return Buffer.from(data).toString('hex');
+}
+
+class Money {
+    constructor(amount, currency) {
+        this.amount = amount;
+        this.currency = currency;
+    }
+}
+
+describe("Codecs", function() {
+    it('TypeCodec tags rich values and revives them after JSON', function() {
+        const codec = new TypeCodec();
+        const value = {
+            big: BigInt('12345678901234567890'),
+            when: new Date('2024-01-02T03:04:05.678Z'),
+            bytes: Buffer.from([1, 2, 255]),
+            view: new Uint8Array([7]),
+            map: new Map([[1, new Set(['a'])], ['k', { $type: 'date', value: 'not a date' }]]),
+            list: [undefined, null, 1.5]
+        };
+
+        const encoded = JSON.parse(JSON.stringify(codec.encode(value)));
+        expect(encoded.big).to.eql({ $type: 'bigint', value: '12345678901234567890' });
+        expect(encoded.when).to.eql({ $type: 'date', value: '2024-01-02T03:04:05.678Z' });
+        expect(encoded.bytes).to.eql({ $type: 'bytes', value: 'AQL/' });
+        expect(encoded.map.value[1][1]).to.eql({ $type: '$object', value: { $type: 'date', value: 'not a date' } });
+
+        const decoded = codec.decode(encoded);
+        expect(decoded.big).to.eq(BigInt('12345678901234567890'));
+        expect(decoded.when.getTime()).to.eq(value.when.getTime());
+        expect(hex(decoded.bytes)).to.eq('0102ff');
+        expect(hex(decoded.view)).to.eq('07');
+        expect(Array.from(decoded.map.get(1))).to.eql(['a']);
+        expect(decoded.map.get('k')).to.eql({ $type: 'date', value: 'not a date' });
+        expect(decoded.list).to.eql([null, null, 1.5]);
+        expect(codec.decode({ $type: 'unknown', value: 1 })).to.eql({ $type: 'unknown', value: 1 });
+        expect(() => codec.decode({ $type: 'bigint', value: 1 })).to.throw('Invalid bigint value');
+    });
+
+    it('TypeCodec register adds types', function() {
+        const codec = new TypeCodec().register({
+            tag: 'money',
+            test: value => value instanceof Money,
+            encode: (value, encode) => [encode(value.amount), value.currency],
+            decode: (data, decode) => new Money(decode(data[0]), data[1])
+        });
+
+        const encoded = codec.encode([new Money(BigInt(5), 'EUR')]);
+        expect(encoded).to.eql([{ $type: 'money', value: [{ $type: 'bigint', value: '5' }, 'EUR'] }]);
+        expect(codec.decode(encoded)[0]).to.eql(new Money(BigInt(5), 'EUR'));
+        expect(() => codec.register({ tag: '$object' })).to.throw("The tag '$object' is reserved");
+    });
+
+    it('MSGPACK_CODEC encodings', function() {
+        expect(hex(MSGPACK_CODEC.encode({ a: 1, b: [true, null], c: 'x' }))).to.eq('83a16101a16292c3c0a163a178');
+        expect(hex(MSGPACK_CODEC.encode([-1, -33, 128, 65536, -2147483649, 1.5]))).to.eq(
+            '96ffd0dfcc80ce00010000d3ffffffff7fffffffcb3ff8000000000000');
+        expect(hex(MSGPACK_CODEC.encode(Buffer.from([1, 2])))).to.eq('c4020102');
+        expect(hex(MSGPACK_CODEC.encode(new Date(1500)))).to.eq('c70cff1dcd6500' + '0000000000000001');
+
+        const value = { n: [0, 255, -129, 4294967296, Number.MAX_SAFE_INTEGER], big: BigInt('18446744073709551615'), s: 'é'.repeat(40), d: new Date(-1), b: Buffer.alloc(300, 1) };
+        const decoded = MSGPACK_CODEC.decode(MSGPACK_CODEC.encode(value));
+        expect(decoded.n).to.eql(value.n);
+        expect(decoded.big).to.eq(value.big);
+        expect(decoded.s).to.eq(value.s);
+        expect(decoded.d.getTime()).to.eq(-1);
+        expect(decoded.b.equals(value.b)).to.eq(true);
+        // 32 bit and 64 bit timestamps
+        expect(MSGPACK_CODEC.decode(Buffer.from('d6ff00000001', 'hex')).getTime()).to.eq(1000);
+        expect(MSGPACK_CODEC.decode(Buffer.from('d7ff0bebc20000000001', 'hex')).getTime()).to.eq(1050);
+        expect(() => MSGPACK_CODEC.decode(Buffer.from('92c3', 'hex'))).to.throw('Unexpected end of data');
+        expect(() => MSGPACK_CODEC.decode(Buffer.from('c3c3', 'hex'))).to.throw('Unexpected data after the message');
+    });
+
+    it('CBOR_CODEC encodings', function() {
+        expect(hex(CBOR_CODEC.encode([0, 24, -1, -500, 1000000000000, 1.1, 'a', true, null]))).to.eq(
+            '89001818203901f31b000000e8d4a51000fb3ff199999999999a6161f5f6');
+        expect(hex(CBOR_CODEC.encode(BigInt('18446744073709551616')))).to.eq('c249010000000000000000');
+        expect(hex(CBOR_CODEC.encode(BigInt('-18446744073709551617')))).to.eq('c349010000000000000000');
+        expect(hex(CBOR_CODEC.encode({ b: Buffer.from([1]), d: new Date(1363896240000) }))).to.eq('a2616241016164c11a514b67b0');
+
+        expect(CBOR_CODEC.decode(Buffer.from('c249010000000000000000', 'hex'))).to.eq(BigInt('18446744073709551616'));
+        expect(CBOR_CODEC.decode(Buffer.from('c11a514b67b0', 'hex')).getTime()).to.eq(1363896240000);
+        expect(CBOR_CODEC.decode(Buffer.from('c074323031332d30332d32315432303a30343a30305a', 'hex')).getTime()).to.eq(1363896240000);
+        expect(CBOR_CODEC.decode(Buffer.from('c1fb41d452d9ec200000', 'hex')).getTime()).to.eq(1363896240500);
+        expect(CBOR_CODEC.decode(Buffer.from('83f93c00f97c00f9c400', 'hex'))).to.eql([1, Infinity, -4]);
+        expect(CBOR_CODEC.decode(Buffer.from('9f018202039f0405ffff', 'hex'))).to.eql([1, [2, 3], [4, 5]]);
+        expect(CBOR_CODEC.decode(Buffer.from('bf6346756ef563416d7421ff', 'hex'))).to.eql({ Fun: true, Amt: -2 });
+        expect(CBOR_CODEC.decode(Buffer.from('7f657374726561646d696e67ff', 'hex'))).to.eq('streaming');
+        expect(CBOR_CODEC.decode(Buffer.from('a1015820' + '00'.repeat(32), 'hex'))['1'].length).to.eq(32);
+    });
+
+    it('server with types revives params and tags results', function() {
+        const server = new TinyJsonRpcServer({ types: true });
+        server.registerMethod('describe', params => ({
+            isDate: params.when instanceof Date,
+            next: params.count + BigInt(1),
+            tags: new Set(params.tags)
+        }));
+
+        const client = new TinyJsonRpcClient(new LoopbackTransport(server), { types: true });
+        return Promise.all([
+                client.call('describe', { when: new Date(0), count: BigInt('9007199254740993'), tags: ['a', 'a'] }),
+                server.handleJsonRpcRequest('{"jsonrpc":"2.0","method":"describe","params":{"when":{"$type":"date","value":1}},"id":1}')
+            ])
+            .then(([result, invalid]) => {
+                expect(result.isDate).to.eq(true);
+                expect(result.next).to.eq(BigInt('9007199254740994'));
+                expect(result.tags).to.be.instanceOf(Set);
+                expect(Array.from(result.tags)).to.eql(['a']);
+                expect(invalid.error).to.eql({ code: JSONRPC_ERRORCODES.INVALID_REQUEST, message: 'Invalid request, invalid typed value', data: { reason: 'Invalid date value' } });
+            });
+    });
+
+    it('handleEncodedRequest decodes and encodes with the codec', function() {
+        const server = new TinyJsonRpcServer({ types: true });
+        server.registerMethod('echo', params => params);
+
+        const params = { bytes: Buffer.from('hi'), when: new Date(5), big: BigInt(7), map: new Map([['a', 1]]) };
+        const request = { jsonrpc: '2.0', method: 'echo', params, id: 1 };
+        const encode = codec => codec.encode(new TypeCodec().encode(request, codec.nativeTypes));
+
+        return Promise.all([
+                server.handleEncodedRequest(encode(MSGPACK_CODEC), MSGPACK_CODEC),
+                server.handleEncodedRequest(encode(CBOR_CODEC), CBOR_CODEC),
+                server.handleEncodedRequest(encode(JSON_CODEC), JSON_CODEC),
+                server.handleEncodedRequest(Buffer.from('ff', 'hex'), CBOR_CODEC),
+                server.handleEncodedRequest(CBOR_CODEC.encode({ jsonrpc: '2.0', method: 'echo' }), CBOR_CODEC)
+            ])
+            .then(([msgpack, cbor, json, invalid, notification]) => {
+                const msgpackResult = MSGPACK_CODEC.decode(msgpack).result;
+                // Bytes and dates are native, BigInts are tagged
+                expect(msgpackResult.bytes.toString()).to.eq('hi');
+                expect(msgpackResult.when.getTime()).to.eq(5);
+                expect(msgpackResult.big).to.eql({ $type: 'bigint', value: '7' });
+                expect(msgpackResult.map).to.eql({ $type: 'map', value: [['a', 1]] });
+
+                const cborResult = CBOR_CODEC.decode(cbor).result;
+                expect(cborResult.big).to.eq(BigInt(7));
+                expect(new TypeCodec().decode(cborResult).map.get('a')).to.eq(1);
+
+                expect(typeof json).to.eq('string');
+                expect(JSON.parse(json).result.bytes).to.eql({ $type: 'bytes', value: 'aGk=' });
+                expect(CBOR_CODEC.decode(invalid).error.code).to.eq(JSONRPC_ERRORCODES.PARSE_ERROR);
+                expect(notification).to.eq(null);
+            });
+    });
+
+    it('BigInt params are measured by their digits for maxParamsSize', function() {
+        const server = new TinyJsonRpcServer({ types: true, limits: { maxParamsSize: 40 } });
+        server.registerMethod('next', params => params.count + BigInt(1));
+
+        return Promise.all([
+                server.handleJsonRpcRequest('{"jsonrpc":"2.0","method":"next","params":{"count":{"$type":"bigint","value":"5"}},"id":1}'),
+                server.handleEncodedRequest(CBOR_CODEC.encode({ jsonrpc: '2.0', method: 'next', params: { count: BigInt(5) }, id: 2 }), CBOR_CODEC),
+                server.handleJsonRpcRequest({ jsonrpc: '2.0', method: 'next', params: { count: BigInt('1' + '0'.repeat(40)) }, id: 3 })
+            ])
+            .then(([json, cbor, tooLarge]) => {
+                expect(json.result).to.eql({ $type: 'bigint', value: '6' });
+                expect(CBOR_CODEC.decode(cbor).result).to.eq(BigInt(6));
+                expect(tooLarge.error.message).to.eq('Invalid request, params too large');
+            });
+    });
+});
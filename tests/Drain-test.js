@@ -0,0 +1,117 @@
+const { PassThrough } = require('stream');
+const { expect } = require('chai');
+
+const { SERVER_ERRORCODES, NdjsonDecoder, TinyJsonRpcServer, attachStreamTransport } = require('../lib/TinyJsonRpcServer');
+
+function call(server, method, params, id = 1) {
+    return server.handleJsonRpcRequest({ jsonrpc: '2.0', method, params, id });
+}
+
+function createServer(options) {
+    const server = new TinyJsonRpcServer(options);
+    const gates = [];
+    server.registerMethods({
+        'wait': () => new Promise(resolve => gates.push(resolve)),
+        'sleep': (params, requestContext, callContext) => new Promise((resolve, reject) => {
+            callContext.signal.addEventListener('abort', () => reject(callContext.signal.reason));
+        }),
+        'ping': () => 'pong'
+    });
+    return { server, gates };
+}
+
+function tick() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+describe("Drain", function() {
+    it('getInFlight lists the running calls', function() {
+        const { server, gates } = createServer();
+        const responses = Promise.all([call(server, 'wait', [], 'a'), server.handleJsonRpcRequest({ jsonrpc: '2.0', method: 'wait' })]);
+
+        return tick()
+            .then(() => {
+                const inFlight = server.getInFlight();
+                expect(inFlight.map(entry => entry.method)).to.eql(['wait', 'wait']);
+                expect(inFlight[0].id).to.eq('a');
+                expect('id' in inFlight[1]).to.eq(false);
+                expect(inFlight[0].startTime).to.be.a('number');
+                gates.forEach(resolve => resolve(1));
+                return responses;
+            })
+            .then(() => {
+                expect(server.getInFlight()).to.eql([]);
+            });
+    });
+
+    it('drain refuses new calls and resolves once the running calls are done', function() {
+        const { server, gates } = createServer({ shutdownError: { message: 'Going down', data: { retryAfter: 5 } } });
+        const running = call(server, 'wait');
+        let drained = false;
+        let drain;
+
+        return tick()
+            .then(() => {
+                drain = server.drain().then((result) => {
+                    drained = true;
+                    return result;
+                });
+                expect(server.isDraining()).to.eq(true);
+                return call(server, 'ping', [], 2);
+            })
+            .then((refused) => {
+                expect(refused.error).to.eql({ code: SERVER_ERRORCODES.SHUTTING_DOWN, message: 'Going down', data: { retryAfter: 5 } });
+                expect(drained).to.eq(false);
+                gates[0]('done');
+                return Promise.all([running, drain]);
+            })
+            .then(([response, result]) => {
+                expect(response.result).to.eq('done');
+                expect(result).to.eql({ aborted: 0 });
+                return server.drain();
+            })
+            .then((result) => {
+                expect(result).to.eql({ aborted: 0 });
+            });
+    });
+
+    it('calls still running after the timeout are aborted', function() {
+        const { server } = createServer();
+        const running = call(server, 'sleep');
+
+        return tick()
+            .then(() => Promise.all([server.drain({ timeout: 10 }), running]))
+            .then(([result, response]) => {
+                expect(result).to.eql({ aborted: 1 });
+                expect(response.error).to.eql({ code: SERVER_ERRORCODES.SHUTTING_DOWN, message: 'Server shutting down' });
+            });
+    });
+
+    it('stream transports close when the server drains', function() {
+        const { server, gates } = createServer();
+        const input = new PassThrough();
+        const output = new PassThrough();
+        const decoder = new NdjsonDecoder();
+        const messages = [];
+        output.on('data', chunk => decoder.push(chunk).forEach(message => messages.push(JSON.parse(message))));
+        const transport = attachStreamTransport(server, input, { output });
+        let closed = false;
+        transport.on('close', () => { closed = true; });
+
+        input.write('{"jsonrpc":"2.0","method":"wait","id":1}\n');
+        return tick()
+            .then(() => {
+                server.drain();
+                expect(transport.isClosed()).to.eq(true);
+                return tick();
+            })
+            .then(() => {
+                expect(closed).to.eq(false);
+                gates[0]('last');
+                return new Promise(resolve => transport.on('close', resolve));
+            })
+            .then(() => {
+                expect(messages).to.eql([{ jsonrpc: '2.0', result: 'last', id: 1 }]);
+            });
+    });
+});
@@ -0,0 +1,134 @@
+const { expect } = require('chai');
+
+const {
+    JSONRPC_ERRORCODES,
+    SERVER_ERRORCODES,
+    JsonRpcRequestException,
+    TinyJsonRpcServer,
+    createErrorObject,
+    isServerErrorCode
+} = require('../lib/TinyJsonRpcServer');
+const { ErrorClassRegistry, describeError } = require('../lib/ErrorMapping');
+
+class NotFoundError extends Error {}
+class UserNotFoundError extends NotFoundError {}
+class ValidationError extends Error {
+    constructor(message, fields) {
+        super(message);
+        this.fields = fields;
+    }
+}
+
+function createServer(options = {}) {
+    const logged = [];
+    const server = new TinyJsonRpcServer({ logger: { error: e => logged.push(e) }, development: false, ...options });
+    server.registerMethods({
+        findUser: () => { throw new UserNotFoundError('No such user'); },
+        validate: () => { throw new ValidationError('Invalid user', { name: 'required' }); },
+        crash: () => { throw new Error('Database password is hunter2', { cause: new Error('connection refused') }); }
+    });
+    return { server, logged };
+}
+
+function call(server, method) {
+    return server.handleJsonRpcRequest({ jsonrpc: '2.0', method, id: 1 });
+}
+
+describe("ErrorMapping", function() {
+    it('the closest registered class in the prototype chain is used', function() {
+        const registry = new ErrorClassRegistry();
+        registry.register(NotFoundError, { code: SERVER_ERRORCODES.NOT_FOUND });
+        registry.register(Error, { code: SERVER_ERRORCODES.SERVER_ERROR, message: 'Failed' });
+
+        expect(registry.map(new UserNotFoundError('No such user'), {})).to.eql({ code: SERVER_ERRORCODES.NOT_FOUND, message: 'No such user' });
+        expect(registry.map(new TypeError('x'), {})).to.eql({ code: SERVER_ERRORCODES.SERVER_ERROR, message: 'Failed' });
+        expect(new ErrorClassRegistry().map(new Error('x'), {})).to.eq(undefined);
+        expect(registry.map('a string', {})).to.eq(undefined);
+    });
+
+    it('describeError includes the stack and the causes', function() {
+        const error = new Error('outer', { cause: new Error('inner') });
+        const description = describeError(error);
+
+        expect(description.name).to.eq('Error');
+        expect(description.message).to.eq('outer');
+        expect(description.stack).to.contain('outer');
+        expect(description.cause.message).to.eq('inner');
+        expect(describeError('oops')).to.eql({ message: 'oops' });
+    });
+
+    it('registered error classes are mapped and not logged', function() {
+        const { server, logged } = createServer();
+        server.registerErrorClass(NotFoundError, { code: SERVER_ERRORCODES.NOT_FOUND });
+        server.registerErrorClass(ValidationError, { code: SERVER_ERRORCODES.VALIDATION_FAILED, message: 'Validation failed', data: e => e.fields });
+
+        return call(server, 'findUser')
+            .then((response) => {
+                expect(response.error).to.eql({ code: SERVER_ERRORCODES.NOT_FOUND, message: 'No such user' });
+                return call(server, 'validate');
+            })
+            .then((response) => {
+                expect(response.error).to.eql({ code: SERVER_ERRORCODES.VALIDATION_FAILED, message: 'Validation failed', data: { name: 'required' } });
+                expect(logged).to.eql([]);
+            });
+    });
+
+    it('the error mapper handles the other errors', function() {
+        const { server } = createServer({
+            errorMapper: (e, info) => e.message.startsWith('Database') ? createErrorObject(-32050, 'Storage unavailable', { method: info.method }) : undefined
+        });
+
+        return call(server, 'crash')
+            .then((response) => {
+                expect(response.error).to.eql({ code: -32050, message: 'Storage unavailable', data: { method: 'crash' } });
+                return call(server, 'validate');
+            })
+            .then((response) => {
+                expect(response.error).to.eql({ code: JSONRPC_ERRORCODES.INTERNAL_ERROR, message: 'An error occurred when handling request' });
+            });
+    });
+
+    it('the stack and cause are only sent in development mode', function() {
+        const { server, logged } = createServer({ development: true });
+
+        return call(server, 'crash')
+            .then((response) => {
+                expect(response.error.code).to.eq(JSONRPC_ERRORCODES.INTERNAL_ERROR);
+                expect(response.error.data.message).to.eq('Database password is hunter2');
+                expect(response.error.data.stack).to.be.a('string');
+                expect(response.error.data.cause.message).to.eq('connection refused');
+                expect(logged.length).to.eq(1);
+            });
+    });
+
+    it('unexpected errors are not sent as data in production', function() {
+        const { server } = createServer();
+        // The length getter throws while the request is being dispatched
+        const request = new Proxy([], { get: (target, key) => { if(key === 'length') { throw new Error('secret'); } return target[key]; } });
+
+        return server.handleJsonRpcRequest(request)
+            .then((response) => {
+                expect(response).to.eql({ jsonrpc: '2.0', error: { code: JSONRPC_ERRORCODES.INTERNAL_ERROR, message: 'An error occurred when processing request' }, id: null });
+            });
+    });
+
+    it('mounted servers map their own error classes', function() {
+        const { server } = createServer();
+        const users = new TinyJsonRpcServer();
+        users.registerErrorClass(NotFoundError, (e) => new JsonRpcRequestException(SERVER_ERRORCODES.NOT_FOUND, 'User not found'));
+        users.registerMethods({ get: () => { throw new UserNotFoundError('x'); } });
+        server.mount('users.', users);
+
+        return call(server, 'users.get')
+            .then((response) => {
+                expect(response.error).to.eql({ code: SERVER_ERRORCODES.NOT_FOUND, message: 'User not found' });
+            });
+    });
+
+    it('server error range', function() {
+        expect(isServerErrorCode(SERVER_ERRORCODES.NOT_FOUND)).to.eq(true);
+        expect(isServerErrorCode(-32099)).to.eq(true);
+        expect(isServerErrorCode(JSONRPC_ERRORCODES.INTERNAL_ERROR)).to.eq(false);
+        expect(isServerErrorCode(1)).to.eq(false);
+    });
+});
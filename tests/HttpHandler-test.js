@@ -0,0 +1,249 @@
+const http = require('http');
+const { EventEmitter } = require('events');
+const { Readable } = require('stream');
+const { expect } = require('chai');
+
+const {
+    JSONRPC_ERRORCODES,
+    MSGPACK_CODEC,
+    SERVER_ERRORCODES,
+    TinyJsonRpcServer,
+    createHttpHandler,
+    createExpressMiddleware,
+    createKoaMiddleware
+} = require('../lib/TinyJsonRpcServer');
+
+const jsonRpcServer = new TinyJsonRpcServer();
+jsonRpcServer.registerMethods({
+    'add': (params) => params.a + params.b,
+    'getUser': (params, requestContext) => requestContext.user
+});
+
+function listen(listener) {
+    return new Promise((resolve) => {
+        const httpServer = http.createServer(listener);
+        httpServer.listen(0, '127.0.0.1', () => resolve(httpServer));
+    });
+}
+
+function close(httpServer) {
+    return new Promise(resolve => httpServer.close(resolve));
+}
+
+function request(httpServer, { method = 'POST', path = '/', headers = { 'Content-Type': 'application/json' }, body } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port: httpServer.address().port, method, path, headers }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                const raw = Buffer.concat(chunks);
+                const data = raw.toString('utf8');
+                const isJson = (res.headers['content-type'] || '').startsWith('application/json');
+                resolve({ status: res.statusCode, headers: res.headers, raw, body: data, json: data && isJson ? JSON.parse(data) : undefined });
+            });
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+describe("HttpHandler", function() {
+    let httpServer;
+
+    afterEach(function() {
+        if(httpServer) {
+            const server = httpServer;
+            httpServer = undefined;
+            return close(server);
+        }
+    });
+
+    it('POST call', function() {
+        return listen(createHttpHandler(jsonRpcServer))
+            .then((server) => {
+                httpServer = server;
+                return request(server, { body: JSON.stringify({ jsonrpc: '2.0', method: 'add', params: { a: 2, b: 4 }, id: 1 }) });
+            })
+            .then((res) => {
+                expect(res.status).to.eq(200);
+                expect(res.headers['content-type']).to.eq('application/json; charset=utf-8');
+                expect(res.json).to.eql({ jsonrpc: '2.0', result: 6, id: 1 });
+            });
+    });
+
+    it('notification only request returns 204 without body', function() {
+        return listen(createHttpHandler(jsonRpcServer))
+            .then((server) => {
+                httpServer = server;
+                return request(server, { body: JSON.stringify([{ jsonrpc: '2.0', method: 'add', params: { a: 2, b: 4 } }]) });
+            })
+            .then((res) => {
+                expect(res.status).to.eq(204);
+                expect(res.body).to.eq('');
+            });
+    });
+
+    it('invalid JSON returns a parse error', function() {
+        return listen(createHttpHandler(jsonRpcServer))
+            .then((server) => {
+                httpServer = server;
+                return request(server, { body: '{ "jsonrpc": "2.0", ' });
+            })
+            .then((res) => {
+                expect(res.status).to.eq(200);
+                expect(res.json.error.code).to.eq(JSONRPC_ERRORCODES.PARSE_ERROR);
+                expect(res.json.id).to.be.null;
+            });
+    });
+
+    it('wrong Content-Type returns 415', function() {
+        return listen(createHttpHandler(jsonRpcServer))
+            .then((server) => {
+                httpServer = server;
+                return request(server, { headers: { 'Content-Type': 'text/plain' }, body: '{}' });
+            })
+            .then((res) => {
+                expect(res.status).to.eq(415);
+                expect(res.json.error.code).to.eq(JSONRPC_ERRORCODES.INVALID_REQUEST);
+            });
+    });
+
+    it('Content-Type with charset is accepted', function() {
+        return listen(createHttpHandler(jsonRpcServer))
+            .then((server) => {
+                httpServer = server;
+                return request(server, { headers: { 'Content-Type': 'application/json; charset=utf-8' }, body: JSON.stringify({ jsonrpc: '2.0', method: 'add', params: { a: 1, b: 1 }, id: 1 }) });
+            })
+            .then((res) => {
+                expect(res.json).to.eql({ jsonrpc: '2.0', result: 2, id: 1 });
+            });
+    });
+
+    it('request encoded with a codec gets a response in the same codec', function() {
+        const body = MSGPACK_CODEC.encode({ jsonrpc: '2.0', method: 'add', params: { a: 1, b: 2 }, id: 1 });
+        return listen(createHttpHandler(jsonRpcServer, { codecs: [MSGPACK_CODEC] }))
+            .then((server) => {
+                httpServer = server;
+                return Promise.all([
+                    request(server, { headers: { 'Content-Type': 'application/msgpack' }, body }),
+                    request(server, { headers: { 'Content-Type': 'text/plain' }, body: '{}' })
+                ]);
+            })
+            .then(([res, unsupported]) => {
+                expect(res.status).to.eq(200);
+                expect(res.headers['content-type']).to.eq('application/msgpack');
+                expect(MSGPACK_CODEC.decode(res.raw)).to.eql({ jsonrpc: '2.0', result: 3, id: 1 });
+                expect(unsupported.status).to.eq(415);
+                expect(unsupported.json.error.message).to.eq('Unsupported Content-Type, expected application/json or application/msgpack');
+            });
+    });
+
+    it('responses close the connection while the server drains', function() {
+        const drainingServer = new TinyJsonRpcServer();
+        drainingServer.registerMethod('add', (params) => params.a + params.b);
+        drainingServer.drain();
+
+        return listen(createHttpHandler(drainingServer))
+            .then((server) => {
+                httpServer = server;
+                return request(server, { body: JSON.stringify({ jsonrpc: '2.0', method: 'add', params: { a: 2, b: 4 }, id: 1 }) });
+            })
+            .then((res) => {
+                expect(res.headers['connection']).to.eq('close');
+                expect(res.json.error.code).to.eq(SERVER_ERRORCODES.SHUTTING_DOWN);
+            });
+    });
+
+    it('body larger than maxBodySize returns 413', function() {
+        return listen(createHttpHandler(jsonRpcServer, { maxBodySize: 10 }))
+            .then((server) => {
+                httpServer = server;
+                return request(server, { body: JSON.stringify({ jsonrpc: '2.0', method: 'add', params: { a: 2, b: 4 }, id: 1 }) });
+            })
+            .then((res) => {
+                expect(res.status).to.eq(413);
+                expect(res.json.error.message).to.eq('Request body too large');
+            });
+    });
+
+    it('GET is rejected unless allowGet is set', function() {
+        return listen(createHttpHandler(jsonRpcServer))
+            .then((server) => {
+                httpServer = server;
+                return request(server, { method: 'GET', path: '/?method=add&params=' + encodeURIComponent('{"a":1,"b":2}') + '&id=1' });
+            })
+            .then((res) => {
+                expect(res.status).to.eq(405);
+                expect(res.headers['allow']).to.eq('POST');
+            });
+    });
+
+    it('GET with query encoded call', function() {
+        return listen(createHttpHandler(jsonRpcServer, { allowGet: true }))
+            .then((server) => {
+                httpServer = server;
+                return request(server, { method: 'GET', path: '/?method=add&params=' + encodeURIComponent('{"a":1,"b":2}') + '&id=7' });
+            })
+            .then((res) => {
+                expect(res.status).to.eq(200);
+                expect(res.json).to.eql({ jsonrpc: '2.0', result: 3, id: 7 });
+            });
+    });
+
+    it('createRequestContext hook', function() {
+        const options = {
+            createRequestContext: (req, res) => Promise.resolve({ user: req.headers['x-user'] })
+        };
+
+        return listen(createHttpHandler(jsonRpcServer, options))
+            .then((server) => {
+                httpServer = server;
+                return request(server, { headers: { 'Content-Type': 'application/json', 'X-User': 'alice' }, body: JSON.stringify({ jsonrpc: '2.0', method: 'getUser', id: 1 }) });
+            })
+            .then((res) => {
+                expect(res.json).to.eql({ jsonrpc: '2.0', result: 'alice', id: 1 });
+            });
+    });
+
+    it('express middleware uses the parsed body', function() {
+        const middleware = createExpressMiddleware(jsonRpcServer);
+
+        return listen((req, res) => {
+                // Simulate express.json()
+                req.body = { jsonrpc: '2.0', method: 'add', params: { a: 5, b: 5 }, id: 'x' };
+                req.resume();
+                middleware(req, res, (err) => { res.statusCode = 500; res.end(String(err)); });
+            })
+            .then((server) => {
+                httpServer = server;
+                return request(server, { body: 'ignored' });
+            })
+            .then((res) => {
+                expect(res.json).to.eql({ jsonrpc: '2.0', result: 10, id: 'x' });
+            });
+    });
+
+    it('koa middleware', function() {
+        const middleware = createKoaMiddleware(jsonRpcServer, { createRequestContext: (ctx) => ({ user: ctx.state.user }) });
+        const req = Readable.from([Buffer.from(JSON.stringify({ jsonrpc: '2.0', method: 'getUser', id: 1 }))]);
+        req.headers = {};
+        const ctx = {
+            method: 'POST',
+            url: '/',
+            headers: { 'content-type': 'application/json' },
+            request: {},
+            req,
+            res: new EventEmitter(),
+            state: { user: 'bob' },
+            responseHeaders: {},
+            set(name, value) { this.responseHeaders[name] = value; }
+        };
+
+        return middleware(ctx, () => Promise.resolve())
+            .then(() => {
+                expect(ctx.status).to.eq(200);
+                expect(ctx.responseHeaders['Content-Type']).to.eq('application/json; charset=utf-8');
+                expect(JSON.parse(ctx.body)).to.eql({ jsonrpc: '2.0', result: 'bob', id: 1 });
+            });
+    });
+});
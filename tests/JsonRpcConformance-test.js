@@ -0,0 +1,168 @@
+const { expect } = require('chai');
+
+const { JSONRPC_ERRORCODES, TinyJsonRpcServer } = require('../lib/TinyJsonRpcServer');
+
+/**
+ * The examples of the JSON-RPC 2.0 specification (section 7), run against a
+ * server in strict mode.
+ */
+function createServer() {
+    const notified = [];
+    const server = new TinyJsonRpcServer({ strict: true });
+
+    server.registerMethods({
+        subtract: (params) => Array.isArray(params) ? params[0] - params[1] : params.minuend - params.subtrahend,
+        sum: (params) => params.reduce((a, b) => a + b, 0),
+        update: (params) => { notified.push(['update', params]); },
+        notify_hello: (params) => { notified.push(['notify_hello', params]); },
+        notify_sum: (params) => { notified.push(['notify_sum', params]); },
+        get_data: () => ['hello', 5]
+    });
+
+    return { server, notified };
+}
+
+function expectResponse(request, expected) {
+    const { server } = createServer();
+    return server.handleJsonRpcRequest(request)
+        .then((response) => {
+            expect(response).to.eql(expected);
+        });
+}
+
+const INVALID_REQUEST = {jsonrpc: '2.0', error: {code: JSONRPC_ERRORCODES.INVALID_REQUEST, message: 'Invalid Request'}, id: null};
+
+describe('JSON-RPC 2.0 conformance (strict mode)', function() {
+    describe('specification examples', function() {
+        it('rpc call with positional parameters', function() {
+            return expectResponse('{"jsonrpc": "2.0", "method": "subtract", "params": [42, 23], "id": 1}', {jsonrpc: '2.0', result: 19, id: 1})
+                .then(() => expectResponse('{"jsonrpc": "2.0", "method": "subtract", "params": [23, 42], "id": 2}', {jsonrpc: '2.0', result: -19, id: 2}));
+        });
+
+        it('rpc call with named parameters', function() {
+            return expectResponse('{"jsonrpc": "2.0", "method": "subtract", "params": {"subtrahend": 23, "minuend": 42}, "id": 3}', {jsonrpc: '2.0', result: 19, id: 3})
+                .then(() => expectResponse('{"jsonrpc": "2.0", "method": "subtract", "params": {"minuend": 42, "subtrahend": 23}, "id": 4}', {jsonrpc: '2.0', result: 19, id: 4}));
+        });
+
+        it('a notification', function() {
+            const { server, notified } = createServer();
+            return server.handleJsonRpcRequest('{"jsonrpc": "2.0", "method": "update", "params": [1,2,3,4,5]}')
+                .then((response) => {
+                    expect(response).to.eq(null);
+                    expect(notified).to.eql([['update', [1, 2, 3, 4, 5]]]);
+                    return server.handleJsonRpcRequest('{"jsonrpc": "2.0", "method": "foobar"}');
+                })
+                .then((response) => {
+                    expect(response).to.eq(null);
+                });
+        });
+
+        it('rpc call of non-existent method', function() {
+            return expectResponse('{"jsonrpc": "2.0", "method": "foobar", "id": "1"}', {jsonrpc: '2.0', error: {code: -32601, message: 'Method not found'}, id: '1'});
+        });
+
+        it('rpc call with invalid JSON', function() {
+            return expectResponse('{"jsonrpc": "2.0", "method": "foobar, "params": "bar", "baz]', {jsonrpc: '2.0', error: {code: -32700, message: 'Parse error'}, id: null});
+        });
+
+        it('rpc call with invalid Request object', function() {
+            return expectResponse('{"jsonrpc": "2.0", "method": 1, "params": "bar"}', INVALID_REQUEST);
+        });
+
+        it('rpc call Batch, invalid JSON', function() {
+            return expectResponse('[{"jsonrpc": "2.0", "method": "sum", "params": [1,2,4], "id": "1"}, {"jsonrpc": "2.0", "method"]', {jsonrpc: '2.0', error: {code: -32700, message: 'Parse error'}, id: null});
+        });
+
+        it('rpc call with an empty Array', function() {
+            return expectResponse('[]', INVALID_REQUEST);
+        });
+
+        it('rpc call with an invalid Batch (but not empty)', function() {
+            return expectResponse('[1]', [INVALID_REQUEST]);
+        });
+
+        it('rpc call with invalid Batch', function() {
+            return expectResponse('[1,2,3]', [INVALID_REQUEST, INVALID_REQUEST, INVALID_REQUEST]);
+        });
+
+        it('rpc call Batch', function() {
+            return expectResponse(`[
+                {"jsonrpc": "2.0", "method": "sum", "params": [1,2,4], "id": "1"},
+                {"jsonrpc": "2.0", "method": "notify_hello", "params": [7]},
+                {"jsonrpc": "2.0", "method": "subtract", "params": [42,23], "id": "2"},
+                {"foo": "boo"},
+                {"jsonrpc": "2.0", "method": "foo.get", "params": {"name": "myself"}, "id": "5"},
+                {"jsonrpc": "2.0", "method": "get_data", "id": "9"}
+            ]`, [
+                {jsonrpc: '2.0', result: 7, id: '1'},
+                {jsonrpc: '2.0', result: 19, id: '2'},
+                INVALID_REQUEST,
+                {jsonrpc: '2.0', error: {code: -32601, message: 'Method not found'}, id: '5'},
+                {jsonrpc: '2.0', result: ['hello', 5], id: '9'}
+            ]);
+        });
+
+        it('rpc call Batch (all notifications)', function() {
+            const { server, notified } = createServer();
+            return server.handleJsonRpcRequest('[{"jsonrpc": "2.0", "method": "notify_sum", "params": [1,2,4]}, {"jsonrpc": "2.0", "method": "notify_hello", "params": [7]}]')
+                .then((response) => {
+                    expect(response).to.eq(null);
+                    expect(notified).to.eql([['notify_sum', [1, 2, 4]], ['notify_hello', [7]]]);
+                });
+        });
+    });
+
+    describe('strict request validation', function() {
+        it('only jsonrpc "2.0" is accepted', function() {
+            return expectResponse({jsonrpc: '1.0', method: 'get_data', id: 1}, INVALID_REQUEST);
+        });
+
+        it('only array and object params are accepted', function() {
+            return expectResponse({jsonrpc: '2.0', method: 'get_data', params: 'bar', id: 1}, {...INVALID_REQUEST, id: 1})
+                .then(() => expectResponse({jsonrpc: '2.0', method: 'get_data', params: null, id: 2}, {...INVALID_REQUEST, id: 2}))
+                .then(() => expectResponse({jsonrpc: '2.0', method: 'get_data', params: () => 1, id: 3}, {...INVALID_REQUEST, id: 3}))
+                .then(() => expectResponse({jsonrpc: '2.0', method: 'get_data', params: new Number(1), id: 4}, {...INVALID_REQUEST, id: 4}))
+                .then(() => expectResponse({jsonrpc: '2.0', method: 'get_data', params: new String('x'), id: 5}, {...INVALID_REQUEST, id: 5}))
+                .then(() => expectResponse({jsonrpc: '2.0', method: 'get_data', params: Object.create(null), id: 6}, {jsonrpc: '2.0', result: ['hello', 5], id: 6}));
+        });
+
+        it('fractional number ids are rejected', function() {
+            return expectResponse({jsonrpc: '2.0', method: 'get_data', id: 1.5}, INVALID_REQUEST)
+                .then(() => expectResponse({jsonrpc: '2.0', method: 'get_data', id: null}, {jsonrpc: '2.0', result: ['hello', 5], id: null}));
+        });
+
+        it('rpc.* method names are reserved', function() {
+            const { server } = createServer();
+            server.registerMethodCallback(() => 'from callback');
+
+            expect(() => server.registerMethods({ rpc: { custom: () => 1 } })).to.throw("Method names starting with 'rpc.' are reserved: rpc.custom");
+            expect(() => server.mount('rpc.', new TinyJsonRpcServer())).to.throw();
+
+            return server.handleJsonRpcRequest({jsonrpc: '2.0', method: 'rpc.custom', id: 1})
+                .then((response) => {
+                    expect(response).to.eql({jsonrpc: '2.0', error: {code: -32601, message: 'Method not found'}, id: 1});
+                });
+        });
+
+        it('failing notifications are never answered', function() {
+            const { server } = createServer();
+            server.registerMethods({ fail: () => { throw new Error('failed'); } });
+
+            const consoleError = console.error;
+            console.error = () => {};
+
+            return server.handleJsonRpcRequest({jsonrpc: '2.0', method: 'fail'})
+                .then((response) => {
+                    console.error = consoleError;
+                    expect(response).to.eq(null);
+                }, (e) => {
+                    console.error = consoleError;
+                    throw e;
+                });
+        });
+
+        it('a method returning undefined produces a null result', function() {
+            return expectResponse({jsonrpc: '2.0', method: 'update', params: [1], id: 1}, {jsonrpc: '2.0', result: null, id: 1});
+        });
+    });
+});
@@ -0,0 +1,120 @@
+const { expect } = require('chai');
+
+const { JSONRPC_ERRORCODES, JsonRpcRequestException, TinyJsonRpcServer } = require('../lib/TinyJsonRpcServer');
+const { MetricsCollector, OTHER_METHOD_LABEL, UNKNOWN_METHOD_LABEL, renderPrometheusMetrics } = require('../lib/Metrics');
+
+function getFamily(metrics, name) {
+    return metrics.find(family => family.name === name);
+}
+
+describe("Metrics", function() {
+    function createServer(metrics = true) {
+        const server = new TinyJsonRpcServer({ metrics });
+        server.registerMethods({
+            add: (params) => params.a + params.b,
+            invalid: () => { throw new JsonRpcRequestException(JSONRPC_ERRORCODES.INVALID_PARAMS, 'Bad params'); }
+        });
+        server.registerMethodCallback((method) => method.startsWith('dynamic.') ? method : undefined);
+        return server;
+    }
+
+    it('counts calls, errors and batch sizes', function() {
+        const server = createServer();
+
+        return server.handleJsonRpcRequest([
+                { jsonrpc: '2.0', method: 'add', params: { a: 1, b: 2 }, id: 1 },
+                { jsonrpc: '2.0', method: 'add', params: { a: 1, b: 2 }, id: 2 },
+                { jsonrpc: '2.0', method: 'invalid', id: 3 },
+                { jsonrpc: '2.0', method: 'missing', id: 4 }
+            ])
+            .then(() => {
+                const metrics = server.getMetrics();
+
+                expect(getFamily(metrics, 'jsonrpc_calls_total').samples).to.have.deep.members([
+                    { labels: { method: 'add', outcome: 'success' }, value: 2 },
+                    { labels: { method: 'invalid', outcome: 'error' }, value: 1 },
+                    { labels: { method: UNKNOWN_METHOD_LABEL, outcome: 'error' }, value: 1 }
+                ]);
+                expect(getFamily(metrics, 'jsonrpc_errors_total').samples).to.have.deep.members([
+                    { labels: { method: 'invalid', code: '-32602' }, value: 1 },
+                    { labels: { method: UNKNOWN_METHOD_LABEL, code: '-32601' }, value: 1 }
+                ]);
+                expect(getFamily(metrics, 'jsonrpc_calls_in_flight').samples).to.eql([{ labels: {}, value: 0 }]);
+
+                const durations = getFamily(metrics, 'jsonrpc_call_duration_seconds').samples.find(sample => sample.labels.method === 'add');
+                expect(durations.count).to.eq(2);
+                expect(durations.buckets[durations.buckets.length - 1]).to.eql({ le: Infinity, count: 2 });
+
+                const batchSizes = getFamily(metrics, 'jsonrpc_batch_size').samples[0];
+                expect(batchSizes.count).to.eq(1);
+                expect(batchSizes.sum).to.eq(4);
+            });
+    });
+
+    it('method labels are bounded', function() {
+        const server = createServer({ maxMethods: 2 });
+        server.registerMethod('sub', (params) => params.a - params.b);
+        const methods = ['add', 'invalid', 'sub', 'dynamic.a', 'dynamic.b'];
+
+        return server.handleJsonRpcRequest(methods.map((method, index) => ({ jsonrpc: '2.0', method, params: { a: 1, b: 2 }, id: index })))
+            .then(() => {
+                const labels = getFamily(server.getMetrics(), 'jsonrpc_calls_total').samples.map(sample => sample.labels.method);
+                expect(labels).to.have.members(['add', 'invalid', OTHER_METHOD_LABEL, UNKNOWN_METHOD_LABEL]);
+            });
+    });
+
+    it('unknown methods failing in other ways do not take the labels of registered methods', function() {
+        const server = new TinyJsonRpcServer({ metrics: { maxMethods: 3 }, authorization: { denyByDefault: true } });
+        server.registerMethod('add', (params) => params.a + params.b, { access: { public: true } });
+        const junk = [0, 1, 2, 3, 4].map(index => ({ jsonrpc: '2.0', method: 'junk' + index, id: index }));
+
+        return server.handleJsonRpcRequest(junk)
+            .then((responses) => {
+                expect(responses.every(response => response.error.code !== JSONRPC_ERRORCODES.METHOD_NOT_FOUND)).to.eq(true);
+                return server.handleJsonRpcRequest({ jsonrpc: '2.0', method: 'add', params: { a: 1, b: 2 }, id: 5 });
+            })
+            .then(() => {
+                expect(getFamily(server.getMetrics(), 'jsonrpc_calls_total').samples).to.have.deep.members([
+                    { labels: { method: UNKNOWN_METHOD_LABEL, outcome: 'error' }, value: 5 },
+                    { labels: { method: 'add', outcome: 'success' }, value: 1 }
+                ]);
+            });
+    });
+
+    it('metrics are empty when disabled', function() {
+        expect(new TinyJsonRpcServer().getMetrics()).to.eql([]);
+    });
+
+    it('renders the Prometheus text format', function() {
+        const collector = new MetricsCollector({ durationBuckets: [0.1, 1], batchSizeBuckets: [10] });
+        collector.callStarted();
+        collector.callFinished('say"hi"', 50);
+        collector.callStarted();
+        collector.batchFinished(3);
+
+        expect(renderPrometheusMetrics(collector.getSnapshot())).to.eq([
+            '# HELP jsonrpc_calls_total Calls by method and outcome',
+            '# TYPE jsonrpc_calls_total counter',
+            'jsonrpc_calls_total{method="say\\"hi\\"",outcome="success"} 1',
+            '# HELP jsonrpc_errors_total Error responses by method and error code',
+            '# TYPE jsonrpc_errors_total counter',
+            '# HELP jsonrpc_call_duration_seconds Call duration in seconds',
+            '# TYPE jsonrpc_call_duration_seconds histogram',
+            'jsonrpc_call_duration_seconds_bucket{method="say\\"hi\\"",le="0.1"} 1',
+            'jsonrpc_call_duration_seconds_bucket{method="say\\"hi\\"",le="1"} 1',
+            'jsonrpc_call_duration_seconds_bucket{method="say\\"hi\\"",le="+Inf"} 1',
+            'jsonrpc_call_duration_seconds_sum{method="say\\"hi\\""} 0.05',
+            'jsonrpc_call_duration_seconds_count{method="say\\"hi\\""} 1',
+            '# HELP jsonrpc_calls_in_flight Calls currently being handled',
+            '# TYPE jsonrpc_calls_in_flight gauge',
+            'jsonrpc_calls_in_flight 1',
+            '# HELP jsonrpc_batch_size Number of requests in batch requests',
+            '# TYPE jsonrpc_batch_size histogram',
+            'jsonrpc_batch_size_bucket{le="10"} 1',
+            'jsonrpc_batch_size_bucket{le="+Inf"} 1',
+            'jsonrpc_batch_size_sum 3',
+            'jsonrpc_batch_size_count 1',
+            ''
+        ].join('\n'));
+    });
+});
@@ -0,0 +1,84 @@
+const { expect } = require('chai');
+
+const { createOpenRpcDocument, createOpenRpcMethod } = require('../lib/OpenRpc');
+
+describe("OpenRpc", function() {
+    it('method without options', function() {
+        expect(createOpenRpcMethod('ping')).to.eql({
+            name: 'ping',
+            params: [],
+            result: {name: 'result', schema: {}}
+        });
+    });
+
+    it('method with object params schema is described by name', function() {
+        const method = createOpenRpcMethod('add', {
+            summary: 'Add numbers',
+            description: 'Adds a and b',
+            params: {
+                type: 'object',
+                required: ['a'],
+                properties: {
+                    a: { type: 'number', description: 'first' },
+                    b: { type: 'number' }
+                }
+            },
+            result: { type: 'number' },
+            errors: [{code: -32602, message: 'Invalid params'}],
+            examples: [{name: 'simple', params: [{name: 'a', value: 1}, {name: 'b', value: 2}], result: {name: 'result', value: 3}}]
+        });
+
+        expect(method).to.eql({
+            name: 'add',
+            summary: 'Add numbers',
+            description: 'Adds a and b',
+            paramStructure: 'by-name',
+            params: [
+                {name: 'a', schema: { type: 'number', description: 'first' }, required: true, description: 'first'},
+                {name: 'b', schema: { type: 'number' }}
+            ],
+            result: {name: 'result', schema: { type: 'number' }},
+            errors: [{code: -32602, message: 'Invalid params'}],
+            examples: [{name: 'simple', params: [{name: 'a', value: 1}, {name: 'b', value: 2}], result: {name: 'result', value: 3}}]
+        });
+    });
+
+    it('method with tuple params schema is described by position', function() {
+        const method = createOpenRpcMethod('add', {
+            params: { type: 'array', minItems: 1, items: [{ type: 'number', title: 'a' }, { type: 'number' }] }
+        });
+
+        expect(method.paramStructure).to.eq('by-position');
+        expect(method.params).to.eql([
+            {name: 'a', schema: { type: 'number', title: 'a' }, required: true},
+            {name: 'param1', schema: { type: 'number' }}
+        ]);
+    });
+
+    it('method with declared parameters is described by name or position', function() {
+        const method = createOpenRpcMethod('sum', {
+            parameters: ['first', { name: 'scale', default: 1 }, { name: 'numbers', rest: true, schema: { type: 'number' } }]
+        });
+
+        expect(method.paramStructure).to.eq('either');
+        expect(method.params).to.eql([
+            {name: 'first', schema: {}, required: true},
+            {name: 'scale', schema: {}},
+            {name: 'numbers', schema: { type: 'array', items: { type: 'number' } }}
+        ]);
+    });
+
+    it('document', function() {
+        const document = createOpenRpcDocument({ 'b': {}, 'a': {} }, { info: { title: 'Test', version: '2.0.0' }, servers: [{name: 'main', url: 'http://localhost'}] });
+
+        expect(document).to.eql({
+            openrpc: '1.2.6',
+            info: { title: 'Test', version: '2.0.0' },
+            methods: [
+                {name: 'a', params: [], result: {name: 'result', schema: {}}},
+                {name: 'b', params: [], result: {name: 'result', schema: {}}}
+            ],
+            servers: [{name: 'main', url: 'http://localhost'}]
+        });
+    });
+});
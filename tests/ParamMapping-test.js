@@ -0,0 +1,61 @@
+const { expect } = require('chai');
+
+const { JSONRPC_ERRORCODES, TinyJsonRpcServer } = require('../lib/TinyJsonRpcServer');
+const { mapParams, parseParameterDeclarations } = require('../lib/ParamMapping');
+
+describe("ParamMapping", function() {
+    const declarations = parseParameterDeclarations(['a', { name: 'b', default: 10 }, 'c?']);
+
+    it('parses the shorthand declarations', function() {
+        expect(parseParameterDeclarations(['a', 'b?', '...rest'])).to.eql([
+            { name: 'a' },
+            { name: 'b', optional: true },
+            { name: 'rest', rest: true }
+        ]);
+        expect(() => parseParameterDeclarations(['...rest', 'a'])).to.throw('Only the last parameter can be a rest parameter: rest');
+        expect(() => parseParameterDeclarations(['a', 'a'])).to.throw('Invalid or duplicate parameter name: a');
+    });
+
+    it('maps positional and named params to the same values', function() {
+        expect(mapParams(declarations, [1, 2, 3])).to.eql({ values: { a: 1, b: 2, c: 3 }, args: [1, 2, 3], violations: [] });
+        expect(mapParams(declarations, { c: 3, b: 2, a: 1 })).to.eql({ values: { a: 1, b: 2, c: 3 }, args: [1, 2, 3], violations: [] });
+    });
+
+    it('uses defaults and leaves optional params undefined', function() {
+        expect(mapParams(declarations, [1])).to.eql({ values: { a: 1, b: 10 }, args: [1, 10, undefined], violations: [] });
+        expect(mapParams(declarations, { a: 1 })).to.eql({ values: { a: 1, b: 10 }, args: [1, 10, undefined], violations: [] });
+    });
+
+    it('reports missing and unknown params', function() {
+        expect(mapParams(declarations, undefined).violations).to.eql([{ path: 'params.a', keyword: 'required', message: 'is required' }]);
+        expect(mapParams(declarations, [1, 2, 3, 4]).violations).to.eql([{ path: 'params[3]', keyword: 'additionalItems', message: 'is not allowed' }]);
+        expect(mapParams(declarations, { a: 1, d: 4 }).violations).to.eql([{ path: 'params.d', keyword: 'additionalProperties', message: 'is not allowed' }]);
+    });
+
+    it('rest parameters collect the remaining params', function() {
+        const sum = parseParameterDeclarations(['first', { name: 'numbers', rest: true, schema: { type: 'number' } }]);
+
+        expect(mapParams(sum, [1, 2, 3])).to.eql({ values: { first: 1, numbers: [2, 3] }, args: [1, 2, 3], violations: [] });
+        expect(mapParams(sum, { first: 1, numbers: [2, 3] })).to.eql({ values: { first: 1, numbers: [2, 3] }, args: [1, 2, 3], violations: [] });
+        expect(mapParams(sum, [1, 'two']).violations).to.eql([{ path: 'params[1]', keyword: 'type', message: 'must be number' }]);
+    });
+
+    it('registerMethod maps the params for the method', function() {
+        const server = new TinyJsonRpcServer();
+        server.registerMethod('add', (a, b) => a + b, { parameters: ['a', 'b'], spread: true });
+        server.registerMethod('greet', (params, requestContext) => params.greeting + ' ' + requestContext.name, { parameters: [{ name: 'greeting', default: 'Hello' }] });
+
+        return server.handleJsonRpcRequest([
+                { jsonrpc: '2.0', method: 'add', params: [2, 4], id: 1 },
+                { jsonrpc: '2.0', method: 'add', params: { a: 2, b: 4 }, id: 2 },
+                { jsonrpc: '2.0', method: 'add', params: { a: 2 }, id: 3 },
+                { jsonrpc: '2.0', method: 'greet', id: 4 }
+            ], { name: 'world' })
+            .then((response) => {
+                expect(response[0].result).to.eq(6);
+                expect(response[1].result).to.eq(6);
+                expect(response[2].error).to.eql({ code: JSONRPC_ERRORCODES.INVALID_PARAMS, message: 'Invalid params', data: [{ path: 'params.b', keyword: 'required', message: 'is required' }] });
+                expect(response[3].result).to.eq('Hello world');
+            });
+    });
+});
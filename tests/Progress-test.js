@@ -0,0 +1,220 @@
+const { expect } = require('chai');
+
+const { JSONRPC_ERRORCODES, SERVER_ERRORCODES, TinyJsonRpcServer } = require('../lib/TinyJsonRpcServer');
+const { extractProgressToken } = require('../lib/Progress');
+
+function call(server, method, params, requestContext) {
+    return server.handleJsonRpcRequest({ jsonrpc: '2.0', method, params, id: 1 }, requestContext);
+}
+
+function createServer() {
+    const server = new TinyJsonRpcServer({ logger: { error: () => undefined } });
+    const gates = [];
+    const received = [];
+
+    server.registerMethod('export', (params, requestContext, callContext) => {
+        received.push(params);
+        callContext.progress.report({ percentage: 50 });
+        callContext.progress.partial(['row 1']);
+        return new Promise(resolve => gates.push(resolve))
+            .then(() => {
+                if(params.fail) {
+                    throw new Error('disk full');
+                }
+                callContext.progress.report({ percentage: 100 });
+                return { rows: params.rows };
+            });
+    }, {
+        progress: true,
+        params: { type: 'object', required: ['rows'], additionalProperties: false, properties: { rows: { type: 'number' }, fail: { type: 'boolean' } } }
+    });
+
+    return { server, gates, received };
+}
+
+function tick() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+describe("Progress", function() {
+    it('extractProgressToken only takes the token out of object params', function() {
+        expect(extractProgressToken({ progressToken: 't', a: 1 })).to.eql({ params: { a: 1 }, token: 't' });
+        expect(extractProgressToken({ a: 1 })).to.eql({ params: { a: 1 } });
+        expect(extractProgressToken(['t'])).to.eql({ params: ['t'] });
+    });
+
+    it('sends $/progress notifications with the token when the transport can push', function() {
+        const { server, gates, received } = createServer();
+        const notifications = [];
+        const requestContext = { transport: { notify: (method, params) => notifications.push({ method, params }) } };
+
+        const response = call(server, 'export', { rows: 2, progressToken: 'export-1' }, requestContext);
+        return tick()
+            .then(() => {
+                gates[0]();
+                return response;
+            })
+            .then((response) => {
+                expect(response.result).to.eql({ rows: 2 });
+                expect(received).to.eql([{ rows: 2 }]);
+                expect(notifications).to.eql([
+                    { method: '$/progress', params: { token: 'export-1', value: { percentage: 50 } } },
+                    { method: '$/progress', params: { token: 'export-1', partialResult: ['row 1'] } },
+                    { method: '$/progress', params: { token: 'export-1', value: { percentage: 100 } } }
+                ]);
+            });
+    });
+
+    it('runs as a job polled with rpc.job.status and rpc.job.result without push channel', function() {
+        const { server, gates } = createServer();
+        let jobId;
+
+        return call(server, 'export', { rows: 3 })
+            .then((response) => {
+                jobId = response.result.jobId;
+                expect(jobId).to.be.a('string');
+                return tick();
+            })
+            .then(() => Promise.all([call(server, 'rpc.job.status', { jobId }), call(server, 'rpc.job.result', [jobId])]))
+            .then(([status, result]) => {
+                expect(status.result).to.eql({ jobId, method: 'export', state: 'running', progress: { percentage: 50 }, partialResults: [['row 1']] });
+                expect(result.error).to.eql({ code: SERVER_ERRORCODES.CONFLICT, message: 'Job not finished', data: { state: 'running' } });
+                gates[0]();
+                return tick();
+            })
+            .then(() => Promise.all([call(server, 'rpc.job.status', { jobId }), call(server, 'rpc.job.result', { jobId })]))
+            .then(([status, result]) => {
+                expect(status.result.state).to.eq('succeeded');
+                expect(result.result).to.eql({ rows: 3 });
+            });
+    });
+
+    it('invalid params fail at once, failed jobs return their error', function() {
+        const { server, gates } = createServer();
+
+        return Promise.all([
+                call(server, 'export', { rows: 'many' }),
+                call(server, 'export', { rows: 1, fail: true }),
+                call(server, 'rpc.job.status', { jobId: 'unknown' })
+            ])
+            .then(([invalid, job, unknown]) => {
+                expect(invalid.error.code).to.eq(JSONRPC_ERRORCODES.INVALID_PARAMS);
+                expect(unknown.error).to.eql({ code: SERVER_ERRORCODES.NOT_FOUND, message: 'Job not found' });
+                expect(gates.length).to.eq(1);
+                gates[0]();
+                return tick().then(() => call(server, 'rpc.job.result', { jobId: job.result.jobId }));
+            })
+            .then((result) => {
+                expect(result.error.code).to.eq(JSONRPC_ERRORCODES.INTERNAL_ERROR);
+            });
+    });
+
+    it('jobs are cancelled with rpc.job.cancel and limited to maxJobs', function() {
+        const server = new TinyJsonRpcServer({ jobs: { maxJobs: 2 } });
+        let signal;
+        server.registerMethod('wait', (params, requestContext, callContext) => {
+            signal = callContext.signal;
+            return new Promise(() => undefined);
+        }, { progress: true });
+
+        let jobIds;
+        return Promise.all([call(server, 'wait'), call(server, 'wait')])
+            .then((responses) => {
+                jobIds = responses.map(response => response.result.jobId);
+                return Promise.all([call(server, 'wait'), tick()]);
+            })
+            .then(([full]) => {
+                expect(full.error).to.eql({ code: SERVER_ERRORCODES.RATE_LIMITED, message: 'Too many jobs', data: { maxJobs: 2 } });
+                expect(server.getInFlight().map(job => job.jobId)).to.eql(jobIds);
+                return call(server, 'rpc.job.cancel', { jobId: jobIds[1] });
+            })
+            .then((cancelled) => {
+                expect(cancelled.result.state).to.eq('failed');
+                expect(signal.aborted).to.eq(true);
+                return call(server, 'rpc.job.result', [jobIds[1]]);
+            })
+            .then((result) => {
+                expect(result.error).to.eql({ code: SERVER_ERRORCODES.REQUEST_CANCELLED, message: 'Job cancelled' });
+                return Promise.all([call(server, 'wait'), tick()]);
+            })
+            .then(([started]) => {
+                // The cancelled job made room
+                expect(started.result.jobId).to.be.a('string');
+                return call(server, 'rpc.job.status', [jobIds[1]]);
+            })
+            .then((evicted) => {
+                expect(evicted.error.code).to.eq(SERVER_ERRORCODES.NOT_FOUND);
+                return server.drain({ timeout: 5 });
+            })
+            .then((drained) => {
+                expect(drained).to.eql({ aborted: 2 });
+                expect(server.getInFlight()).to.eql([]);
+            });
+    });
+
+    it('job lookups check the access requirements of the method that started the job', function() {
+        const { server: billing, gates } = createServer();
+        const root = new TinyJsonRpcServer();
+        root.mount('billing.', billing);
+        root.setAccessPolicy('billing.', { roles: ['admin'] });
+        const admin = { user: { roles: ['admin'] } };
+        const reader = { user: { roles: ['reader'] } };
+
+        let jobId;
+        return call(root, 'billing.export', { rows: 1 }, admin)
+            .then((response) => {
+                jobId = response.result.jobId;
+                expect(root.getInFlight().map(job => job.method)).to.eql(['billing.export']);
+                return Promise.all([
+                    call(root, 'rpc.job.status', { jobId }, reader),
+                    call(root, 'rpc.job.cancel', { jobId }, reader),
+                    call(root, 'rpc.job.status', { jobId }, admin)
+                ]);
+            })
+            .then(([denied, deniedCancel, status]) => {
+                expect(denied.error).to.eql({ code: SERVER_ERRORCODES.NOT_FOUND, message: 'Job not found' });
+                expect(deniedCancel.error.code).to.eq(SERVER_ERRORCODES.NOT_FOUND);
+                expect(status.result.state).to.eq('running');
+                gates[0]();
+            });
+    });
+
+    it('jobs of mounted servers are reached through the root server', function() {
+        const { server: billing, gates } = createServer();
+        const root = new TinyJsonRpcServer();
+        root.mount('billing.', billing);
+
+        return call(root, 'billing.export', { rows: 1 })
+            .then((response) => {
+                gates[0]();
+                return tick().then(() => call(root, 'rpc.job.result', { jobId: response.result.jobId }));
+            })
+            .then((result) => {
+                expect(result.result).to.eql({ rows: 1 });
+            });
+    });
+
+    it('the job methods are only answered once a progress method is registered', function() {
+        const server = new TinyJsonRpcServer();
+        server.registerMethod('add', params => params.a + params.b);
+        const withCallback = new TinyJsonRpcServer();
+        withCallback.registerMethodCallback(method => method === 'rpc.job.status' ? 'own status' : undefined);
+
+        return Promise.all([
+                call(server, 'rpc.job.status', { jobId: 'x' }),
+                call(server, 'rpc.job.cancel', { jobId: 'x' }),
+                call(withCallback, 'rpc.job.status', { jobId: 'x' })
+            ])
+            .then(([status, cancel, own]) => {
+                expect(status.error.code).to.eq(JSONRPC_ERRORCODES.METHOD_NOT_FOUND);
+                expect(cancel.error.code).to.eq(JSONRPC_ERRORCODES.METHOD_NOT_FOUND);
+                expect(own.result).to.eq('own status');
+
+                server.registerMethod('export', () => 'done', { progress: true });
+                return call(server, 'rpc.job.status', { jobId: 'x' });
+            })
+            .then((status) => {
+                expect(status.error.code).to.eq(SERVER_ERRORCODES.NOT_FOUND);
+            });
+    });
+});
@@ -0,0 +1,133 @@
+const { expect } = require('chai');
+
+const { SERVER_ERRORCODES, TinyJsonRpcServer } = require('../lib/TinyJsonRpcServer');
+const { MemoryRateLimitStore, RateLimiter } = require('../lib/RateLimiting');
+
+function createClock() {
+    const clock = { time: 1000000 };
+    clock.now = () => clock.time;
+    return clock;
+}
+
+function takeAll(limiter, count, method = 'ping', requestContext = { user: { id: 1 } }) {
+    const results = [];
+    let chain = Promise.resolve();
+    for(let i = 0; i < count; i++) {
+        chain = chain.then(() => limiter.take(method, requestContext)).then(result => results.push(result.allowed));
+    }
+    return chain.then(() => results);
+}
+
+describe("RateLimiting", function() {
+    it('token bucket allows bursts and refills over time', function() {
+        const clock = createClock();
+        const limiter = new RateLimiter({ limit: { limit: 2, interval: 1000, burst: 3 }, now: clock.now });
+
+        return takeAll(limiter, 4)
+            .then((results) => {
+                expect(results).to.eql([true, true, true, false]);
+                return limiter.take('ping', { user: { id: 1 } });
+            })
+            .then((result) => {
+                expect(result).to.eql({ allowed: false, retryAfter: 500 });
+                clock.time += 500;
+                return takeAll(limiter, 2);
+            })
+            .then((results) => {
+                expect(results).to.eql([true, false]);
+            });
+    });
+
+    it('sliding window allows limit calls in any interval', function() {
+        const clock = createClock();
+        const limiter = new RateLimiter({ limit: { limit: 2, interval: 1000, strategy: 'sliding-window' }, now: clock.now });
+
+        return takeAll(limiter, 1)
+            .then(() => {
+                clock.time += 600;
+                return takeAll(limiter, 2);
+            })
+            .then((results) => {
+                expect(results).to.eql([true, false]);
+                return limiter.take('ping', { user: { id: 1 } });
+            })
+            .then((result) => {
+                expect(result.retryAfter).to.eq(400);
+                clock.time += 400;
+                return takeAll(limiter, 2);
+            })
+            .then((results) => {
+                expect(results).to.eql([true, false]);
+            });
+    });
+
+    it('clients, methods and per method limits are counted separately', function() {
+        const limiter = new RateLimiter({
+            key: requestContext => requestContext.apiKey,
+            limit: { limit: 3, interval: 60000 },
+            perMethod: true,
+            methods: { send: { limit: 1, interval: 60000 } }
+        });
+
+        return Promise.all([
+                takeAll(limiter, 4, 'ping', { apiKey: 'a' }),
+                takeAll(limiter, 2, 'ping', { apiKey: 'b' }),
+                takeAll(limiter, 2, 'send', { apiKey: 'a' }),
+                takeAll(limiter, 5, 'ping', {})
+            ])
+            .then((results) => {
+                expect(results).to.eql([
+                    [true, true, true, false],
+                    [true, true],
+                    [true, false],
+                    [true, true, true, true, true]
+                ]);
+            });
+    });
+
+    it('every batch entry is counted and denied calls get the retry delay', function() {
+        const clock = createClock();
+        const server = new TinyJsonRpcServer();
+        server.registerMethod('ping', () => 'pong');
+        server.use(new RateLimiter({ limit: { limit: 2, interval: 10000, strategy: 'sliding-window' }, now: clock.now }).getMiddleware());
+
+        const requestContext = { req: { socket: { remoteAddress: '10.0.0.1' } } };
+        return server.handleJsonRpcRequest([1, 2, 3].map(id => ({ jsonrpc: '2.0', method: 'ping', id })), requestContext)
+            .then((response) => {
+                expect(response.map(entry => entry.result)).to.eql(['pong', 'pong', undefined]);
+                expect(response[2].error).to.eql({ code: SERVER_ERRORCODES.RATE_LIMITED, message: 'Rate limit exceeded', data: { retryAfter: 10 } });
+            });
+    });
+
+    it('uses the given store', function() {
+        const keys = [];
+        const store = new MemoryRateLimitStore();
+        const limiter = new RateLimiter({
+            limit: { limit: 1, interval: 1000 },
+            store: {
+                get: key => Promise.resolve(store.get(key)),
+                set: (key, state, ttl) => {
+                    keys.push(key);
+                    store.set(key, state, ttl);
+                    return Promise.resolve();
+                }
+            }
+        });
+
+        return takeAll(limiter, 2, 'ping', { user: { id: 7 } })
+            .then((results) => {
+                expect(results).to.eql([true, false]);
+                expect(keys).to.eql([JSON.stringify(['user:7', null])]);
+            });
+    });
+
+    it('limits that are not positive are rejected', function() {
+        expect(() => new RateLimiter({ limit: { limit: 0, interval: 1000, strategy: 'sliding-window' } })).to.throw('Invalid rate limit limit');
+        expect(() => new RateLimiter({ limit: { limit: 1, interval: -1 } })).to.throw('Invalid rate limit limit');
+        expect(() => new RateLimiter({ limit: { limit: 1, interval: 1000, burst: 0 } })).to.throw('Invalid rate limit limit');
+        expect(() => new RateLimiter({ methods: { ping: { limit: NaN, interval: 1000 } } })).to.throw("Invalid rate limit of method 'ping'");
+        expect(() => new RateLimiter({ limit: { limit: 1.5, interval: 1000, strategy: 'sliding-window' } })).to.throw('Invalid rate limit limit');
+        expect(() => new RateLimiter({ limit: { limit: 0.5, interval: 1000 } })).to.throw('Invalid rate limit limit');
+        expect(() => new RateLimiter({ limit: { limit: 0.5, interval: 1000, burst: 1 } })).to.not.throw();
+    });
+});
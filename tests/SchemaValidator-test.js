@@ -0,0 +1,87 @@
+const { expect } = require('chai');
+
+const { validateSchema } = require('../lib/SchemaValidator');
+
+describe("SchemaValidator", function() {
+    it('valid value produces no violations', function() {
+        const schema = {
+            type: 'object',
+            required: ['a', 'b'],
+            properties: {
+                a: { type: 'number' },
+                b: { type: 'integer', minimum: 0 },
+                tags: { type: 'array', items: { type: 'string' } }
+            }
+        };
+
+        expect(validateSchema(schema, {a: 1.5, b: 2, tags: ['x']})).to.eql([]);
+    });
+
+    it('type', function() {
+        expect(validateSchema({type: 'number'}, 'a')).to.eql([{path: 'params', keyword: 'type', message: 'must be number'}]);
+        expect(validateSchema({type: 'integer'}, 1.5)).to.eql([{path: 'params', keyword: 'type', message: 'must be integer'}]);
+        expect(validateSchema({type: 'number'}, 2)).to.eql([]);
+        expect(validateSchema({type: ['string', 'null']}, null)).to.eql([]);
+        expect(validateSchema({type: 'object'}, [])).to.eql([{path: 'params', keyword: 'type', message: 'must be object'}]);
+        expect(validateSchema({type: 'array'}, [])).to.eql([]);
+        expect(validateSchema({type: 'object'}, undefined)).to.eql([{path: 'params', keyword: 'type', message: 'must be object'}]);
+    });
+
+    it('required and additionalProperties', function() {
+        const schema = {
+            type: 'object',
+            required: ['a'],
+            properties: { a: { type: 'string' } },
+            additionalProperties: false
+        };
+
+        expect(validateSchema(schema, {b: 1})).to.eql([
+            {path: 'params.a', keyword: 'required', message: 'is required'},
+            {path: 'params.b', keyword: 'additionalProperties', message: 'is not allowed'}
+        ]);
+    });
+
+    it('additionalProperties schema', function() {
+        const schema = { type: 'object', additionalProperties: { type: 'number' } };
+        expect(validateSchema(schema, {a: 1, 'b-c': 'x'})).to.eql([{path: 'params["b-c"]', keyword: 'type', message: 'must be number'}]);
+    });
+
+    it('items and tuple items', function() {
+        expect(validateSchema({type: 'array', items: {type: 'number'}}, [1, 'a'])).to.eql([{path: 'params[1]', keyword: 'type', message: 'must be number'}]);
+        expect(validateSchema({type: 'array', items: [{type: 'number'}, {type: 'string'}]}, [1, 2])).to.eql([{path: 'params[1]', keyword: 'type', message: 'must be string'}]);
+        expect(validateSchema({type: 'array', minItems: 2, maxItems: 3}, [1])[0].keyword).to.eq('minItems');
+        expect(validateSchema({type: 'array', minItems: 2, maxItems: 3}, [1, 2, 3, 4])[0].keyword).to.eq('maxItems');
+    });
+
+    it('enum and const', function() {
+        expect(validateSchema({enum: ['a', 'b']}, 'c')).to.eql([{path: 'params', keyword: 'enum', message: 'must be one of ["a","b"]'}]);
+        expect(validateSchema({enum: [{x: 1}]}, {x: 1})).to.eql([]);
+        expect(validateSchema({const: 5}, 6)[0].keyword).to.eq('const');
+    });
+
+    it('numeric limits', function() {
+        expect(validateSchema({minimum: 1}, 0)[0].keyword).to.eq('minimum');
+        expect(validateSchema({maximum: 1}, 2)[0].keyword).to.eq('maximum');
+        expect(validateSchema({exclusiveMinimum: 1}, 1)[0].keyword).to.eq('exclusiveMinimum');
+        expect(validateSchema({exclusiveMaximum: 1}, 1)[0].keyword).to.eq('exclusiveMaximum');
+        expect(validateSchema({minimum: 1, maximum: 2}, 1.5)).to.eql([]);
+    });
+
+    it('string limits and pattern', function() {
+        expect(validateSchema({minLength: 2}, 'a')[0].keyword).to.eq('minLength');
+        expect(validateSchema({maxLength: 2}, 'abc')[0].keyword).to.eq('maxLength');
+        expect(validateSchema({pattern: '^[a-z]+$'}, 'abc1')).to.eql([{path: 'params', keyword: 'pattern', message: 'must match pattern ^[a-z]+$'}]);
+        expect(validateSchema({pattern: '^[a-z]+$'}, 'abc')).to.eql([]);
+    });
+
+    it('nested paths and custom root name', function() {
+        const schema = {
+            type: 'object',
+            properties: {
+                list: { type: 'array', items: { type: 'object', required: ['id'] } }
+            }
+        };
+
+        expect(validateSchema(schema, {list: [{id: 1}, {}]}, 'result')).to.eql([{path: 'result.list[1].id', keyword: 'required', message: 'is required'}]);
+    });
+});
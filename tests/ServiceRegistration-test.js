@@ -0,0 +1,107 @@
+const { expect } = require('chai');
+
+const { JSONRPC_ERRORCODES, TinyJsonRpcServer, rpcMethod } = require('../lib/TinyJsonRpcServer');
+const { getServiceMethods } = require('../lib/ServiceRegistration');
+
+class BaseService {
+    constructor() {
+        this._calls = 0;
+    }
+
+    ping() {
+        return 'pong from ' + this.name;
+    }
+
+    describe() {
+        return 'base';
+    }
+}
+
+class InvoiceService extends BaseService {
+    constructor() {
+        super();
+        this.name = 'invoices';
+    }
+
+    create(params) {
+        this._calls++;
+        return { amount: params.amount, calls: this._calls };
+    }
+
+    describe() {
+        return 'invoices';
+    }
+
+    close() {}
+
+    _internal() {}
+
+    get total() {
+        return this._calls;
+    }
+}
+
+describe("ServiceRegistration", function() {
+    it('collects bound methods from the prototype chain', function() {
+        const service = new InvoiceService();
+        const { methods } = getServiceMethods(service);
+
+        expect(Object.keys(methods).sort()).to.eql(['close', 'create', 'describe', 'ping']);
+        expect(methods.describe()).to.eq('invoices');
+        expect(methods.ping()).to.eq('pong from invoices');
+        expect(methods.create({ amount: 5 })).to.eql({ amount: 5, calls: 1 });
+    });
+
+    it('prefix, include and exclude', function() {
+        const service = new InvoiceService();
+
+        expect(Object.keys(getServiceMethods(service, { prefix: 'invoice.', exclude: ['close'] }).methods).sort())
+            .to.eql(['invoice.create', 'invoice.describe', 'invoice.ping']);
+        expect(Object.keys(getServiceMethods(service, { include: ['create', '_internal'] }).methods))
+            .to.eql(['create']);
+    });
+
+    it('rpcMethod renames, opts out and adds method options', function() {
+        class DecoratedService {
+            add(params) {
+                return params.a + params.b;
+            }
+
+            helper() {}
+
+            other() {}
+        }
+        rpcMethod('sum')(DecoratedService.prototype, 'add');
+        rpcMethod({ params: { type: 'object', required: ['a', 'b'] } })(DecoratedService.prototype, 'add');
+        rpcMethod(false)(DecoratedService.prototype, 'helper');
+
+        const service = getServiceMethods(new DecoratedService());
+        expect(Object.keys(service.methods).sort()).to.eql(['other', 'sum']);
+        expect(service.options.sum).to.eql({ params: { type: 'object', required: ['a', 'b'] } });
+
+        expect(Object.keys(getServiceMethods(new DecoratedService(), { decoratedOnly: true }).methods)).to.eql(['sum']);
+    });
+
+    it('registerService registers the methods with their options', function() {
+        class MathService {
+            add(params) {
+                return params.a + params.b;
+            }
+        }
+        rpcMethod({ params: { type: 'object', required: ['a', 'b'] } })(MathService.prototype, 'add');
+
+        const server = new TinyJsonRpcServer();
+        server.registerService(new MathService(), { prefix: 'math.' });
+
+        return server.handleJsonRpcRequest([
+                { jsonrpc: '2.0', method: 'math.add', params: { a: 1, b: 2 }, id: 1 },
+                { jsonrpc: '2.0', method: 'math.add', params: { a: 1 }, id: 2 },
+                { jsonrpc: '2.0', method: 'math.constructor', id: 3 }
+            ])
+            .then((response) => {
+                expect(response[0].result).to.eq(3);
+                expect(response[1].error.code).to.eq(JSONRPC_ERRORCODES.INVALID_PARAMS);
+                expect(response[2].error.code).to.eq(JSONRPC_ERRORCODES.METHOD_NOT_FOUND);
+            });
+    });
+});
@@ -0,0 +1,212 @@
+const { PassThrough } = require('stream');
+const { expect } = require('chai');
+
+const {
+    JSONRPC_ERRORCODES,
+    TinyJsonRpcServer,
+    NdjsonDecoder,
+    ContentLengthDecoder,
+    encodeMessage,
+    attachStreamTransport
+} = require('../lib/TinyJsonRpcServer');
+
+const jsonRpcServer = new TinyJsonRpcServer();
+jsonRpcServer.registerMethods({
+    'add': (params) => params.a + params.b,
+    'delayedAdd': (params) => new Promise(resolve => setTimeout(() => resolve(params.a + params.b), params.delay)),
+    'hasTransport': (params, requestContext) => !!requestContext.transport
+});
+
+function collectOutput(output, decoder) {
+    const messages = [];
+    output.on('data', chunk => decoder.push(chunk).forEach(message => messages.push(JSON.parse(message))));
+    return messages;
+}
+
+describe("StreamTransport", function() {
+    it('NdjsonDecoder handles partial chunks and multiple messages per chunk', function() {
+        const decoder = new NdjsonDecoder();
+        expect(decoder.push(Buffer.from('{"a":'))).to.eql([]);
+        expect(decoder.push(Buffer.from('1}\n{"b":2}\n\n{"c"'))).to.eql(['{"a":1}', '{"b":2}']);
+        expect(decoder.push(Buffer.from(':3}\r\n'))).to.eql(['{"c":3}']);
+    });
+
+    it('NdjsonDecoder handles multi-byte characters split across chunks', function() {
+        const decoder = new NdjsonDecoder();
+        const data = Buffer.from('"ø"\n');
+        expect(decoder.push(data.slice(0, 2))).to.eql([]);
+        expect(decoder.push(data.slice(2))).to.eql(['"ø"']);
+    });
+
+    it('NdjsonDecoder rejects too large messages', function() {
+        const decoder = new NdjsonDecoder(4);
+        expect(() => decoder.push(Buffer.from('123456'))).to.throw('Message too large');
+
+        // Complete lines are checked too, in one chunk or split across chunks
+        expect(() => new NdjsonDecoder(4).push(Buffer.from('1\n123456\n2\n'))).to.throw('Message too large');
+        const split = new NdjsonDecoder(4);
+        expect(split.push(Buffer.from('123'))).to.eql([]);
+        expect(() => split.push(Buffer.from('456\n'))).to.throw('Message too large');
+        expect(new NdjsonDecoder(4).push(Buffer.from('1234\n1\n'))).to.eql(['1234', '1']);
+    });
+
+    it('ContentLengthDecoder handles partial chunks and multiple messages per chunk', function() {
+        const decoder = new ContentLengthDecoder();
+        const data = Buffer.concat([encodeMessage('{"a":"ø"}', 'content-length'), encodeMessage('{"b":2}', 'content-length')]);
+
+        expect(decoder.push(data.slice(0, 10))).to.eql([]);
+        expect(decoder.push(data.slice(10, 35))).to.eql(['{"a":"ø"}']);
+        expect(decoder.push(data.slice(35))).to.eql(['{"b":2}']);
+    });
+
+    it('ContentLengthDecoder ignores other headers and rejects missing Content-Length', function() {
+        const decoder = new ContentLengthDecoder();
+        expect(decoder.push(Buffer.from('Content-Type: application/json\r\ncontent-length: 2\r\n\r\n{}'))).to.eql(['{}']);
+        expect(() => decoder.push(Buffer.from('Content-Type: application/json\r\n\r\n{}'))).to.throw('Missing or invalid Content-Length header');
+    });
+
+    it('serves requests over ndjson', function() {
+        const input = new PassThrough();
+        const output = new PassThrough();
+        const messages = collectOutput(output, new NdjsonDecoder());
+        const transport = attachStreamTransport(jsonRpcServer, input, { output });
+
+        input.write('{"jsonrpc":"2.0","method":"add","params":{"a":1,"b":2},"id":1}\n{"jsonrpc":"2.0","method":"hasTr');
+        input.write('ansport","id":2}\n{"jsonrpc":"2.0","method":"add","params":{"a":1,"b":2}}\n');
+        input.end();
+
+        return new Promise(resolve => transport.on('close', resolve))
+            .then(() => {
+                expect(messages).to.eql([
+                    { jsonrpc: '2.0', result: 3, id: 1 },
+                    { jsonrpc: '2.0', result: true, id: 2 }
+                ]);
+            });
+    });
+
+    it('serves requests over content-length framing', function() {
+        const input = new PassThrough();
+        const output = new PassThrough();
+        const messages = collectOutput(output, new ContentLengthDecoder());
+        const transport = attachStreamTransport(jsonRpcServer, input, { output, framing: 'content-length' });
+
+        input.end(encodeMessage('{"jsonrpc":"2.0","method":"add","params":{"a":5,"b":2},"id":"x"}', 'content-length'));
+
+        return new Promise(resolve => transport.on('close', resolve))
+            .then(() => {
+                expect(messages).to.eql([{ jsonrpc: '2.0', result: 7, id: 'x' }]);
+            });
+    });
+
+    it('responses are sent as soon as they are ready', function() {
+        const input = new PassThrough();
+        const output = new PassThrough();
+        const messages = collectOutput(output, new NdjsonDecoder());
+        const transport = attachStreamTransport(jsonRpcServer, input, { output });
+
+        input.write('{"jsonrpc":"2.0","method":"delayedAdd","params":{"a":1,"b":1,"delay":50},"id":1}\n');
+        input.write('{"jsonrpc":"2.0","method":"delayedAdd","params":{"a":2,"b":2,"delay":0},"id":2}\n');
+        input.end();
+
+        return new Promise(resolve => transport.on('close', resolve))
+            .then(() => {
+                expect(messages.map(message => message.id)).to.eql([2, 1]);
+            });
+    });
+
+    it('invalid JSON produces a parse error and the transport keeps going', function() {
+        const input = new PassThrough();
+        const output = new PassThrough();
+        const messages = collectOutput(output, new NdjsonDecoder());
+        const transport = attachStreamTransport(jsonRpcServer, input, { output });
+
+        input.end('{ bad json\n{"jsonrpc":"2.0","method":"add","params":{"a":1,"b":2},"id":1}\n');
+
+        return new Promise(resolve => transport.on('close', resolve))
+            .then(() => {
+                expect(messages.length).to.eq(2);
+                expect(messages[0].error.code).to.eq(JSONRPC_ERRORCODES.PARSE_ERROR);
+                expect(messages[1]).to.eql({ jsonrpc: '2.0', result: 3, id: 1 });
+            });
+    });
+
+    it('invalid framing produces a parse error and closes the transport', function() {
+        const input = new PassThrough();
+        const output = new PassThrough();
+        const messages = collectOutput(output, new ContentLengthDecoder());
+        const transport = attachStreamTransport(jsonRpcServer, input, { output, framing: 'content-length' });
+
+        input.write('Content-Length: abc\r\n\r\n');
+
+        return new Promise(resolve => transport.on('close', resolve))
+            .then(() => {
+                expect(messages.length).to.eq(1);
+                expect(messages[0].error).to.eql({ code: JSONRPC_ERRORCODES.PARSE_ERROR, message: 'Missing or invalid Content-Length header' });
+                expect(transport.isClosed()).to.be.true;
+            });
+    });
+
+    it('pauses the input while the output is full', function() {
+        const input = new PassThrough();
+        const output = new PassThrough({ highWaterMark: 1 });
+        const transport = attachStreamTransport(jsonRpcServer, input, { output });
+
+        input.write('{"jsonrpc":"2.0","method":"add","params":{"a":1,"b":2},"id":1}\n');
+
+        return new Promise(resolve => setTimeout(resolve, 10))
+            .then(() => {
+                expect(input.isPaused()).to.be.true;
+                output.resume();
+                return new Promise(resolve => setTimeout(resolve, 10));
+            })
+            .then(() => {
+                expect(input.isPaused()).to.be.false;
+                return transport.close();
+            });
+    });
+
+    it('close waits for pending requests and ends the output', function() {
+        const input = new PassThrough();
+        const output = new PassThrough();
+        const messages = collectOutput(output, new NdjsonDecoder());
+        const transport = attachStreamTransport(jsonRpcServer, input, { output });
+        let outputEnded = false;
+        output.on('end', () => { outputEnded = true; });
+
+        input.write('{"jsonrpc":"2.0","method":"delayedAdd","params":{"a":1,"b":1,"delay":20},"id":1}\n');
+
+        return new Promise(resolve => setImmediate(resolve))
+            .then(() => transport.close())
+            .then(() => new Promise(resolve => setImmediate(resolve)))
+            .then(() => {
+                expect(messages).to.eql([{ jsonrpc: '2.0', result: 2, id: 1 }]);
+                expect(outputEnded).to.be.true;
+            });
+    });
+
+    it('pending requests are cancelled when the input closes', function() {
+        const server = new TinyJsonRpcServer();
+        let signal;
+        server.registerMethods({
+            'never': (params, requestContext, callContext) => {
+                signal = callContext.signal;
+                return new Promise(() => {});
+            }
+        });
+
+        const input = new PassThrough();
+        const output = new PassThrough();
+        const transport = attachStreamTransport(server, input, { output });
+
+        input.write('{"jsonrpc":"2.0","method":"never","id":1}\n');
+
+        return new Promise(resolve => setImmediate(resolve))
+            .then(() => {
+                input.destroy();
+                return new Promise(resolve => transport.on('close', resolve));
+            })
+            .then(() => {
+                expect(signal.aborted).to.be.true;
+            });
+    });
+});
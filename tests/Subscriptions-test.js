@@ -0,0 +1,136 @@
+const { EventEmitter } = require('events');
+const { expect } = require('chai');
+
+const {
+    JSONRPC_ERRORCODES,
+    TinyJsonRpcServer,
+    SubscriptionManager
+} = require('../lib/TinyJsonRpcServer');
+
+class FakeTransport extends EventEmitter {
+    constructor() {
+        super();
+        this.notifications = [];
+    }
+
+    notify(method, params) {
+        this.notifications.push({ method, params });
+    }
+}
+
+function createJsonRpcRequest(method, params, id) {
+    return { jsonrpc: '2.0', method, params, id };
+}
+
+describe("Subscriptions", function() {
+    let subscriptions;
+    let server;
+    let cleanups;
+
+    beforeEach(function() {
+        cleanups = [];
+        subscriptions = new SubscriptionManager();
+        subscriptions
+            .addTopic('ticks', (subscription) => () => cleanups.push(subscription.id))
+            .addTopic('news');
+        server = new TinyJsonRpcServer();
+        server.registerMethods(subscriptions.getMethods());
+    });
+
+    it('subscribe returns an id and notifications are tagged with it', function() {
+        const transport = new FakeTransport();
+
+        return server.handleJsonRpcRequest(createJsonRpcRequest('subscribe', ['ticks', { interval: 10 }], 1), { transport })
+            .then((response) => {
+                const id = response.result;
+                expect(id).to.match(/^0x[0-9a-f]{32}$/);
+                expect(subscriptions.getSubscriptions('ticks')[0].params).to.eql({ interval: 10 });
+
+                subscriptions.publish('ticks', 42);
+                subscriptions.publish('news', 'ignored');
+                expect(transport.notifications).to.eql([{ method: 'subscription', params: { subscription: id, result: 42 } }]);
+            });
+    });
+
+    it('subscribe with named params', function() {
+        const transport = new FakeTransport();
+
+        return server.handleJsonRpcRequest(createJsonRpcRequest('subscribe', { topic: 'news' }, 1), { transport })
+            .then((response) => {
+                expect(subscriptions.getSubscriptions('news').map(subscription => subscription.id)).to.eql([response.result]);
+            });
+    });
+
+    it('unsubscribe ends the subscription and runs cleanup', function() {
+        const transport = new FakeTransport();
+        let id;
+
+        return server.handleJsonRpcRequest(createJsonRpcRequest('subscribe', ['ticks'], 1), { transport })
+            .then((response) => {
+                id = response.result;
+                return server.handleJsonRpcRequest(createJsonRpcRequest('unsubscribe', [id], 2), { transport });
+            })
+            .then((response) => {
+                expect(response.result).to.be.true;
+                expect(cleanups).to.eql([id]);
+                subscriptions.publish('ticks', 1);
+                expect(transport.notifications).to.eql([]);
+                return server.handleJsonRpcRequest(createJsonRpcRequest('unsubscribe', { subscription: id }, 3), { transport });
+            })
+            .then((response) => {
+                expect(response.result).to.be.false;
+            });
+    });
+
+    it('clients can not end subscriptions of other transports', function() {
+        const transport = new FakeTransport();
+
+        return server.handleJsonRpcRequest(createJsonRpcRequest('subscribe', ['ticks'], 1), { transport })
+            .then(response => server.handleJsonRpcRequest(createJsonRpcRequest('unsubscribe', [response.result], 2), { transport: new FakeTransport() }))
+            .then((response) => {
+                expect(response.result).to.be.false;
+                expect(subscriptions.getSubscriptions().length).to.eq(1);
+            });
+    });
+
+    it('subscriptions are removed when the transport closes', function() {
+        const transport = new FakeTransport();
+        const otherTransport = new FakeTransport();
+
+        return Promise.all([
+                server.handleJsonRpcRequest(createJsonRpcRequest('subscribe', ['ticks'], 1), { transport }),
+                server.handleJsonRpcRequest(createJsonRpcRequest('subscribe', ['news'], 2), { transport }),
+                server.handleJsonRpcRequest(createJsonRpcRequest('subscribe', ['news'], 3), { transport: otherTransport })
+            ])
+            .then((responses) => {
+                transport.emit('close');
+                expect(cleanups).to.eql([responses[0].result]);
+                expect(subscriptions.getSubscriptions().map(subscription => subscription.id)).to.eql([responses[2].result]);
+                expect(transport.listenerCount('close')).to.eq(0);
+            });
+    });
+
+    it('unknown topic', function() {
+        return server.handleJsonRpcRequest(createJsonRpcRequest('subscribe', ['unknown'], 1), { transport: new FakeTransport() })
+            .then((response) => {
+                expect(response.error).to.eql({ code: JSONRPC_ERRORCODES.INVALID_PARAMS, message: 'Unknown subscription topic', data: { topic: 'unknown' } });
+            });
+    });
+
+    it('transport without push support', function() {
+        return server.handleJsonRpcRequest(createJsonRpcRequest('subscribe', ['ticks'], 1), {})
+            .then((response) => {
+                expect(response.error.code).to.eq(JSONRPC_ERRORCODES.INVALID_REQUEST);
+            });
+    });
+
+    it('failing topic handler fails the subscribe call', function() {
+        subscriptions.addTopic('broken', () => { throw new Error('broken'); });
+
+        return server.handleJsonRpcRequest(createJsonRpcRequest('subscribe', ['broken'], 1), { transport: new FakeTransport() })
+            .then((response) => {
+                expect(response.error.code).to.eq(JSONRPC_ERRORCODES.INTERNAL_ERROR);
+                expect(subscriptions.getSubscriptions()).to.eql([]);
+            });
+    });
+});
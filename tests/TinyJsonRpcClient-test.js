@@ -0,0 +1,222 @@
+const http = require('http');
+const { PassThrough } = require('stream');
+const { expect } = require('chai');
+
+const {
+    JSONRPC_ERRORCODES,
+    SERVER_ERRORCODES,
+    JsonRpcRequestException,
+    TinyJsonRpcClient,
+    TinyJsonRpcServer,
+    HttpClientTransport,
+    LoopbackTransport,
+    StreamClientTransport,
+    attachStreamTransport,
+    createHttpHandler
+} = require('../lib/TinyJsonRpcServer');
+
+function createServer() {
+    const server = new TinyJsonRpcServer();
+    const notifications = [];
+    server.registerMethods({
+        add: (params) => params[0] + params[1],
+        delayedEcho: (params) => new Promise(resolve => setTimeout(() => resolve(params.value), params.delay)),
+        fail: () => { throw new JsonRpcRequestException(-32050, 'Failed', { reason: 'test' }); },
+        log: (params) => { notifications.push(params); },
+        whoami: (params, requestContext) => requestContext.user
+    });
+    return { server, notifications };
+}
+
+function recordingTransport(server) {
+    const transport = new LoopbackTransport(server);
+    const messages = [];
+    return {
+        messages,
+        send: (message) => {
+            messages.push(message);
+            return transport.send(message);
+        }
+    };
+}
+
+describe("TinyJsonRpcClient", function() {
+    it('call resolves to the result and rejects with JsonRpcRequestException', function() {
+        const { server } = createServer();
+        const client = new TinyJsonRpcClient(new LoopbackTransport(server, { requestContext: { user: 'alice' } }));
+
+        return Promise.all([
+                client.call('add', [1, 2]),
+                client.call('whoami'),
+                client.call('fail').catch(e => e),
+                client.call('missing').catch(e => e)
+            ])
+            .then(([sum, user, error, notFound]) => {
+                expect(sum).to.eq(3);
+                expect(user).to.eq('alice');
+                expect(error).to.be.instanceOf(JsonRpcRequestException);
+                expect(error.errorObj).to.eql({ code: -32050, message: 'Failed', data: { reason: 'test' } });
+                expect(notFound.errorObj.code).to.eq(JSONRPC_ERRORCODES.METHOD_NOT_FOUND);
+            });
+    });
+
+    it('notify sends requests without id', function() {
+        const { server, notifications } = createServer();
+        const transport = recordingTransport(server);
+        const client = new TinyJsonRpcClient(transport);
+
+        return client.notify('log', { text: 'hello' })
+            .then((result) => {
+                expect(result).to.eq(undefined);
+                expect(transport.messages).to.eql([{ jsonrpc: '2.0', method: 'log', params: { text: 'hello' } }]);
+                expect(notifications).to.eql([{ text: 'hello' }]);
+            });
+    });
+
+    it('explicit batches are sent as one request', function() {
+        const { server, notifications } = createServer();
+        const transport = recordingTransport(server);
+        const client = new TinyJsonRpcClient(transport);
+
+        const batch = client.createBatch();
+        const sum = batch.call('add', [2, 3]);
+        const failed = batch.call('fail');
+        batch.notify('log', ['batched']);
+
+        return batch.send()
+            .then(() => Promise.all([sum, failed.catch(e => e)]))
+            .then(([sum, error]) => {
+                expect(transport.messages.length).to.eq(1);
+                expect(transport.messages[0].length).to.eq(3);
+                expect(sum).to.eq(5);
+                expect(error.errorObj.code).to.eq(-32050);
+                expect(notifications).to.eql([['batched']]);
+                return batch.send().catch(e => e);
+            })
+            .then((error) => {
+                expect(error.message).to.eq('Batch already sent');
+            });
+    });
+
+    it('autoBatch coalesces the calls made in the same tick', function() {
+        const { server } = createServer();
+        const transport = recordingTransport(server);
+        const client = new TinyJsonRpcClient(transport, { autoBatch: true, maxBatchSize: 2 });
+
+        return Promise.all([client.call('add', [1, 1]), client.call('add', [2, 2]), client.call('add', [3, 3])])
+            .then((results) => {
+                expect(results).to.eql([2, 4, 6]);
+                expect(transport.messages.map(message => Array.isArray(message) ? message.length : 1)).to.eql([2, 1]);
+                return client.call('add', [4, 4]);
+            })
+            .then((result) => {
+                expect(result).to.eq(8);
+                expect(transport.messages.length).to.eq(3);
+            });
+    });
+
+    it('proxy calls the methods by name', function() {
+        const { server } = createServer();
+        const client = new TinyJsonRpcClient(new LoopbackTransport(server));
+
+        expect(client.proxy.then).to.eq(undefined);
+        return Promise.all([client.proxy.add([4, 5]), client.proxy['delayedEcho']({ value: 'x', delay: 0 })])
+            .then((results) => {
+                expect(results).to.eql([9, 'x']);
+            });
+    });
+
+    it('transport errors reject the calls', function() {
+        const client = new TinyJsonRpcClient({ send: () => Promise.reject(new Error('Connection refused')) }, { autoBatch: true });
+
+        return Promise.all([client.call('a').catch(e => e), client.notify('b').catch(e => e)])
+            .then(([callError, notifyError]) => {
+                expect(callError.message).to.eq('Connection refused');
+                expect(notifyError.message).to.eq('Connection refused');
+            });
+    });
+
+    it('HttpClientTransport posts to the server', function() {
+        const { server } = createServer();
+        const httpServer = http.createServer(createHttpHandler(server, { createRequestContext: req => ({ user: req.headers['x-user'] }) }));
+
+        return new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve))
+            .then(() => {
+                const client = new TinyJsonRpcClient(new HttpClientTransport('http://127.0.0.1:' + httpServer.address().port + '/', {
+                    headers: () => Promise.resolve({ 'X-User': 'bob' })
+                }), { autoBatch: true });
+
+                return Promise.all([client.call('add', [5, 6]), client.call('whoami'), client.notify('log', [])]);
+            })
+            .then((results) => {
+                expect(results).to.eql([11, 'bob', undefined]);
+            })
+            .then(() => new Promise(resolve => httpServer.close(resolve)));
+    });
+
+    it('StreamClientTransport matches out of order responses and receives notifications', function() {
+        const { server } = createServer();
+        const toServer = new PassThrough();
+        const toClient = new PassThrough();
+        attachStreamTransport(server, toServer, { output: toClient });
+
+        const transport = new StreamClientTransport(toClient, toServer);
+        const notifications = [];
+        transport.on('notification', (method, params) => notifications.push({ method, params }));
+        const client = new TinyJsonRpcClient(transport);
+
+        const order = [];
+        const slow = client.call('delayedEcho', { value: 'slow', delay: 30 }).then(value => order.push(value));
+        const fast = client.call('delayedEcho', { value: 'fast', delay: 1 }).then(value => order.push(value));
+        toClient.write('{"jsonrpc":"2.0","method":"ping","params":[1]}\n');
+
+        const batch = client.createBatch();
+        const sum = batch.call('add', [1, 2]);
+
+        return Promise.all([slow, fast, batch.send()])
+            .then(() => sum)
+            .then((result) => {
+                expect(result).to.eq(3);
+                expect(order).to.eql(['fast', 'slow']);
+                expect(notifications).to.eql([{ method: 'ping', params: [1] }]);
+
+                const pending = client.call('delayedEcho', { value: 'late', delay: 50 }).catch(e => e);
+                client.close();
+                return pending;
+            })
+            .then((error) => {
+                expect(error.message).to.eq('Transport closed');
+            });
+    });
+
+    it('StreamClientTransport settles requests refused with a null id error', function() {
+        const server = new TinyJsonRpcServer({ batch: { maxSize: 1 }, limits: { maxDepth: 3 } });
+        server.registerMethod('add', params => params[0] + params[1]);
+        const toServer = new PassThrough();
+        const toClient = new PassThrough();
+        attachStreamTransport(server, toServer, { output: toClient });
+        const client = new TinyJsonRpcClient(new StreamClientTransport(toClient, toServer));
+
+        const batch = client.createBatch();
+        const first = batch.call('add', [1, 2]);
+        batch.call('add', [3, 4]);
+
+        return Promise.all([batch.send(), first.catch(e => e), client.call('add', [[[1]], 2]).catch(e => e)])
+            .then(([sent, batchError, deepError]) => {
+                expect(batchError.errorObj.message).to.eq('Invalid request, too many requests in batch');
+                expect(deepError.errorObj.code).to.eq(JSONRPC_ERRORCODES.INVALID_REQUEST);
+                expect(deepError.errorObj.message).to.eq('Invalid request, nested too deeply');
+                return client.close();
+            });
+    });
+
+    it('calls reject with REQUEST_TIMEOUT when the transport does not answer in time', function() {
+        const client = new TinyJsonRpcClient({ send: () => new Promise(() => undefined) }, { timeout: 10 });
+
+        return client.call('never').catch(e => e)
+            .then((error) => {
+                expect(error).to.be.instanceOf(JsonRpcRequestException);
+                expect(error.errorObj).to.eql({ code: SERVER_ERRORCODES.REQUEST_TIMEOUT, message: 'Request timed out' });
+            });
+    });
+});
@@ -2,6 +2,7 @@ const { assert, expect } = require('chai');
 
 const { 
     JSONRPC_ERRORCODES,
+    SERVER_ERRORCODES,
     createParseErrorResponse,
     JsonRpcRequestException,
     TinyJsonRpcServer 
@@ -636,4 +637,798 @@ describe("TinyJsonRpcServer", function() {
                 expect(getResponseById('call2', response)).to.eql({jsonrpc: '2.0', result: 30, id: 'call2'});
             });
     });    
+});
+describe("TinyJsonRpcServer middleware", function() {
+    function createServer() {
+        const server = new TinyJsonRpcServer();
+        server.registerMethods({
+            'add': (params) => params.a + params.b,
+            'fail': () => { throwParamError("Invalid parameter 'a'"); }
+        });
+        return server;
+    }
+
+    it('middleware sees method, params, requestContext and result', function() {
+        const server = createServer();
+        const seen = [];
+
+        server.use((ctx, next) => {
+            return next().then((result) => {
+                seen.push({type: ctx.type, method: ctx.method, params: ctx.params, id: ctx.id, requestContext: ctx.requestContext, result});
+            });
+        });
+
+        return server.handleJsonRpcRequest(createJsonRpcRequest('add', {a: 2, b: 4}, 1), {user: 'test'})
+            .then((response) => {
+                expect(response).to.eql({jsonrpc: '2.0', result: 6, id: 1});
+                expect(seen).to.eql([{type: 'call', method: 'add', params: {a: 2, b: 4}, id: 1, requestContext: {user: 'test'}, result: 6}]);
+            });
+    });
+
+    it('middleware runs in registration order', function() {
+        const server = createServer();
+        const order = [];
+
+        server.use((ctx, next) => {
+            order.push('first before');
+            return next().then(() => { order.push('first after'); });
+        });
+        server.use((ctx, next) => {
+            order.push('second before');
+            return next().then(() => { order.push('second after'); });
+        });
+
+        return server.handleJsonRpcRequest(createJsonRpcRequest('add', {a: 2, b: 4}, 1))
+            .then((response) => {
+                expect(response).to.eql({jsonrpc: '2.0', result: 6, id: 1});
+                expect(order).to.eql(['first before', 'second before', 'second after', 'first after']);
+            });
+    });
+
+    it('middleware short-circuits with a result', function() {
+        const server = createServer();
+        let called = false;
+
+        server.registerMethods({ 'never': () => { called = true; } });
+        server.use((ctx, next) => 'short');
+
+        return server.handleJsonRpcRequest(createJsonRpcRequest('never', undefined, 1))
+            .then((response) => {
+                expect(response).to.eql({jsonrpc: '2.0', result: 'short', id: 1});
+                expect(called).to.be.false;
+            });
+    });
+
+    it('middleware short-circuits with a JsonRpcRequestException', function() {
+        const server = createServer();
+
+        server.use((ctx, next) => {
+            if(!ctx.requestContext.user) {
+                throw new JsonRpcRequestException(-32001, 'Unauthorized');
+            }
+            return next();
+        });
+
+        return server.handleJsonRpcRequest(createJsonRpcRequest('add', {a: 2, b: 4}, 1))
+            .then((response) => {
+                expect(response).to.eql({jsonrpc: '2.0', error: {code: -32001, message: 'Unauthorized'}, id: 1});
+            });
+    });
+
+    it('middleware changes params and post-processes result', function() {
+        const server = createServer();
+
+        server.use((ctx, next) => {
+            ctx.params = {a: ctx.params.a * 10, b: ctx.params.b * 10};
+            return next().then((result) => result + 1);
+        });
+
+        return server.handleJsonRpcRequest(createJsonRpcRequest('add', {a: 2, b: 4}, 1))
+            .then((response) => {
+                expect(response).to.eql({jsonrpc: '2.0', result: 61, id: 1});
+            });
+    });
+
+    it('middleware sees errors from the method', function() {
+        const server = createServer();
+        let seenError;
+
+        server.use((ctx, next) => {
+            return next().catch((e) => {
+                seenError = ctx.error;
+                throw e;
+            });
+        });
+
+        return server.handleJsonRpcRequest(createJsonRpcRequest('fail', undefined, 1))
+            .then((response) => {
+                expect(response).to.eql({jsonrpc: '2.0', error: {code: JSONRPC_ERRORCODES.INVALID_PARAMS, message: "Invalid parameter 'a'"}, id: 1});
+                expect(seenError).to.be.instanceOf(JsonRpcRequestException);
+            });
+    });
+
+    it('middleware sees method not found as an error', function() {
+        const server = createServer();
+        let seenError;
+
+        server.use((ctx, next) => next().catch((e) => { seenError = e; throw e; }));
+
+        return server.handleJsonRpcRequest(createJsonRpcRequest('missing', undefined, 1))
+            .then((response) => {
+                expect(response).to.eql({jsonrpc: '2.0', error: {code: JSONRPC_ERRORCODES.METHOD_NOT_FOUND, message: "Method 'missing' not found"}, id: 1});
+                expect(seenError.errorObj.code).to.eq(JSONRPC_ERRORCODES.METHOD_NOT_FOUND);
+            });
+    });
+
+    it('middleware runs once per batch entry and once around the batch', function() {
+        const server = createServer();
+        const seen = [];
+
+        server.use((ctx, next) => {
+            seen.push(ctx.type === 'batch' ? 'batch:' + ctx.requests.length : 'call:' + ctx.id);
+            return next();
+        });
+
+        return server.handleJsonRpcRequest([
+                createJsonRpcRequest('add', {a: 1, b: 1}, 1),
+                createJsonRpcRequest('add', {a: 2, b: 2}, 2)
+            ])
+            .then((response) => {
+                expect(response).to.eql([{jsonrpc: '2.0', result: 2, id: 1}, {jsonrpc: '2.0', result: 4, id: 2}]);
+                expect(seen).to.eql(['batch:2', 'call:1', 'call:2']);
+            });
+    });
+
+    it('batch middleware post-processes the batch response', function() {
+        const server = createServer();
+
+        server.use((ctx, next) => {
+            if(ctx.type !== 'batch') {
+                return next();
+            }
+            return next().then((responses) => responses.filter(response => response.id !== 1));
+        });
+
+        return server.handleJsonRpcRequest([
+                createJsonRpcRequest('add', {a: 1, b: 1}, 1),
+                createJsonRpcRequest('add', {a: 2, b: 2}, 2)
+            ])
+            .then((response) => {
+                expect(response).to.eql([{jsonrpc: '2.0', result: 4, id: 2}]);
+            });
+    });
+
+    it('batch middleware short-circuits with a JsonRpcRequestException', function() {
+        const server = createServer();
+
+        server.use((ctx, next) => {
+            if(ctx.type === 'batch') {
+                throw new JsonRpcRequestException(JSONRPC_ERRORCODES.INVALID_REQUEST, 'Batch not allowed');
+            }
+            return next();
+        });
+
+        return server.handleJsonRpcRequest([createJsonRpcRequest('add', {a: 1, b: 1}, 1)])
+            .then((response) => {
+                expect(response).to.eql({jsonrpc: '2.0', error: {code: JSONRPC_ERRORCODES.INVALID_REQUEST, message: 'Batch not allowed'}, id: null});
+            });
+    });
+});
+
+describe("TinyJsonRpcServer params validation", function() {
+    const addSchema = {
+        type: 'object',
+        required: ['a', 'b'],
+        properties: {
+            a: { type: 'number' },
+            b: { type: 'number' }
+        },
+        additionalProperties: false
+    };
+
+    it('registerMethod with params schema, valid params', function() {
+        const server = new TinyJsonRpcServer();
+        server.registerMethod('add', (params) => params.a + params.b, { params: addSchema });
+
+        return server.handleJsonRpcRequest(createJsonRpcRequest('add', {a: 2, b: 4}, 1))
+            .then((response) => {
+                expect(response).to.eql({jsonrpc: '2.0', result: 6, id: 1});
+            });
+    });
+
+    it('registerMethod with params schema, invalid params', function() {
+        const server = new TinyJsonRpcServer();
+        let called = false;
+        server.registerMethod('add', (params) => { called = true; }, { params: addSchema });
+
+        return server.handleJsonRpcRequest(createJsonRpcRequest('add', {a: 'x', c: 4}, 1))
+            .then((response) => {
+                expect(response).to.eql({jsonrpc: '2.0', error: {code: JSONRPC_ERRORCODES.INVALID_PARAMS, message: 'Invalid params', data: [
+                    {path: 'params.b', keyword: 'required', message: 'is required'},
+                    {path: 'params.a', keyword: 'type', message: 'must be number'},
+                    {path: 'params.c', keyword: 'additionalProperties', message: 'is not allowed'}
+                ]}, id: 1});
+                expect(called).to.be.false;
+            });
+    });
+
+    it('registerMethod with params schema, missing params', function() {
+        const server = new TinyJsonRpcServer();
+        server.registerMethod('add', (params) => params.a + params.b, { params: addSchema });
+
+        return server.handleJsonRpcRequest(createJsonRpcRequest('add', undefined, 1))
+            .then((response) => {
+                expect(response.error.code).to.eq(JSONRPC_ERRORCODES.INVALID_PARAMS);
+                expect(response.error.data).to.eql([{path: 'params', keyword: 'type', message: 'must be object'}]);
+            });
+    });
+
+    it('params are validated after middleware has changed them', function() {
+        const server = new TinyJsonRpcServer();
+        server.registerMethod('add', (params) => params.a + params.b, { params: addSchema });
+        server.use((ctx, next) => {
+            ctx.params = {a: Number(ctx.params.a), b: Number(ctx.params.b)};
+            return next();
+        });
+
+        return server.handleJsonRpcRequest(createJsonRpcRequest('add', {a: '2', b: '4'}, 1))
+            .then((response) => {
+                expect(response).to.eql({jsonrpc: '2.0', result: 6, id: 1});
+            });
+    });
+
+    it('result schema is checked in development mode', function() {
+        const server = new TinyJsonRpcServer({ development: true });
+        server.registerMethod('add', (params) => String(params.a + params.b), { result: { type: 'number' } });
+
+        return server.handleJsonRpcRequest(createJsonRpcRequest('add', {a: 2, b: 4}, 1))
+            .then((response) => {
+                expect(response).to.eql({jsonrpc: '2.0', error: {code: JSONRPC_ERRORCODES.INTERNAL_ERROR, message: "Invalid result from method 'add'", data: [
+                    {path: 'result', keyword: 'type', message: 'must be number'}
+                ]}, id: 1});
+            });
+    });
+
+    it('result schema is not checked outside development mode', function() {
+        const server = new TinyJsonRpcServer({ development: false });
+        server.registerMethod('add', (params) => Promise.resolve(String(params.a + params.b)), { result: { type: 'number' } });
+
+        return server.handleJsonRpcRequest(createJsonRpcRequest('add', {a: 2, b: 4}, 1))
+            .then((response) => {
+                expect(response).to.eql({jsonrpc: '2.0', result: '6', id: 1});
+            });
+    });
+
+    it('registerMethods removes options of replaced methods', function() {
+        const server = new TinyJsonRpcServer();
+        server.registerMethod('add', (params) => params.a + params.b, { params: addSchema });
+        server.registerMethods({ 'add': (params) => params.a + params.b + params.c });
+
+        return server.handleJsonRpcRequest(createJsonRpcRequest('add', {a: 1, b: 2, c: 3}, 1))
+            .then((response) => {
+                expect(response).to.eql({jsonrpc: '2.0', result: 6, id: 1});
+            });
+    });
+});
+
+describe("TinyJsonRpcServer discovery", function() {
+    it('rpc.discover is not answered unless discovery is enabled', function() {
+        const server = new TinyJsonRpcServer();
+
+        return server.handleJsonRpcRequest(createJsonRpcRequest('rpc.discover', undefined, 1))
+            .then((response) => {
+                expect(response.error.code).to.eq(JSONRPC_ERRORCODES.METHOD_NOT_FOUND);
+            });
+    });
+
+    it('rpc.discover returns the OpenRPC document', function() {
+        const server = new TinyJsonRpcServer({ discovery: { info: { title: 'Test API', version: '1.2.3' } } });
+        server.registerMethods({ 'hello': () => 'Hello' });
+        server.registerMethod('add', (params) => params.a + params.b, {
+            summary: 'Add two numbers',
+            params: { type: 'object', required: ['a', 'b'], properties: { a: { type: 'number' }, b: { type: 'number' } } },
+            result: { type: 'number' }
+        });
+        server.registerMethodCallback((method) => method === 'callback.echo' ? 'echo' : undefined);
+        server.describeMethod('callback.echo', { description: 'Handled by the method callback' });
+
+        return server.handleJsonRpcRequest(createJsonRpcRequest('rpc.discover', undefined, 1))
+            .then((response) => {
+                const document = response.result;
+                expect(document.openrpc).to.eq('1.2.6');
+                expect(document.info).to.eql({ title: 'Test API', version: '1.2.3' });
+                expect(document.methods.map(method => method.name)).to.eql(['add', 'callback.echo', 'hello']);
+                expect(document.methods[0].summary).to.eq('Add two numbers');
+                expect(document.methods[0].params.map(param => param.name)).to.eql(['a', 'b']);
+                expect(document.methods[1].description).to.eq('Handled by the method callback');
+            });
+    });
+
+    it('registered rpc.discover method takes precedence', function() {
+        const server = new TinyJsonRpcServer({ discovery: true });
+        server.registerMethods({ 'rpc.discover': () => 'custom' });
+
+        return server.handleJsonRpcRequest(createJsonRpcRequest('rpc.discover', undefined, 1))
+            .then((response) => {
+                expect(response).to.eql({jsonrpc: '2.0', result: 'custom', id: 1});
+            });
+    });
+
+    it('describeMethod adds metadata to methods from registerMethods', function() {
+        const server = new TinyJsonRpcServer();
+        server.registerMethods({ 'hello': () => 'Hello' });
+        server.describeMethod('hello', { summary: 'Say hello' });
+
+        const document = server.getOpenRpcDocument();
+        expect(document.methods).to.eql([{name: 'hello', summary: 'Say hello', params: [], result: {name: 'result', schema: {}}}]);
+    });
+});
+
+describe("TinyJsonRpcServer timeouts and cancellation", function() {
+    function createServer(options) {
+        const server = new TinyJsonRpcServer(options);
+        const signals = {};
+
+        server.registerMethods({
+            'never': (params, requestContext, callContext) => {
+                signals[callContext.id] = callContext.signal;
+                return new Promise(() => {});
+            },
+            'quick': () => 'done',
+            'callInfo': (params, requestContext, callContext) => ({ id: callContext.id, method: callContext.method, aborted: callContext.signal.aborted })
+        });
+
+        return { server, signals };
+    }
+
+    it('methods get a call context as third parameter', function() {
+        const { server } = createServer();
+
+        return server.handleJsonRpcRequest(createJsonRpcRequest('callInfo', undefined, 5))
+            .then((response) => {
+                expect(response).to.eql({jsonrpc: '2.0', result: { id: 5, method: 'callInfo', aborted: false }, id: 5});
+            });
+    });
+
+    it('global timeout produces an error response and aborts the signal', function() {
+        const { server, signals } = createServer({ timeout: 20 });
+
+        return server.handleJsonRpcRequest(createJsonRpcRequest('never', undefined, 1))
+            .then((response) => {
+                expect(response).to.eql({jsonrpc: '2.0', error: {code: SERVER_ERRORCODES.REQUEST_TIMEOUT, message: 'Request timed out'}, id: 1});
+                expect(signals[1].aborted).to.be.true;
+            });
+    });
+
+    it('method timeout overrides the global timeout', function() {
+        const { server } = createServer({ timeout: 10000 });
+        server.registerMethod('slow', () => new Promise(() => {}), { timeout: 20 });
+
+        return server.handleJsonRpcRequest(createJsonRpcRequest('slow', undefined, 1))
+            .then((response) => {
+                expect(response.error.code).to.eq(SERVER_ERRORCODES.REQUEST_TIMEOUT);
+            });
+    });
+
+    it('configurable timeout error', function() {
+        const { server } = createServer({ timeout: 20, timeoutError: { code: -32050, message: 'Too slow', data: { retry: true } } });
+
+        return server.handleJsonRpcRequest(createJsonRpcRequest('never', undefined, 1))
+            .then((response) => {
+                expect(response).to.eql({jsonrpc: '2.0', error: {code: -32050, message: 'Too slow', data: { retry: true }}, id: 1});
+            });
+    });
+
+    it('batch with a method that never settles completes on timeout', function() {
+        const { server } = createServer({ timeout: 20 });
+
+        return server.handleJsonRpcRequest([
+                createJsonRpcRequest('never', undefined, 1),
+                createJsonRpcRequest('quick', undefined, 2)
+            ])
+            .then((response) => {
+                expect(getResponseById(1, response).error.code).to.eq(SERVER_ERRORCODES.REQUEST_TIMEOUT);
+                expect(getResponseById(2, response)).to.eql({jsonrpc: '2.0', result: 'done', id: 2});
+            });
+    });
+
+    it('$/cancelRequest cancels a call from the same requestContext', function() {
+        const { server, signals } = createServer();
+        const requestContext = {};
+
+        const pending = server.handleJsonRpcRequest(createJsonRpcRequest('never', undefined, 'a'), requestContext);
+
+        return new Promise(resolve => setImmediate(resolve))
+            .then(() => server.handleJsonRpcRequest(createJsonRpcRequest('$/cancelRequest', {id: 'other'}, NO_REQUEST_ID), {}))
+            .then((response) => {
+                expect(response).to.be.null;
+                expect(signals['a'].aborted).to.be.false;
+                return server.handleJsonRpcRequest(createJsonRpcRequest('$/cancelRequest', {id: 'a'}, NO_REQUEST_ID), requestContext);
+            })
+            .then((response) => {
+                expect(response).to.be.null;
+                return pending;
+            })
+            .then((response) => {
+                expect(response).to.eql({jsonrpc: '2.0', error: {code: SERVER_ERRORCODES.REQUEST_CANCELLED, message: 'Request cancelled'}, id: 'a'});
+                expect(signals['a'].aborted).to.be.true;
+            });
+    });
+
+    it('aborting the request signal cancels the calls', function() {
+        const { server, signals } = createServer();
+        const controller = new AbortController();
+
+        const pending = server.handleJsonRpcRequest([createJsonRpcRequest('never', undefined, 1), createJsonRpcRequest('never', undefined, 2)], {}, { signal: controller.signal });
+
+        return new Promise(resolve => setImmediate(resolve))
+            .then(() => {
+                controller.abort();
+                return pending;
+            })
+            .then((response) => {
+                expect(response.map(item => item.error.code)).to.eql([SERVER_ERRORCODES.REQUEST_CANCELLED, SERVER_ERRORCODES.REQUEST_CANCELLED]);
+                expect(signals[1].aborted).to.be.true;
+                expect(signals[2].aborted).to.be.true;
+            });
+    });
+
+    it('middleware sees the signal', function() {
+        const { server } = createServer();
+        let signal;
+        server.use((ctx, next) => {
+            signal = ctx.signal;
+            return next();
+        });
+
+        return server.handleJsonRpcRequest(createJsonRpcRequest('quick', undefined, 1))
+            .then(() => {
+                expect(signal).to.be.instanceOf(AbortSignal);
+            });
+    });
+});
+
+describe("TinyJsonRpcServer batch options", function() {
+    function createServer(batch) {
+        const server = new TinyJsonRpcServer({ batch });
+        const log = [];
+        let running = 0;
+        let maxRunning = 0;
+
+        server.registerMethods({
+            'delayed': (params) => {
+                running++;
+                maxRunning = Math.max(maxRunning, running);
+                log.push('start ' + params.name);
+                return new Promise(resolve => setTimeout(() => {
+                    running--;
+                    log.push('end ' + params.name);
+                    resolve(params.name);
+                }, params.delay));
+            },
+            'never': () => new Promise(() => {})
+        });
+
+        return { server, log, getMaxRunning: () => maxRunning };
+    }
+
+    it('batch larger than maxSize is rejected', function() {
+        const { server, log } = createServer({ maxSize: 2 });
+
+        return server.handleJsonRpcRequest([1, 2, 3].map(i => createJsonRpcRequest('delayed', {name: i, delay: 0}, i)))
+            .then((response) => {
+                expect(response).to.eql({jsonrpc: '2.0', error: {code: JSONRPC_ERRORCODES.INVALID_REQUEST, message: 'Invalid request, too many requests in batch', data: { maxSize: 2 }}, id: null});
+                expect(log).to.eql([]);
+            });
+    });
+
+    it('batch of maxSize is accepted', function() {
+        const { server } = createServer({ maxSize: 2 });
+
+        return server.handleJsonRpcRequest([1, 2].map(i => createJsonRpcRequest('delayed', {name: i, delay: 0}, i)))
+            .then((response) => {
+                expect(response.map(item => item.result)).to.eql([1, 2]);
+            });
+    });
+
+    it('batches can be disabled', function() {
+        const { server } = createServer({ enabled: false });
+
+        return server.handleJsonRpcRequest([createJsonRpcRequest('delayed', {name: 1, delay: 0}, 1)])
+            .then((response) => {
+                expect(response).to.eql({jsonrpc: '2.0', error: {code: JSONRPC_ERRORCODES.INVALID_REQUEST, message: 'Invalid request, batch requests are not supported'}, id: null});
+                return server.handleJsonRpcRequest(createJsonRpcRequest('delayed', {name: 1, delay: 0}, 1));
+            })
+            .then((response) => {
+                expect(response).to.eql({jsonrpc: '2.0', result: 1, id: 1});
+            });
+    });
+
+    it('concurrency limits the number of entries running at once', function() {
+        const { server, getMaxRunning } = createServer({ concurrency: 2 });
+
+        return server.handleJsonRpcRequest([1, 2, 3, 4, 5].map(i => createJsonRpcRequest('delayed', {name: i, delay: 5}, i)))
+            .then((response) => {
+                expect(response.map(item => item.result)).to.eql([1, 2, 3, 4, 5]);
+                expect(getMaxRunning()).to.eq(2);
+            });
+    });
+
+    it('sequential runs the entries in array order', function() {
+        const { server, log } = createServer({ sequential: true });
+
+        return server.handleJsonRpcRequest([
+                createJsonRpcRequest('delayed', {name: 'a', delay: 20}, 1),
+                createJsonRpcRequest('delayed', {name: 'b', delay: 0}, 2)
+            ])
+            .then((response) => {
+                expect(response.map(item => item.result)).to.eql(['a', 'b']);
+                expect(log).to.eql(['start a', 'end a', 'start b', 'end b']);
+            });
+    });
+
+    it('batch timeout', function() {
+        const { server, log } = createServer({ timeout: 30, sequential: true });
+
+        return server.handleJsonRpcRequest([
+                createJsonRpcRequest('delayed', {name: 'a', delay: 0}, 1),
+                createJsonRpcRequest('never', undefined, 2),
+                createJsonRpcRequest('delayed', {name: 'c', delay: 0}, 3)
+            ])
+            .then((response) => {
+                expect(response).to.eql([
+                    {jsonrpc: '2.0', result: 'a', id: 1},
+                    {jsonrpc: '2.0', error: {code: SERVER_ERRORCODES.REQUEST_TIMEOUT, message: 'Request timed out'}, id: 2},
+                    {jsonrpc: '2.0', error: {code: SERVER_ERRORCODES.REQUEST_TIMEOUT, message: 'Request timed out'}, id: 3}
+                ]);
+                expect(log).to.eql(['start a', 'end a']);
+            });
+    });
+});
+
+describe('TinyJsonRpcServer mount', function() {
+    function createServers() {
+        const log = [];
+        const root = new TinyJsonRpcServer({ discovery: true });
+        const billing = new TinyJsonRpcServer();
+
+        root.use((ctx, next) => {
+            log.push('root ' + ctx.method);
+            return next();
+        });
+        root.registerMethods({ ping: () => 'pong' });
+
+        billing.use((ctx, next) => {
+            log.push('billing ' + ctx.method);
+            return next();
+        });
+        billing.registerMethod('invoice.create', (params, requestContext, callContext) => ({ amount: params.amount, method: callContext.method }), {
+            params: { type: 'object', required: ['amount'], properties: { amount: { type: 'number' } } },
+            summary: 'Create an invoice'
+        });
+        billing.registerMethodCallback((method) => method === 'dynamic' ? 'from callback' : undefined);
+
+        root.mount('billing.', billing);
+
+        return { root, billing, log };
+    }
+
+    it('nested method objects are registered with dotted names', function() {
+        const server = new TinyJsonRpcServer();
+        server.registerMethods({ billing: { invoice: { create: () => 'created' } }, ping: () => 'pong' });
+
+        expect(Object.keys(server.getRegisteredMethods())).to.eql(['billing.invoice.create', 'ping']);
+
+        return server.handleJsonRpcRequest(createJsonRpcRequest('billing.invoice.create', undefined, 1))
+            .then((response) => {
+                expect(response).to.eql({jsonrpc: '2.0', result: 'created', id: 1});
+            });
+    });
+
+    it('calls are handed to the mounted server without the prefix', function() {
+        const { root, log } = createServers();
+
+        return root.handleJsonRpcRequest([
+                createJsonRpcRequest('billing.invoice.create', {amount: 10}, 1),
+                createJsonRpcRequest('billing.dynamic', undefined, 2),
+                createJsonRpcRequest('ping', undefined, 3)
+            ])
+            .then((response) => {
+                expect(response).to.eql([
+                    {jsonrpc: '2.0', result: {amount: 10, method: 'invoice.create'}, id: 1},
+                    {jsonrpc: '2.0', result: 'from callback', id: 2},
+                    {jsonrpc: '2.0', result: 'pong', id: 3}
+                ]);
+                expect(log).to.include.members(['root billing.invoice.create', 'billing invoice.create', 'billing dynamic', 'root ping']);
+                expect(log).to.not.include('billing ping');
+            });
+    });
+
+    it('mounted servers validate params and report unknown methods with the full name', function() {
+        const { root } = createServers();
+
+        return root.handleJsonRpcRequest([
+                createJsonRpcRequest('billing.invoice.create', {amount: 'ten'}, 1),
+                createJsonRpcRequest('billing.missing', undefined, 2)
+            ])
+            .then((response) => {
+                expect(response[0].error.code).to.eq(JSONRPC_ERRORCODES.INVALID_PARAMS);
+                expect(response[1]).to.eql({jsonrpc: '2.0', error: {code: JSONRPC_ERRORCODES.METHOD_NOT_FOUND, message: "Method 'billing.missing' not found"}, id: 2});
+            });
+    });
+
+    it('the longest prefix wins and mounts can be removed', function() {
+        const { root } = createServers();
+        const reports = new TinyJsonRpcServer();
+        reports.registerMethods({ list: () => 'reports' });
+        root.mount('billing.reports.', reports);
+
+        return root.handleJsonRpcRequest(createJsonRpcRequest('billing.reports.list', undefined, 1))
+            .then((response) => {
+                expect(response.result).to.eq('reports');
+                expect(root.unmount('billing.')).to.eq(true);
+                expect(root.unmount('billing.')).to.eq(false);
+                return root.handleJsonRpcRequest(createJsonRpcRequest('billing.invoice.create', {amount: 1}, 2));
+            })
+            .then((response) => {
+                expect(response.error.code).to.eq(JSONRPC_ERRORCODES.METHOD_NOT_FOUND);
+            });
+    });
+
+    it('mounted methods are included in the OpenRPC document', function() {
+        const { root } = createServers();
+
+        return root.handleJsonRpcRequest(createJsonRpcRequest('rpc.discover', undefined, 1))
+            .then((response) => {
+                const methods = response.result.methods;
+                expect(methods.map(method => method.name)).to.eql(['billing.invoice.create', 'ping']);
+                expect(methods[0].summary).to.eq('Create an invoice');
+            });
+    });
+
+    it('a server cannot be mounted on itself', function() {
+        const server = new TinyJsonRpcServer();
+        expect(() => server.mount('self.', server)).to.throw('A server cannot be mounted on itself');
+    });
+});
+
+describe('TinyJsonRpcServer logger and events', function() {
+    function createServer() {
+        const logged = [];
+        const server = new TinyJsonRpcServer({ logger: { error: (e) => logged.push(e) } });
+        server.registerMethods({
+            add: (params) => params.a + params.b,
+            fail: () => { throw new Error('unexpected'); },
+            invalid: () => throwParamError('Bad params')
+        });
+        return { server, logged };
+    }
+
+    it('request and response events carry method, id, duration and outcome', function() {
+        const { server } = createServer();
+        const events = [];
+        server.on('request', event => events.push(['request', event]));
+        server.on('response', event => events.push(['response', event]));
+
+        const requestContext = { user: 'test' };
+        return server.handleJsonRpcRequest(createJsonRpcRequest('add', {a: 1, b: 2}, 1), requestContext)
+            .then(() => server.handleJsonRpcRequest(createJsonRpcRequest('invalid', undefined, 2), requestContext))
+            .then(() => {
+                expect(events.map(([name, event]) => name + ' ' + event.method + ' ' + event.id)).to.eql(['request add 1', 'response add 1', 'request invalid 2', 'response invalid 2']);
+
+                const success = events[1][1];
+                expect(success.outcome).to.eq('success');
+                expect(success.duration).to.be.a('number');
+                expect(success.requestContext).to.eq(requestContext);
+                expect(success.response).to.eql({jsonrpc: '2.0', result: 3, id: 1});
+
+                const failure = events[3][1];
+                expect(failure.outcome).to.eq('error');
+                expect(failure.error).to.eql({code: JSONRPC_ERRORCODES.INVALID_PARAMS, message: 'Bad params'});
+            });
+    });
+
+    it('methodNotFound and batch events', function() {
+        const { server } = createServer();
+        const notFound = [];
+        const batches = [];
+        server.on('methodNotFound', event => notFound.push(event.method));
+        server.on('batch', event => batches.push(event));
+
+        return server.handleJsonRpcRequest([createJsonRpcRequest('add', {a: 1, b: 2}, 1), createJsonRpcRequest('missing', undefined, 2)])
+            .then((response) => {
+                expect(notFound).to.eql(['missing']);
+                expect(batches.length).to.eq(1);
+                expect(batches[0].size).to.eq(2);
+                expect(batches[0].response).to.eq(response);
+            });
+    });
+
+    it('unexpected errors go to the logger and the error event', function() {
+        const { server, logged } = createServer();
+        const errors = [];
+        server.on('error', event => errors.push(event));
+
+        return server.handleJsonRpcRequest(createJsonRpcRequest('fail', undefined, 1))
+            .then((response) => {
+                expect(response.error.code).to.eq(JSONRPC_ERRORCODES.INTERNAL_ERROR);
+                expect(logged.map(e => e.message)).to.eql(['unexpected']);
+                expect(errors.length).to.eq(1);
+                expect(errors[0].error).to.eq(logged[0]);
+                expect(errors[0].method).to.eq('fail');
+                expect(errors[0].id).to.eq(1);
+            });
+    });
+
+    it('failing listeners do not affect the response', function() {
+        const { server, logged } = createServer();
+        server.on('response', () => { throw new Error('listener failed'); });
+
+        return server.handleJsonRpcRequest(createJsonRpcRequest('add', {a: 1, b: 2}, 1))
+            .then((response) => {
+                expect(response).to.eql({jsonrpc: '2.0', result: 3, id: 1});
+                expect(logged.map(e => e.message)).to.eql(['listener failed']);
+            });
+    });
+});
+
+describe('TinyJsonRpcServer method registry and limits', function() {
+    it('Object.prototype members are not methods', function() {
+        const server = new TinyJsonRpcServer();
+        server.registerMethod('ping', () => 'pong');
+
+        return Promise.all(['constructor', 'toString', '__proto__', 'hasOwnProperty'].map((method, id) => server.handleJsonRpcRequest(createJsonRpcRequest(method, undefined, id))))
+            .then((responses) => {
+                responses.forEach(response => expect(response.error.code).to.eq(JSONRPC_ERRORCODES.METHOD_NOT_FOUND));
+                expect(server.hasMethod('toString')).to.eq(false);
+            });
+    });
+
+    it('unregisterMethod, hasMethod and getRegisteredMethods returns a copy', function() {
+        const server = new TinyJsonRpcServer();
+        server.registerMethod('ping', () => 'pong', { summary: 'Ping' });
+        server.registerMethods({ echo: params => params });
+
+        const methods = server.getRegisteredMethods();
+        methods.injected = () => 'injected';
+        delete methods.ping;
+
+        expect(server.hasMethod('ping')).to.eq(true);
+        expect(server.hasMethod('injected')).to.eq(false);
+        expect(server.unregisterMethod('ping')).to.eq(true);
+        expect(server.unregisterMethod('ping')).to.eq(false);
+        expect(server.hasMethod('ping')).to.eq(false);
+        expect(server.getOpenRpcDocument().methods.map(method => method.name)).to.eql(['echo']);
+
+        return server.handleJsonRpcRequest(createJsonRpcRequest('injected', undefined, 1))
+            .then((response) => {
+                expect(response.error.code).to.eq(JSONRPC_ERRORCODES.METHOD_NOT_FOUND);
+            });
+    });
+
+    it('requests over the limits get INVALID_REQUEST', function() {
+        const calls = [];
+        const server = new TinyJsonRpcServer({
+            limits: { maxRequestSize: 200, maxDepth: 4, maxParamsSize: 30, methodNamePattern: /^[a-z][\w.]*$/ }
+        });
+        server.registerMethod('echo', (params) => { calls.push(params); return params; });
+
+        return Promise.all([
+                server.handleJsonRpcRequest(JSON.stringify(createJsonRpcRequest('echo', ['x'.repeat(200)], 1))),
+                server.handleJsonRpcRequest(createJsonRpcRequest('echo', { a: { b: { c: {} } } }, 2)),
+                server.handleJsonRpcRequest([createJsonRpcRequest('echo', { a: { b: {} } }, 3)]),
+                server.handleJsonRpcRequest(createJsonRpcRequest('echo', ['y'.repeat(30)], 4)),
+                server.handleJsonRpcRequest(createJsonRpcRequest('__proto__', undefined, 5)),
+                server.handleJsonRpcRequest(JSON.stringify(createJsonRpcRequest('echo', { a: { b: 1 } }, 6)))
+            ])
+            .then((responses) => {
+                expect(responses[0].error).to.eql({ code: JSONRPC_ERRORCODES.INVALID_REQUEST, message: 'Invalid request, request too large', data: { maxRequestSize: 200 } });
+                expect(responses[1].error).to.eql({ code: JSONRPC_ERRORCODES.INVALID_REQUEST, message: 'Invalid request, nested too deeply', data: { maxDepth: 4 } });
+                expect(responses[2].error.message).to.eq('Invalid request, nested too deeply');
+                expect(responses[3]).to.eql({ jsonrpc: '2.0', error: { code: JSONRPC_ERRORCODES.INVALID_REQUEST, message: 'Invalid request, params too large', data: { maxParamsSize: 30 } }, id: 4 });
+                expect(responses[4].error.message).to.eq('Invalid request, invalid method name');
+                expect(responses[5].result).to.eql({ a: { b: 1 } });
+                expect(calls.length).to.eq(1);
+            });
+    });
 });
\ No newline at end of file
@@ -0,0 +1,134 @@
+const { expect } = require('chai');
+
+const { JSONRPC_ERRORCODES, SERVER_ERRORCODES, TinyJsonRpcServer, compareVersions } = require('../lib/TinyJsonRpcServer');
+
+function call(server, method, params, requestContext) {
+    return server.handleJsonRpcRequest({ jsonrpc: '2.0', method, params, id: 1 }, requestContext);
+}
+
+function createServer(options) {
+    const server = new TinyJsonRpcServer(options);
+    server.registerMethod('user.get', params => ({ version: 1, params }), { version: 1, deprecated: { replacement: 'user.get@10' } });
+    server.registerMethod('user.get', params => ({ version: 2, params }), { version: 2 });
+    server.registerMethod('user.get', params => ({ version: 10, params }), { version: '10' });
+    return server;
+}
+
+describe("Versioning", function() {
+    it('compareVersions compares the numbers as numbers', function() {
+        expect(['10', '9', '1.10', '1.9', 'beta'].sort(compareVersions)).to.eql(['1.9', '1.10', '9', '10', 'beta']);
+    });
+
+    it('versions are selected with the suffix, the version param or the requestContext', function() {
+        const server = createServer({ versioning: { param: 'apiVersion', fromContext: (method, requestContext) => requestContext.apiVersion } });
+
+        return Promise.all([
+                call(server, 'user.get', { id: 1 }),
+                call(server, 'user.get@2', { id: 1 }),
+                call(server, 'user.get', { id: 1, apiVersion: 2 }, { apiVersion: 1 }),
+                call(server, 'user.get', [1], { apiVersion: 1 }),
+                call(server, 'user.get', { apiVersion: 3 })
+            ])
+            .then(([latest, suffix, param, context, unknown]) => {
+                expect(latest.result).to.eql({ version: 10, params: { id: 1 } });
+                expect(suffix.result.version).to.eq(2);
+                expect(param.result).to.eql({ version: 2, params: { id: 1 } });
+                expect(context.result).to.eql({ version: 1, params: [1] });
+                expect(unknown.error.code).to.eq(JSONRPC_ERRORCODES.METHOD_NOT_FOUND);
+
+                // A method registered without version answers the calls without version
+                server.registerMethod('user.get', () => 'current');
+                server.unregisterMethod('user.get@10');
+                return Promise.all([call(server, 'user.get'), call(server, 'user.get', { apiVersion: 10 }), call(server, 'user.get', { apiVersion: 2 })]);
+            })
+            .then(([current, removed, version]) => {
+                expect(current.result).to.eq('current');
+                expect(removed.error.code).to.eq(JSONRPC_ERRORCODES.METHOD_NOT_FOUND);
+                expect(version.result.version).to.eq(2);
+            });
+    });
+
+    it('deprecated methods and aliases emit a deprecated event and add a warning to the response', function() {
+        const server = createServer({ deprecationWarnings: true });
+        server.registerAlias('getUser', 'user.get@2', { message: 'Use user.get', sunset: '2999-01-01T00:00:00Z' });
+        server.registerAlias('fetchUser', 'user.get@1');
+        const events = [];
+        server.on('deprecated', event => events.push(event));
+
+        return Promise.all([call(server, 'user.get@1'), call(server, 'getUser', { id: 2 }), call(server, 'fetchUser'), call(server, 'user.get')])
+            .then(([v1, alias, aliasToDeprecated, latest]) => {
+                expect(v1.warning).to.eql({ message: "Method 'user.get@1' is deprecated", replacement: 'user.get@10' });
+                expect(alias.result).to.eql({ version: 2, params: { id: 2 } });
+                expect(alias.warning).to.eql({ message: 'Use user.get', sunset: '2999-01-01T00:00:00.000Z' });
+                expect(aliasToDeprecated.warning.message).to.eq("Method 'fetchUser' is deprecated");
+                expect('warning' in latest).to.eq(false);
+                expect(events.map(event => event.method)).to.eql(['user.get@1', 'getUser', 'fetchUser']);
+                expect(events[0].deprecation).to.eql(v1.warning);
+                expect(server.getOpenRpcDocument().methods.find(method => method.name === 'user.get@1').deprecated).to.eq(true);
+            });
+    });
+
+    it('calls after the sunset date fail with METHOD_SUNSET', function() {
+        const server = new TinyJsonRpcServer();
+        server.registerMethod('legacy', () => true, { deprecated: { sunset: new Date(Date.now() - 1000), replacement: 'current' } });
+        server.registerMethod('current', () => true);
+        server.registerAlias('old', 'current', { sunset: '2000-01-01' });
+        let called = false;
+        server.on('deprecated', () => { called = true; });
+
+        return Promise.all([call(server, 'legacy'), call(server, 'old')])
+            .then(([legacy, old]) => {
+                expect(legacy.error.code).to.eq(SERVER_ERRORCODES.METHOD_SUNSET);
+                expect(legacy.error.message).to.eq("Method 'legacy' is no longer available");
+                expect(legacy.error.data.replacement).to.eq('current');
+                expect(old.error).to.eql({ code: SERVER_ERRORCODES.METHOD_SUNSET, message: "Method 'old' is no longer available", data: { sunset: '2000-01-01T00:00:00.000Z' } });
+                expect(called).to.eq(false);
+            });
+    });
+
+    it('invalid sunset dates throw at registration', function() {
+        const server = new TinyJsonRpcServer();
+        server.registerMethod('current', () => true);
+
+        expect(() => server.registerMethod('legacy', () => true, { deprecated: { sunset: 'next year' } })).to.throw('Invalid sunset date: next year');
+        expect(() => server.registerAlias('old', 'current', { sunset: new Date(NaN) })).to.throw('Invalid sunset date');
+        expect(() => server.describeMethod('current', { deprecated: { sunset: '' } })).to.throw('Invalid sunset date');
+        expect(server.hasMethod('legacy')).to.eq(false);
+        return call(server, 'old')
+            .then((response) => {
+                expect(response.error.code).to.eq(JSONRPC_ERRORCODES.METHOD_NOT_FOUND);
+            });
+    });
+
+    it('the timeout of the version applies to calls by base name and by alias', function() {
+        const server = new TinyJsonRpcServer();
+        server.registerMethod('report', () => new Promise(resolve => setTimeout(() => resolve('done'), 30)), { version: 2, timeout: 10 });
+        server.registerAlias('buildReport', 'report');
+
+        return Promise.all([call(server, 'report'), call(server, 'buildReport'), call(server, 'report@2')])
+            .then((responses) => {
+                expect(responses.map(response => response.error && response.error.code)).to.eql([
+                    SERVER_ERRORCODES.REQUEST_TIMEOUT, SERVER_ERRORCODES.REQUEST_TIMEOUT, SERVER_ERRORCODES.REQUEST_TIMEOUT
+                ]);
+            });
+    });
+
+    it('aliases reach mounted servers, deprecations of mounted methods reach the root', function() {
+        const billing = new TinyJsonRpcServer();
+        billing.registerMethod('invoice.create', () => 'created', { deprecated: true });
+        const root = new TinyJsonRpcServer({ deprecationWarnings: true });
+        root.mount('billing.', billing);
+        root.registerAlias('createInvoice', 'billing.invoice.create');
+
+        return call(root, 'createInvoice')
+            .then((response) => {
+                expect(response.result).to.eq('created');
+                expect(response.warning).to.eql({ message: "Method 'createInvoice' is deprecated" });
+                expect(root.unregisterMethod('createInvoice')).to.eq(true);
+                return call(root, 'createInvoice');
+            })
+            .then((response) => {
+                expect(response.error.code).to.eq(JSONRPC_ERRORCODES.METHOD_NOT_FOUND);
+            });
+    });
+});
@@ -0,0 +1,285 @@
+const http = require('http');
+const crypto = require('crypto');
+const { expect } = require('chai');
+
+const {
+    CBOR_CODEC,
+    TinyJsonRpcServer,
+    SubscriptionManager,
+    WEBSOCKET_CLOSECODES,
+    WEBSOCKET_OPCODES,
+    WebSocketFrameDecoder,
+    encodeWebSocketFrame,
+    createWebSocketAccept,
+    attachWebSocketTransport
+} = require('../lib/TinyJsonRpcServer');
+
+function listen(httpServer) {
+    return new Promise(resolve => httpServer.listen(0, '127.0.0.1', () => resolve(httpServer)));
+}
+
+/**
+ * Minimal WebSocket client for the tests
+ */
+function connect(httpServer, path = '/', protocols) {
+    return new Promise((resolve, reject) => {
+        const key = crypto.randomBytes(16).toString('base64');
+        const headers = {
+            'Connection': 'Upgrade',
+            'Upgrade': 'websocket',
+            'Sec-WebSocket-Key': key,
+            'Sec-WebSocket-Version': '13'
+        };
+        if(protocols) {
+            headers['Sec-WebSocket-Protocol'] = protocols;
+        }
+        const req = http.request({
+            host: '127.0.0.1',
+            port: httpServer.address().port,
+            path,
+            headers
+        });
+
+        req.on('upgrade', (res, socket) => {
+            expect(res.headers['sec-websocket-accept']).to.eq(createWebSocketAccept(key));
+
+            const decoder = new WebSocketFrameDecoder(undefined, false);
+            const frames = [];
+            const waiting = [];
+            socket.on('data', (chunk) => {
+                decoder.push(chunk).forEach((frame) => {
+                    frames.push(frame);
+                    waiting.splice(0).forEach(resolve => resolve());
+                });
+            });
+
+            const client = {
+                socket,
+                protocol: res.headers['sec-websocket-protocol'],
+                frames,
+                sendFrame(opcode, payload) {
+                    socket.write(encodeWebSocketFrame(opcode, payload, crypto.randomBytes(4)));
+                },
+                send(message) {
+                    client.sendFrame(WEBSOCKET_OPCODES.TEXT, Buffer.from(JSON.stringify(message)));
+                },
+                nextFrame() {
+                    if(frames.length > 0) {
+                        return Promise.resolve(frames.shift());
+                    }
+                    return new Promise(resolve => waiting.push(resolve)).then(() => frames.shift());
+                },
+                nextMessage() {
+                    return client.nextFrame().then(frame => JSON.parse(frame.payload.toString('utf8')));
+                }
+            };
+            resolve(client);
+        });
+        req.on('response', res => reject(new Error('Unexpected response ' + res.statusCode)));
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+describe("WebSocketTransport", function() {
+    let httpServer;
+    let transport;
+    let jsonRpcServer;
+    let subscriptions;
+
+    beforeEach(function() {
+        subscriptions = new SubscriptionManager();
+        subscriptions.addTopic('ticks');
+
+        jsonRpcServer = new TinyJsonRpcServer();
+        jsonRpcServer.registerMethods({
+            'add': (params) => params.a + params.b,
+            'pushHello': (params, requestContext) => {
+                requestContext.transport.notify('hello', { to: params.name });
+                return true;
+            },
+            ...subscriptions.getMethods()
+        });
+
+        httpServer = http.createServer((req, res) => res.end());
+        transport = attachWebSocketTransport(jsonRpcServer, httpServer, { path: '/ws', codecs: [CBOR_CODEC] });
+        return listen(httpServer);
+    });
+
+    afterEach(function() {
+        transport.close();
+        return new Promise(resolve => httpServer.close(resolve));
+    });
+
+    it('frame encoding round trip for all length encodings', function() {
+        [0, 125, 126, 65535, 65536].forEach((length) => {
+            const payload = crypto.randomBytes(length);
+            const decoder = new WebSocketFrameDecoder(100000, true);
+            const frames = decoder.push(encodeWebSocketFrame(WEBSOCKET_OPCODES.BINARY, payload, crypto.randomBytes(4)));
+            expect(frames.length).to.eq(1);
+            expect(frames[0].opcode).to.eq(WEBSOCKET_OPCODES.BINARY);
+            expect(frames[0].payload.equals(payload)).to.be.true;
+        });
+    });
+
+    it('connections are closed once answered when the server drains', function() {
+        let client;
+        let release;
+        const started = new Promise((resolveStarted) => {
+            jsonRpcServer.registerMethod('wait', () => new Promise((resolve) => {
+                release = resolve;
+                resolveStarted();
+            }));
+        });
+
+        return connect(httpServer, '/ws')
+            .then((connected) => {
+                client = connected;
+                client.send({ jsonrpc: '2.0', method: 'wait', id: 1 });
+                return started;
+            })
+            .then(() => {
+                jsonRpcServer.drain();
+                release('done');
+                return client.nextMessage();
+            })
+            .then((message) => {
+                expect(message).to.eql({ jsonrpc: '2.0', result: 'done', id: 1 });
+                return client.nextFrame();
+            })
+            .then((frame) => {
+                expect(frame.opcode).to.eq(WEBSOCKET_OPCODES.CLOSE);
+                expect(frame.payload.readUInt16BE(0)).to.eq(WEBSOCKET_CLOSECODES.GOING_AWAY);
+                expect(frame.payload.slice(2).toString()).to.eq('Server shutting down');
+                return connect(httpServer, '/ws').then(() => { throw new Error('Upgrade accepted'); }, () => undefined);
+            });
+    });
+
+    it('call over WebSocket', function() {
+        return connect(httpServer, '/ws')
+            .then((client) => {
+                client.send({ jsonrpc: '2.0', method: 'add', params: { a: 1, b: 2 }, id: 1 });
+                return client.nextMessage();
+            })
+            .then((message) => {
+                expect(message).to.eql({ jsonrpc: '2.0', result: 3, id: 1 });
+            });
+    });
+
+    it('codec negotiated with the subprotocol uses binary frames', function() {
+        let client;
+        return connect(httpServer, '/ws', 'jsonrpc-msgpack, jsonrpc-cbor')
+            .then((connected) => {
+                client = connected;
+                expect(client.protocol).to.eq('jsonrpc-cbor');
+                client.sendFrame(WEBSOCKET_OPCODES.BINARY, CBOR_CODEC.encode({ jsonrpc: '2.0', method: 'pushHello', params: { name: 'cbor' }, id: 1 }));
+                return Promise.all([client.nextFrame(), client.nextFrame()]);
+            })
+            .then(([notification, response]) => {
+                expect(notification.opcode).to.eq(WEBSOCKET_OPCODES.BINARY);
+                expect(CBOR_CODEC.decode(notification.payload)).to.eql({ jsonrpc: '2.0', method: 'hello', params: { to: 'cbor' } });
+                expect(CBOR_CODEC.decode(response.payload)).to.eql({ jsonrpc: '2.0', result: true, id: 1 });
+            });
+    });
+
+    it('fragmented message', function() {
+        return connect(httpServer, '/ws')
+            .then((client) => {
+                const data = Buffer.from(JSON.stringify({ jsonrpc: '2.0', method: 'add', params: { a: 5, b: 2 }, id: 'x' }));
+                const first = encodeWebSocketFrame(WEBSOCKET_OPCODES.TEXT, data.slice(0, 10), crypto.randomBytes(4));
+                first[0] &= 0x7f; // clear FIN
+                client.socket.write(first);
+                client.sendFrame(WEBSOCKET_OPCODES.CONTINUATION, data.slice(10));
+                return client.nextMessage();
+            })
+            .then((message) => {
+                expect(message).to.eql({ jsonrpc: '2.0', result: 7, id: 'x' });
+            });
+    });
+
+    it('handlers push notifications through the requestContext', function() {
+        let client;
+        return connect(httpServer, '/ws')
+            .then((c) => {
+                client = c;
+                client.send({ jsonrpc: '2.0', method: 'pushHello', params: { name: 'bob' }, id: 1 });
+                return client.nextMessage();
+            })
+            .then((message) => {
+                expect(message).to.eql({ jsonrpc: '2.0', method: 'hello', params: { to: 'bob' } });
+                return client.nextMessage();
+            })
+            .then((message) => {
+                expect(message).to.eql({ jsonrpc: '2.0', result: true, id: 1 });
+            });
+    });
+
+    it('ping is answered with pong', function() {
+        return connect(httpServer, '/ws')
+            .then((client) => {
+                client.sendFrame(WEBSOCKET_OPCODES.PING, Buffer.from('hi'));
+                return client.nextFrame();
+            })
+            .then((frame) => {
+                expect(frame.opcode).to.eq(WEBSOCKET_OPCODES.PONG);
+                expect(frame.payload.toString()).to.eq('hi');
+            });
+    });
+
+    it('subscriptions are cleaned up when the socket closes', function() {
+        let client;
+        let id;
+        return connect(httpServer, '/ws')
+            .then((c) => {
+                client = c;
+                client.send({ jsonrpc: '2.0', method: 'subscribe', params: ['ticks'], id: 1 });
+                return client.nextMessage();
+            })
+            .then((message) => {
+                id = message.result;
+                subscriptions.publish('ticks', 1);
+                return client.nextMessage();
+            })
+            .then((message) => {
+                expect(message).to.eql({ jsonrpc: '2.0', method: 'subscription', params: { subscription: id, result: 1 } });
+
+                const closePayload = Buffer.alloc(2);
+                closePayload.writeUInt16BE(1000, 0);
+                client.sendFrame(WEBSOCKET_OPCODES.CLOSE, closePayload);
+                return client.nextFrame();
+            })
+            .then((frame) => {
+                expect(frame.opcode).to.eq(WEBSOCKET_OPCODES.CLOSE);
+                expect(subscriptions.getSubscriptions()).to.eql([]);
+                expect(transport.getConnections()).to.eql([]);
+            });
+    });
+
+    it('unmasked client frames close the connection with a protocol error', function() {
+        return connect(httpServer, '/ws')
+            .then((client) => {
+                client.socket.write(encodeWebSocketFrame(WEBSOCKET_OPCODES.TEXT, Buffer.from('{}')));
+                return client.nextFrame();
+            })
+            .then((frame) => {
+                expect(frame.opcode).to.eq(WEBSOCKET_OPCODES.CLOSE);
+                expect(frame.payload.readUInt16BE(0)).to.eq(1002);
+            });
+    });
+
+    it('invalid upgrade request gets a 400 response', function() {
+        return new Promise((resolve, reject) => {
+            const req = http.request({
+                host: '127.0.0.1',
+                port: httpServer.address().port,
+                path: '/ws',
+                headers: { 'Connection': 'Upgrade', 'Upgrade': 'websocket' }
+            });
+            req.on('response', res => resolve(res.statusCode));
+            req.on('error', reject);
+            req.end();
+        }).then((status) => {
+            expect(status).to.eq(400);
+        });
+    });
+});